@@ -0,0 +1,13 @@
+// ============================================
+// CITY SMASH - Debris Physics Worker
+// ============================================
+
+// Steps collapse debris for DebrisPhysics (game.js) off the main thread. game.js runs here
+// in headless mode (a worker has no document), so debris moves with the exact update() code
+// the game falls back to when there is no worker.
+importScripts('game.js');
+
+self.onmessage = event => {
+    const job = DebrisPhysics.simulate(event.data);
+    self.postMessage(job, [job.data.buffer, job.kinds.buffer]);
+};
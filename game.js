@@ -2,9 +2,19 @@
 // CITY SMASH - Game Logic
 // ============================================
 
+// Headless runs (Node, see tools/run-scenario.js) have no DOM, canvas or audio. Simulation
+// code only reads worldWidth/worldHeight; DOM wiring and HUD refreshes skip themselves.
+const HEADLESS = typeof document === 'undefined';
+
 // Canvas setup with devicePixelRatio support
-const canvas = document.getElementById('gameCanvas');
-const ctx = canvas.getContext('2d');
+const canvas = HEADLESS ? null : document.getElementById('gameCanvas');
+const ctx = HEADLESS ? null : canvas.getContext('2d');
+
+// World space, in world units. The height is fixed (ground at 85%) and the width comes from
+// the level, so geometry never depends on the window; the Camera maps it onto the screen.
+const DEFAULT_WORLD_WIDTH = 1280; // Levels without a `width`
+const worldHeight = 720;
+let worldWidth = DEFAULT_WORLD_WIDTH;
 
 // Debug overlay state
 let showDebug = false;
@@ -27,10 +37,10 @@ function resizeCanvas() {
     // This allows us to use CSS pixel coordinates for all drawing
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
-    // Regenerate city and background on resize
+    // Only the view changes on resize; the city keeps its world geometry
+    Camera.resize(width, height);
     if (buildings.length > 0) {
         initBackground();
-        generateCity();
     }
 }
 
@@ -43,12 +53,14 @@ function initCanvas() {
     });
 }
 
-// Toggle debug overlay with 'D' key
-document.addEventListener('keydown', (e) => {
-    if (e.key === 'd' || e.key === 'D') {
+// Toggle debug overlay (F3 unless rebound)
+function handleDebugKey(e) {
+    if (isFormFieldTarget(e.target)) return;
+    if (InputBindings.matches('toggleDebug', e)) {
         showDebug = !showDebug;
+        e.preventDefault();
     }
-});
+}
 
 // ============================================
 // Game State
@@ -71,13 +83,15 @@ let dustParticles = []; // Dust cloud particles
 let voxelBits = []; // Square chunks from UFO tractor voxelization
 let bridgeDebris = []; // Bridge material chunks
 let robotMissiles = []; // Robot guided missiles
-let waterWaves = null; // Water wave simulation (City 2)
+let waterWaves = null; // Water wave simulation (bridge levels)
 let screenShake = { x: 0, y: 0, intensity: 0 };
 let isDestroying = false;
 let currentWeapon = 'meteor';
 let robot = null;
 let screenFlash = { active: false, intensity: 0 };
-let currentCityId = 1; // 1, 2, or 3
+let currentLevelId = 'city-center'; // Id of the level definition in levels/
+let currentLevel = null; // Loaded level definition (see LevelRegistry)
+let levelHasBridge = false; // Whether the current level has a Bridge (gates bridge collision checks)
 let staticStructures = []; // Bridge, billboards, etc.
 let sunsetBackgroundCache = null; // Cached sunset background
 let cloudLayersCache = { far: null, mid: null, near: null }; // Cached cloud layers
@@ -93,27 +107,577 @@ let ufoControls = {
     down: false,
     laser: false,
     tractor: false,
-    invisibility: false // Toggle state for O key
+    invisibility: false, // Stealth toggle state
+    throttle: 1 // Thrust scale 0-1 (gamepad stick; keys are always full)
 };
 let ufoDrawerOpen = false; // UFO library drawer state
 let ufoVariant = null; // Current UFO variant: null (not selected), 'scout', 'destroyer', 'harvester'
 let ufoVariantSelected = false; // Whether user has explicitly selected a variant
 
-// Performance limits
-const MAX_PARTICLES = 1500;
-const MAX_BOMBS = 50;
-const MAX_TORNADOS = 3;
-const MAX_STICKY_BOMBS_ACTIVE = 200; // Performance threshold for active rendering
-const MAX_METEORS = 5;
-const MAX_FIRE_PARTICLES = 400;
-const MAX_BUILDING_DEBRIS = 400; // Cap for small falling debris
-const MAX_MICRO_DEBRIS = 200; // Cap for micro-debris (chips/panels)
-const MAX_DUST_PARTICLES = 150; // Cap for dust cloud particles
-const MAX_VOXEL_BITS = 800; // Cap for voxel square chunks from UFO tractor
-const MAX_VOXEL_SPAWNS_PER_SECOND = 120; // Rate limit for voxel spawns
-const MAX_BRIDGE_DEBRIS = 300; // Cap for bridge debris chunks
-const MAX_MISSILE_PARTICLES = 50; // Cap for missile trail particles
-const MAX_WATER_POINTS = 140; // Cap for water wave points
+// Performance limits (defaults; adjustable at runtime through Tunables)
+let MAX_PARTICLES = 1500;
+let MAX_BOMBS = 50;
+let MAX_TORNADOS = 3;
+let MAX_STICKY_BOMBS_ACTIVE = 200; // Performance threshold for active rendering
+let MAX_METEORS = 5;
+let MAX_FIRE_PARTICLES = 400;
+let MAX_BUILDING_DEBRIS = 400; // Cap for small falling debris
+let MAX_MICRO_DEBRIS = 200; // Cap for micro-debris (chips/panels)
+let MAX_DUST_PARTICLES = 150; // Cap for dust cloud particles
+let MAX_VOXEL_BITS = 800; // Cap for voxel square chunks from UFO tractor
+let MAX_VOXEL_SPAWNS_PER_SECOND = 120; // Rate limit for voxel spawns
+let MAX_BRIDGE_DEBRIS = 300; // Cap for bridge debris chunks
+let MAX_MISSILE_PARTICLES = 50; // Cap for missile trail particles
+let MAX_WATER_POINTS = 140; // Cap for water wave points
+
+// ============================================
+// Tunables
+// ============================================
+
+// Central registry of gameplay constants that can be changed while playing (see TuningPanel).
+// Each definition's apply() pushes a new value into live objects; constructors read
+// Tunables.get() so newly spawned entities pick up the current value too.
+const TUNING_PRESETS_KEY = 'citySmash.tuningPresets';
+
+const TUNABLE_DEFINITIONS = [
+    // Robot
+    { id: 'robot.gravity', group: 'Robot', label: 'Gravity', min: 0.1, max: 2, step: 0.05, default: 0.6, apply: v => { if (robot) robot.gravity = v; } },
+    { id: 'robot.speed', group: 'Robot', label: 'Walk Speed', min: 1, max: 12, step: 0.5, default: 4, apply: v => { if (robot) robot.speed = v; } },
+    { id: 'robot.jumpPower', group: 'Robot', label: 'Jump Power', min: -30, max: -2, step: 0.5, default: -12, apply: v => { if (robot) robot.jumpPower = v; } },
+    { id: 'robot.thrustPower', group: 'Robot', label: 'Thrust Power', min: -2, max: 0, step: 0.05, default: -0.3, apply: v => { if (robot) robot.thrustPower = v; } },
+    { id: 'robot.fuelDrainRate', group: 'Robot', label: 'Fuel Drain', min: 0, max: 2, step: 0.05, default: 0.25, apply: v => { if (robot) robot.fuelDrainRate = v; } },
+    { id: 'robot.fuelRegenRate', group: 'Robot', label: 'Fuel Regen', min: 0, max: 2, step: 0.05, default: 0.3, apply: v => { if (robot) robot.fuelRegenRate = v; } },
+
+    // UFO
+    { id: 'ufo.baseSpeed', group: 'UFO', label: 'Base Speed', min: 1, max: 15, step: 0.5, default: 5, apply: v => { if (ufo) { ufo.baseSpeed = v; ufo.updateVariantStats(); } } },
+    { id: 'ufo.friction', group: 'UFO', label: 'Friction', min: 0.8, max: 1, step: 0.005, default: 0.96, apply: v => { if (ufo) ufo.friction = v; } },
+    { id: 'ufo.rotationSpeed', group: 'UFO', label: 'Rotation Speed', min: 0.01, max: 0.3, step: 0.01, default: 0.08, apply: v => { if (ufo) ufo.rotationSpeed = v; } },
+    { id: 'ufo.tractorRadius', group: 'UFO', label: 'Tractor Radius', min: 50, max: 400, step: 10, default: 150, apply: v => { if (ufo) ufo.tractorRadius = v; } },
+
+    // Tornado
+    { id: 'tornado.windForce', group: 'Tornado', label: 'Wind Force', min: 0, max: 3, step: 0.05, default: 0.5, apply: v => { tornados.forEach(tornado => { tornado.windForce = v; }); } },
+    { id: 'tornado.damageRadius', group: 'Tornado', label: 'Damage Radius', min: 20, max: 400, step: 10, default: 100, apply: v => { tornados.forEach(tornado => { tornado.damageRadius = v; }); } },
+
+    // Water
+    { id: 'water.springConstant', group: 'Water', label: 'Spring', min: 0.001, max: 0.1, step: 0.001, default: 0.02, apply: v => { if (waterWaves) waterWaves.springConstant = v; } },
+    { id: 'water.damping', group: 'Water', label: 'Damping', min: 0.8, max: 1, step: 0.005, default: 0.95, apply: v => { if (waterWaves) waterWaves.damping = v; } },
+    { id: 'water.neighborCoupling', group: 'Water', label: 'Coupling', min: 0, max: 0.3, step: 0.01, default: 0.1, apply: v => { if (waterWaves) waterWaves.neighborCoupling = v; } },
+
+    // Performance limits (defaults are the values declared above)
+    { id: 'limits.particles', group: 'Limits', label: 'Particles', min: 100, max: 5000, step: 50, default: MAX_PARTICLES, apply: v => { MAX_PARTICLES = v; } },
+    { id: 'limits.bombs', group: 'Limits', label: 'Bombs', min: 1, max: 200, step: 1, default: MAX_BOMBS, apply: v => { MAX_BOMBS = v; } },
+    { id: 'limits.tornados', group: 'Limits', label: 'Tornados', min: 1, max: 10, step: 1, default: MAX_TORNADOS, apply: v => { MAX_TORNADOS = v; } },
+    { id: 'limits.stickyBombsActive', group: 'Limits', label: 'Active Sticky Bombs', min: 10, max: 500, step: 10, default: MAX_STICKY_BOMBS_ACTIVE, apply: v => { MAX_STICKY_BOMBS_ACTIVE = v; } },
+    { id: 'limits.meteors', group: 'Limits', label: 'Meteors', min: 1, max: 20, step: 1, default: MAX_METEORS, apply: v => { MAX_METEORS = v; } },
+    { id: 'limits.fireParticles', group: 'Limits', label: 'Fire Particles', min: 0, max: 2000, step: 50, default: MAX_FIRE_PARTICLES, apply: v => { MAX_FIRE_PARTICLES = v; } },
+    { id: 'limits.buildingDebris', group: 'Limits', label: 'Building Debris', min: 0, max: 2000, step: 50, default: MAX_BUILDING_DEBRIS, apply: v => { MAX_BUILDING_DEBRIS = v; } },
+    { id: 'limits.microDebris', group: 'Limits', label: 'Micro Debris', min: 0, max: 1000, step: 25, default: MAX_MICRO_DEBRIS, apply: v => { MAX_MICRO_DEBRIS = v; } },
+    { id: 'limits.dustParticles', group: 'Limits', label: 'Dust Particles', min: 0, max: 1000, step: 25, default: MAX_DUST_PARTICLES, apply: v => { MAX_DUST_PARTICLES = v; } },
+    { id: 'limits.voxelBits', group: 'Limits', label: 'Voxel Bits', min: 0, max: 3000, step: 50, default: MAX_VOXEL_BITS, apply: v => { MAX_VOXEL_BITS = v; } },
+    { id: 'limits.voxelSpawnsPerSecond', group: 'Limits', label: 'Voxel Spawns/s', min: 10, max: 500, step: 10, default: MAX_VOXEL_SPAWNS_PER_SECOND, apply: v => { MAX_VOXEL_SPAWNS_PER_SECOND = v; } },
+    { id: 'limits.bridgeDebris', group: 'Limits', label: 'Bridge Debris', min: 0, max: 1000, step: 25, default: MAX_BRIDGE_DEBRIS, apply: v => { MAX_BRIDGE_DEBRIS = v; } },
+    { id: 'limits.missileParticles', group: 'Limits', label: 'Missile Trail', min: 0, max: 200, step: 5, default: MAX_MISSILE_PARTICLES, apply: v => { MAX_MISSILE_PARTICLES = v; } },
+    { id: 'limits.waterPoints', group: 'Limits', label: 'Water Points (next city)', min: 20, max: 400, step: 10, default: MAX_WATER_POINTS, apply: v => { MAX_WATER_POINTS = v; } },
+
+    // Spawn density multipliers (read when debris spawns; set by the graphics quality setting)
+    { id: 'quality.debrisDensity', group: 'Quality', label: 'Collapse Debris', min: 0.2, max: 2, step: 0.05, default: 1, apply: () => { } },
+    { id: 'quality.glassShards', group: 'Quality', label: 'Glass Shards', min: 0.2, max: 2, step: 0.05, default: 1, apply: () => { } }
+];
+
+const Tunables = {
+    definitions: {}, // id -> definition
+    values: {}, // id -> current value
+
+    get: function (id) {
+        return this.values[id];
+    },
+
+    // Clamp to the definition's range and push into live objects
+    set: function (id, value) {
+        const def = this.definitions[id];
+        if (!def || typeof value !== 'number' || isNaN(value)) return;
+        value = Math.max(def.min, Math.min(def.max, value));
+        this.values[id] = value;
+        def.apply(value);
+        TuningPanel.syncValue(id);
+    },
+
+    getValues: function () {
+        return Object.assign({}, this.values);
+    },
+
+    // Apply a full set of values; ids missing from `values` go back to their defaults
+    setValues: function (values) {
+        TUNABLE_DEFINITIONS.forEach(def => {
+            this.set(def.id, values && values[def.id] !== undefined ? values[def.id] : def.default);
+        });
+    },
+
+    resetDefaults: function () {
+        this.setValues({});
+    },
+
+    // ---------- Presets (localStorage) ----------
+
+    loadPresets: function () {
+        try {
+            return JSON.parse(localStorage.getItem(TUNING_PRESETS_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable tuning presets:', error);
+            return {};
+        }
+    },
+
+    savePreset: function (name) {
+        const presets = this.loadPresets();
+        presets[name] = this.getValues();
+        localStorage.setItem(TUNING_PRESETS_KEY, JSON.stringify(presets));
+    },
+
+    deletePreset: function (name) {
+        const presets = this.loadPresets();
+        delete presets[name];
+        localStorage.setItem(TUNING_PRESETS_KEY, JSON.stringify(presets));
+    },
+
+    // Download the current values as a JSON preset file
+    exportValues: function (name) {
+        const data = { name: name || 'custom', values: this.getValues() };
+        const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+        downloadBlob(blob, `city-smash-tuning-${data.name}.json`);
+    }
+};
+
+TUNABLE_DEFINITIONS.forEach(def => {
+    Tunables.definitions[def.id] = def;
+    Tunables.values[def.id] = def.default;
+});
+
+// ============================================
+// Settings (player preferences, localStorage)
+// ============================================
+
+// Persisted preferences, applied on startup before the first city is built (see
+// SettingsPanel for the screen). Everything here is presentation except graphics quality,
+// which sets particle limit and density tunables (see GraphicsQuality) and is recorded like
+// any other tuning change.
+const SETTINGS_KEY = 'citySmash.settings';
+
+const SETTING_DEFINITIONS = [
+    // Sound
+    { id: 'masterVolume', group: 'Sound', label: 'Master Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 1, apply: () => applyVolumeSettings() },
+    { id: 'musicVolume', group: 'Sound', label: 'Music Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 0.8, apply: () => applyVolumeSettings() },
+    { id: 'effectsVolume', group: 'Sound', label: 'Effects Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 1, apply: () => applyVolumeSettings() },
+    { id: 'ambienceVolume', group: 'Sound', label: 'Ambience Volume', type: 'range', min: 0, max: 1, step: 0.05, default: 0.8, apply: () => applyVolumeSettings() },
+    { id: 'music', group: 'Sound', label: 'Music', type: 'toggle', default: false, apply: v => setMusicEnabled(v) },
+
+    // Graphics
+    { id: 'graphicsQuality', group: 'Graphics', label: 'Quality', type: 'select', options: { low: 'Low', medium: 'Medium', high: 'High', ultra: 'Ultra', auto: 'Auto' }, default: 'high', apply: v => GraphicsQuality.setMode(v) },
+    { id: 'shakeIntensity', group: 'Graphics', label: 'Screen Shake', type: 'range', min: 0, max: 1.5, step: 0.05, default: 1, apply: () => { } },
+    { id: 'flashIntensity', group: 'Graphics', label: 'Screen Flash', type: 'range', min: 0, max: 1, step: 0.05, default: 1, apply: () => { } },
+
+    // Controls
+    { id: 'controlScheme', group: 'Controls', label: 'Controls', type: 'select', options: { onscreen: 'Keys + On-screen', keyboard: 'Keyboard Only', auto: 'Auto (touch)' }, default: 'onscreen', apply: () => updateWeaponUI() },
+    { id: 'rumble', group: 'Controls', label: 'Gamepad Rumble', type: 'toggle', default: true, apply: () => { } },
+    { id: 'ufoVariant', group: 'Controls', label: 'Default UFO', type: 'select', options: { '': 'Ask', scout: 'Scout', destroyer: 'Destroyer', harvester: 'Harvester' }, default: '', apply: v => applyDefaultUFOVariant(v) }
+];
+
+const Settings = {
+    definitions: {}, // id -> definition
+    values: {}, // id -> current value
+
+    get: function (id) {
+        return this.values[id];
+    },
+
+    // Validate against the definition, apply and persist
+    set: function (id, value) {
+        const def = this.definitions[id];
+        if (!def || !this.isValid(def, value)) return;
+        if (def.type === 'range') {
+            value = Math.max(def.min, Math.min(def.max, value));
+        }
+        this.values[id] = value;
+        def.apply(value);
+        this.save();
+    },
+
+    isValid: function (def, value) {
+        if (def.type === 'range') return typeof value === 'number' && !isNaN(value);
+        if (def.type === 'toggle') return typeof value === 'boolean';
+        return Object.prototype.hasOwnProperty.call(def.options, value);
+    },
+
+    // Read saved values (unknown or invalid entries keep their defaults) and apply them all
+    load: function () {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable settings:', error);
+        }
+
+        // The old Particles setting (low/medium/high) became the Quality preset of the same name
+        const migrated = saved.particleQuality !== undefined && saved.graphicsQuality === undefined;
+        if (migrated) {
+            saved.graphicsQuality = saved.particleQuality;
+        }
+
+        SETTING_DEFINITIONS.forEach(def => {
+            const value = saved[def.id];
+            this.values[def.id] = value !== undefined && this.isValid(def, value) ? value : def.default;
+        });
+        SETTING_DEFINITIONS.forEach(def => def.apply(this.values[def.id]));
+        if (migrated) this.save();
+    },
+
+    save: function () {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    },
+
+    resetDefaults: function () {
+        SETTING_DEFINITIONS.forEach(def => this.set(def.id, def.default));
+    }
+};
+
+SETTING_DEFINITIONS.forEach(def => {
+    Settings.definitions[def.id] = def;
+    Settings.values[def.id] = def.default;
+});
+
+// The variant UFO mode starts with ('' = let the player pick). Only changed while nothing
+// is recorded or replayed, since the variant is part of a replay's setup.
+function applyDefaultUFOVariant(variant) {
+    if (ReplayManager.mode !== 'idle' || (ufoVariantSelected && ufo)) return;
+    ufoVariant = variant || null;
+    ufoVariantSelected = !!variant;
+}
+
+// Whether the on-screen robot/UFO buttons are shown
+function showOnScreenControls() {
+    const scheme = Settings.get('controlScheme');
+    if (scheme === 'auto') return window.matchMedia('(pointer: coarse)').matches;
+    return scheme === 'onscreen';
+}
+
+// Simulation timing (fixed-step, independent of display refresh rate)
+const FIXED_TIMESTEP = 1000 / 60; // ms per simulation step (all per-step tuning assumes 60Hz)
+const MAX_FRAME_TIME = 250; // Clamp long frames (tab switch, breakpoint) to avoid a spiral of death
+const MAX_STEPS_PER_FRAME = 8; // Hard cap on catch-up steps per rendered frame
+let simAccumulator = 0; // Unsimulated time carried between frames (ms)
+let lastFrameTime = null; // rAF timestamp of previous frame
+let renderAlpha = 1; // Interpolation factor between previous and current step (0-1)
+let simTick = 0; // Simulation steps run so far (replay timestamps)
+let simTime = 0; // Simulated milliseconds; gameplay timers use this instead of wall-clock time
+
+// ============================================
+// Key Bindings (remappable keyboard controls)
+// ============================================
+
+// Keyboard handlers ask InputBindings whether a key event is an action instead of testing
+// keys themselves. Each action has up to KEY_BINDING_SLOTS keys; the player's changes are
+// saved in localStorage (see SettingsPanel for the rebinding screen). Keys are stored as
+// KeyboardEvent.key with letters lowercased, so Shift doesn't change the binding.
+const KEY_BINDINGS_KEY = 'citySmash.keyBindings';
+const KEY_BINDING_SLOTS = 2;
+const KEY_BINDING_RESERVED = ['Escape']; // Pause, leave photo mode, cancel rebinding
+
+// Situations each action mode is live in. Two actions sharing a key only conflict when
+// their modes overlap, so robot and UFO actions can reuse keys ('free' = nothing flown).
+const KEY_BINDING_MODES = {
+    global: ['robot', 'ufo', 'free', 'photo'],
+    pilot: ['robot', 'ufo'],
+    robot: ['robot'],
+    ufo: ['ufo'],
+    free: ['free'],
+    photo: ['photo']
+};
+
+// button: gamepad button (standard mapping) for robot and UFO actions, see GamepadInput
+const KEY_BINDING_ACTIONS = [
+    // Robot and UFO
+    { id: 'moveLeft', group: 'Movement', label: 'Move Left', mode: 'pilot', keys: ['a', 'ArrowLeft'], button: 14 },
+    { id: 'moveRight', group: 'Movement', label: 'Move Right', mode: 'pilot', keys: ['d', 'ArrowRight'], button: 15 },
+    { id: 'moveUp', group: 'Movement', label: 'Up', mode: 'pilot', keys: ['w', 'ArrowUp'], button: 12 },
+    { id: 'moveDown', group: 'Movement', label: 'Down', mode: 'pilot', keys: ['s', 'ArrowDown'], button: 13 },
+
+    // Robot
+    { id: 'jump', group: 'Robot', label: 'Jump', mode: 'robot', keys: [' '], button: 0 },
+    { id: 'punch', group: 'Robot', label: 'Punch', mode: 'robot', keys: ['f'], button: 2 },
+    { id: 'missile', group: 'Robot', label: 'Missile', mode: 'robot', keys: ['o'], button: 3 },
+    { id: 'armLaserLeft', group: 'Robot', label: 'Left Arm Laser', mode: 'robot', keys: ['e'], button: 4 },
+    { id: 'armLaserRight', group: 'Robot', label: 'Right Arm Laser', mode: 'robot', keys: ['r'], button: 5 },
+
+    // UFO
+    { id: 'ufoLaser', group: 'UFO', label: 'Bottom Laser', mode: 'ufo', keys: ['e'], button: 7 },
+    { id: 'tractor', group: 'UFO', label: 'Tractor Beam', mode: 'ufo', keys: ['f'], button: 6 },
+    { id: 'stealth', group: 'UFO', label: 'Stealth', mode: 'ufo', keys: ['r'], button: 3 },
+
+    // Modes and camera
+    { id: 'switchToRobot', group: 'Modes & Camera', label: 'Robot Mode', mode: 'global', keys: ['i'] },
+    { id: 'switchToUfo', group: 'Modes & Camera', label: 'UFO Mode', mode: 'global', keys: ['u'] },
+    { id: 'freeCamera', group: 'Modes & Camera', label: 'Free Camera', mode: 'global', keys: ['c'] },
+    { id: 'resetZoom', group: 'Modes & Camera', label: 'Reset Zoom', mode: 'global', keys: ['0'] },
+    { id: 'cameraLeft', group: 'Modes & Camera', label: 'Pan Left', mode: 'free', keys: ['ArrowLeft'] },
+    { id: 'cameraRight', group: 'Modes & Camera', label: 'Pan Right', mode: 'free', keys: ['ArrowRight'] },
+
+    // Tools
+    { id: 'fullscreen', group: 'Tools', label: 'Fullscreen', mode: 'global', keys: ['p'] },
+    { id: 'toggleDebug', group: 'Tools', label: 'Debug Overlay', mode: 'global', keys: ['F3'] },
+    { id: 'toggleTuning', group: 'Tools', label: 'Tuning Panel', mode: 'global', keys: ['t'] },
+    { id: 'photoMode', group: 'Tools', label: 'Photo Mode', mode: 'global', keys: ['k'] },
+    { id: 'photoStep', group: 'Tools', label: 'Photo Step', mode: 'photo', keys: ['.'] },
+    { id: 'quickSave', group: 'Tools', label: 'Quick Save', mode: 'global', keys: ['F6'] },
+    { id: 'quickLoad', group: 'Tools', label: 'Quick Load', mode: 'global', keys: ['F9'] },
+    { id: 'saveClip', group: 'Tools', label: 'Save Clip', mode: 'global', keys: ['F8'] }
+];
+
+const KEY_LABELS = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+
+const InputBindings = {
+    actions: {}, // id -> definition
+    bindings: {}, // id -> [key or null, ...] (KEY_BINDING_SLOTS long)
+
+    // Letters are case-insensitive; named keys (F6, ArrowLeft) stay as they are
+    normalizeKey: function (key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    },
+
+    matches: function (action, e) {
+        return this.bindings[action].includes(this.normalizeKey(e.key));
+    },
+
+    getKeyLabel: function (key) {
+        if (KEY_LABELS[key]) return KEY_LABELS[key];
+        return key.length === 1 ? key.toUpperCase() : key;
+    },
+
+    // "D / →" style list of an action's keys
+    getLabel: function (action) {
+        const keys = this.bindings[action].filter(key => key);
+        return keys.length > 0 ? keys.map(key => this.getKeyLabel(key)).join(' / ') : 'unbound';
+    },
+
+    // Bind (or with key null, clear) one slot; false for keys that can't be bound
+    bind: function (action, slot, key) {
+        if (key !== null) {
+            key = this.normalizeKey(key);
+            if (KEY_BINDING_RESERVED.includes(key)) return false;
+        }
+        this.bindings[action][slot] = key;
+        this.save();
+        return true;
+    },
+
+    // Other actions that share a key with this one while both are live
+    getConflicts: function (action) {
+        const situations = KEY_BINDING_MODES[this.actions[action].mode];
+        const keys = this.bindings[action].filter(key => key);
+        return KEY_BINDING_ACTIONS.filter(other => other.id !== action &&
+            KEY_BINDING_MODES[other.mode].some(situation => situations.includes(situation)) &&
+            this.bindings[other.id].some(key => keys.includes(key)))
+            .map(other => other.id);
+    },
+
+    load: function () {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable key bindings:', error);
+        }
+
+        // Saved lists are taken slot by slot; anything malformed keeps the default
+        KEY_BINDING_ACTIONS.forEach(def => {
+            const keys = saved[def.id];
+            if (Array.isArray(keys) && keys.length === KEY_BINDING_SLOTS &&
+                keys.every(key => key === null || (typeof key === 'string' && key !== '' && !KEY_BINDING_RESERVED.includes(key)))) {
+                this.bindings[def.id] = keys.slice();
+            }
+        });
+        this.updateHints();
+    },
+
+    save: function () {
+        try {
+            localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+        this.updateHints();
+    },
+
+    resetDefaults: function () {
+        KEY_BINDING_ACTIONS.forEach(def => {
+            this.bindings[def.id] = this.getDefaultKeys(def);
+        });
+        this.save();
+    },
+
+    getDefaultKeys: function (def) {
+        const keys = def.keys.slice(0, KEY_BINDING_SLOTS);
+        while (keys.length < KEY_BINDING_SLOTS) keys.push(null);
+        return keys;
+    },
+
+    // Tooltips that name keys
+    updateHints: function () {
+        if (HEADLESS) return;
+        document.getElementById('saveClipBtn').title = this.getLabel('saveClip');
+        document.getElementById('snapshotSlot').title = `Quick slot (${this.getLabel('quickSave')} save, ${this.getLabel('quickLoad')} load)`;
+    }
+};
+
+KEY_BINDING_ACTIONS.forEach(def => {
+    InputBindings.actions[def.id] = def;
+    InputBindings.bindings[def.id] = InputBindings.getDefaultKeys(def);
+});
+
+// ============================================
+// Graphics Quality (presets and auto)
+// ============================================
+
+// Quality is one detail factor: particle/debris caps are their defaults times the factor,
+// and collapse debris and glass shard counts scale with it. The presets are fixed factors;
+// auto watches the frame time in gameLoop and steps the factor down when frames run long,
+// back up when there's headroom. Long and headroom are measured against a 60 fps target,
+// raised only when no frame (menus included) has ever come faster, so a 30 or 50 Hz screen
+// isn't read as lagging while a 60 Hz one running at 30 fps still steps down. The factor only reaches the world through tunables, recorded as 'tune' events,
+// so replays spawn exactly what the recording did. A tunable changed by hand in the Tuning
+// panel is the player's: quality leaves it alone until it is back at its default.
+const GRAPHICS_QUALITY_DETAIL = { low: 0.35, medium: 0.65, high: 1, ultra: 1.5 };
+const GRAPHICS_DETAIL_MIN = 0.3;
+const GRAPHICS_DETAIL_MAX = 1.5;
+const GRAPHICS_DETAIL_STEP = 0.1;
+const GRAPHICS_TARGET_FRAME = 1000 / 60; // ms; the target frame time unless the display is slower
+const GRAPHICS_SLOW_FRAME = 1.2; // x target; averages above this step detail down (50 fps at 60 Hz)
+const GRAPHICS_FAST_FRAME = 1.04; // x target; averages below this may step detail up (58 fps at 60 Hz)
+const GRAPHICS_DOWN_DELAY = 1000; // ms of slow frames before stepping down
+const GRAPHICS_UP_DELAY = 5000; // ms of fast frames before stepping up (slower, to avoid flapping)
+const GRAPHICS_LIMIT_TUNABLES = [
+    'limits.particles', 'limits.fireParticles', 'limits.buildingDebris', 'limits.microDebris',
+    'limits.dustParticles', 'limits.voxelBits', 'limits.bridgeDebris', 'limits.missileParticles'
+];
+const GRAPHICS_DENSITY_TUNABLES = ['quality.debrisDensity', 'quality.glassShards'];
+
+const GraphicsQuality = {
+    mode: 'high', // Preset name or 'auto'
+    detail: 1,
+    averageFrameTime: 0, // Smoothed frame time while simulating (ms)
+    fastestFrameTime: Infinity, // Shortest frame seen at all (ms); the display is at least this fast
+    slowTime: 0, // How long frames have been slow / fast (ms)
+    fastTime: 0,
+    written: {}, // Tunable id -> value quality last set (anything else there was tuned by hand)
+
+    setMode: function (mode) {
+        this.mode = mode;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.setDetail(mode === 'auto' ? this.detail : GRAPHICS_QUALITY_DETAIL[mode]);
+    },
+
+    // Push a detail factor into the tunables (recorded for replays)
+    setDetail: function (detail) {
+        if (ReplayManager.isPlaying()) return;
+        detail = Math.round(detail * 100) / 100; // Repeated steps shouldn't drift
+        this.detail = Math.max(GRAPHICS_DETAIL_MIN, Math.min(GRAPHICS_DETAIL_MAX, detail));
+
+        const values = {};
+        GRAPHICS_LIMIT_TUNABLES.forEach(id => {
+            values[id] = Math.round(Tunables.definitions[id].default * this.detail);
+        });
+        GRAPHICS_DENSITY_TUNABLES.forEach(id => {
+            values[id] = this.detail;
+        });
+        Object.keys(values).forEach(id => {
+            const current = Tunables.get(id);
+            if (current !== Tunables.definitions[id].default && current !== this.written[id]) return;
+            Tunables.set(id, values[id]);
+            this.written[id] = Tunables.get(id);
+            ReplayManager.record('tune', { id: id, value: this.written[id] });
+        });
+    },
+
+    // Called by gameLoop with each frame's real duration (ms)
+    measureFrame: function (frameTime) {
+        if (frameTime > 0) {
+            this.fastestFrameTime = Math.min(this.fastestFrameTime, frameTime);
+        }
+        if (this.mode !== 'auto' || !GameState.isSimulating() || frameTime >= MAX_FRAME_TIME) return;
+
+        if (this.averageFrameTime === 0) this.averageFrameTime = frameTime;
+        this.averageFrameTime += (frameTime - this.averageFrameTime) * 0.1;
+        const target = Math.max(GRAPHICS_TARGET_FRAME, this.fastestFrameTime);
+
+        if (this.averageFrameTime > target * GRAPHICS_SLOW_FRAME) {
+            this.slowTime += frameTime;
+            this.fastTime = 0;
+        } else if (this.averageFrameTime < target * GRAPHICS_FAST_FRAME) {
+            this.fastTime += frameTime;
+            this.slowTime = 0;
+        } else {
+            this.slowTime = 0;
+            this.fastTime = 0;
+        }
+
+        if (this.slowTime >= GRAPHICS_DOWN_DELAY && this.detail > GRAPHICS_DETAIL_MIN) {
+            this.setDetail(this.detail - GRAPHICS_DETAIL_STEP);
+            this.slowTime = 0;
+        } else if (this.fastTime >= GRAPHICS_UP_DELAY && this.detail < GRAPHICS_DETAIL_MAX) {
+            this.setDetail(this.detail + GRAPHICS_DETAIL_STEP);
+            this.fastTime = 0;
+        }
+    }
+};
+
+// ============================================
+// Seeded Random (reproducible cities & destruction)
+// ============================================
+
+let worldSeed = 0; // Seed of the current city (shown in HUD)
+let rngState = 0; // mulberry32 internal state
+const pinnedSeed = parseSeedParam(); // Seed forced via ?seed= (null if absent)
+
+// Read ?seed= from the URL (accepts decimal or 0x-prefixed hex)
+function parseSeedParam() {
+    if (HEADLESS) return null;
+    const value = new URLSearchParams(window.location.search).get('seed');
+    if (value === null || value.trim() === '') return null;
+    const parsed = Number(value.trim());
+    return Number.isFinite(parsed) ? (parsed >>> 0) : null;
+}
+
+// Fresh seed for a new city (the only place gameplay code touches Math.random)
+function createRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Reset the generator so the same seed replays the same sequence
+function seedRandom(seed) {
+    worldSeed = seed >>> 0;
+    rngState = worldSeed;
+}
+
+// Deterministic drop-in for Math.random() (mulberry32)
+function random() {
+    rngState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function updateSeedDisplay() {
+    if (HEADLESS) return;
+    const seedDisplay = document.getElementById('seedDisplay');
+    if (seedDisplay) {
+        seedDisplay.textContent = `SEED: ${worldSeed}`;
+    }
+}
 
 // Robot control state
 let robotControls = {
@@ -125,9 +689,10 @@ let robotControls = {
     jumpHeld: false,
     punch: false,
     laser: false,
-    missile: false, // O key for missile launch
-    leftArmFire: false, // T key
-    rightArmFire: false // R key
+    missile: false, // Missile launch (cleared once fired)
+    leftArmFire: false, // Left arm laser (held)
+    rightArmFire: false, // Right arm laser (held)
+    throttle: 1 // Speed scale 0-1 (gamepad stick; keys are always full)
 };
 
 // ============================================
@@ -135,13 +700,18 @@ let robotControls = {
 // ============================================
 
 let audioContext = null;
+let audioOutput = null; // Master bus every sound connects to (video capture taps it)
+let musicOutput = null; // Music bus
+let effectsOutput = null; // Sound effect bus
+let ambienceOutput = null; // Ambience bus (wind, weather)
 let musicEnabled = false;
 let musicStarted = false;
-let musicOscillators = [];
 
 function initAudio() {
     try {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        SoundEngine.init();
+        applyVolumeSettings();
     } catch (e) {
         console.log('Web Audio API not supported');
     }
@@ -152,62 +722,7 @@ function startMusic() {
 
     try {
         musicStarted = true;
-
-        // Bass line (low frequency)
-        const bassOsc = audioContext.createOscillator();
-        const bassGain = audioContext.createGain();
-        bassOsc.type = 'square';
-        bassOsc.frequency.value = 110; // A2
-        bassGain.gain.value = 0.15;
-        bassOsc.connect(bassGain);
-        bassGain.connect(audioContext.destination);
-
-        // Lead arpeggio
-        const leadOsc = audioContext.createOscillator();
-        const leadGain = audioContext.createGain();
-        leadOsc.type = 'sawtooth';
-        leadOsc.frequency.value = 440; // A4
-        leadGain.gain.value = 0.1;
-        leadOsc.connect(leadGain);
-        leadGain.connect(audioContext.destination);
-
-        // Percussion (noise)
-        const noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate * 0.1, audioContext.sampleRate);
-        const noiseData = noiseBuffer.getChannelData(0);
-        for (let i = 0; i < noiseData.length; i++) {
-            noiseData[i] = Math.random() * 2 - 1;
-        }
-
-        const noiseSource = audioContext.createBufferSource();
-        const noiseGain = audioContext.createGain();
-        noiseSource.buffer = noiseBuffer;
-        noiseSource.loop = true;
-        noiseGain.gain.value = 0.05;
-        noiseSource.connect(noiseGain);
-        noiseGain.connect(audioContext.destination);
-
-        bassOsc.start();
-        leadOsc.start();
-        noiseSource.start();
-
-        musicOscillators = [bassOsc, leadOsc, noiseSource];
-
-        // Simple pattern: change frequencies periodically
-        let patternStep = 0;
-        const patternInterval = setInterval(() => {
-            if (!musicEnabled) {
-                clearInterval(patternInterval);
-                return;
-            }
-
-            patternStep++;
-            const notes = [110, 130, 147, 165]; // A2, C3, D3, E3
-            bassOsc.frequency.value = notes[patternStep % notes.length];
-
-            const leadNotes = [440, 523, 587, 659]; // A4, C5, D5, E5
-            leadOsc.frequency.value = leadNotes[patternStep % leadNotes.length];
-        }, 300);
-
+        MusicSequencer.start();
     } catch (e) {
         console.log('Music start failed:', e);
         musicStarted = false;
@@ -215,17 +730,27 @@ function startMusic() {
 }
 
 function stopMusic() {
-    musicOscillators.forEach(osc => {
-        try {
-            osc.stop();
-        } catch (e) { }
-    });
-    musicOscillators = [];
+    MusicSequencer.stop();
     musicStarted = false;
 }
 
+// Settings volumes -> gain nodes (once the audio context exists)
+function applyVolumeSettings() {
+    if (!audioContext) return;
+    audioOutput.gain.value = Settings.get('masterVolume');
+    musicOutput.gain.value = Settings.get('musicVolume');
+    effectsOutput.gain.value = Settings.get('effectsVolume');
+    ambienceOutput.gain.value = Settings.get('ambienceVolume');
+}
+
 function toggleMusic() {
-    musicEnabled = !musicEnabled;
+    Settings.set('music', !musicEnabled);
+}
+
+// Applied through the 'music' setting so the choice is remembered
+function setMusicEnabled(enabled) {
+    musicEnabled = enabled;
+    if (HEADLESS) return;
     const musicBtn = document.getElementById('musicBtn');
     musicBtn.textContent = musicEnabled ? 'Music: On' : 'Music: Off';
 
@@ -243,10 +768,15 @@ function toggleMusic() {
 // Initialize audio on first user interaction
 let audioInitialized = false;
 function initAudioOnInteraction() {
-    if (audioInitialized) return;
+    if (audioInitialized || HEADLESS) return;
     audioInitialized = true;
     initAudio();
 
+    // Music saved as on starts with the first interaction (browsers block it before)
+    if (musicEnabled) {
+        startMusic();
+    }
+
     // Enable music button
     document.getElementById('musicBtn').addEventListener('click', () => {
         if (!musicStarted && !musicEnabled) {
@@ -258,162 +788,602 @@ function initAudioOnInteraction() {
 }
 
 // ============================================
-// Level Manager (Manages Game Flow and Spawning)
+// Sound Engine (mixer buses, voices, effects)
 // ============================================
 
-const LevelManager = {
-    spawnPoint: { x: 0, y: 0 }, // Will be set on init
-    isInitialized: false,
+// Every sound plays on a bus: music, sfx and ambience each have a volume setting and feed
+// the master bus (audioOutput, which video capture records), which ends in a limiter so
+// stacked blasts don't clip. Effects are synthesized per play from SOUND_DEFINITIONS into a
+// voice; voices are capped per sound and overall, and the oldest is faded out for a new one.
+// Sounds given a world position are panned by where it is on screen and get quieter with
+// distance from the listener (the robot or UFO being flown, otherwise the middle of the view).
+// Sounds use Math.random(): they never touch the simulation, and headless runs are silent.
+const SOUND_MAX_VOICES = 24; // Effect voices playing at once
+const SOUND_MAX_VOICES_PER_SOUND = 4; // Unless a definition sets maxVoices
+const SOUND_NOISE_SECONDS = 2; // Length of the shared white-noise buffer
+const SOUND_REFERENCE_DISTANCE = 300; // World units from the listener heard at full volume
+
+// bus: which volume it follows; minInterval: seconds before the same sound may start again
+// (sounds triggered per shard or per frame); play(voice, time, options) builds the graph.
+const SOUND_DEFINITIONS = {
+    explosion: {
+        bus: 'sfx',
+        maxVoices: 6,
+        minInterval: 0.04,
+        // options.size: blast radius in world units
+        play: (voice, time, options) => {
+            const size = Math.max(0.1, Math.min(1.2, (options.size || 100) / 200));
+            SoundEngine.noise(voice, time, { filter: 'lowpass', frequency: 2500, endFrequency: 150, gain: 0.5 * size, duration: 0.3 + size });
+            SoundEngine.tone(voice, time, { type: 'sine', frequency: 90, endFrequency: 35, gain: 0.6 * size, duration: 0.25 + size * 0.5 });
+        }
+    },
+    collapse: {
+        bus: 'sfx',
+        maxVoices: 3,
+        // options.size: building height in world units
+        play: (voice, time, options) => {
+            const size = Math.max(0.4, Math.min(1.2, (options.size || 300) / 400));
+            SoundEngine.noise(voice, time, { filter: 'lowpass', frequency: 450, endFrequency: 80, gain: 0.35 * size, attack: 0.3, duration: 1.5 + size });
+            SoundEngine.noise(voice, time, { filter: 'bandpass', frequency: 1400, q: 2, gain: 0.08, attack: 0.1, duration: 1.2 + size });
+            SoundEngine.tone(voice, time, { type: 'sine', frequency: 48, endFrequency: 28, gain: 0.3 * size, attack: 0.2, duration: 1.2 + size });
+        }
+    },
+    glass: {
+        bus: 'sfx',
+        minInterval: 0.06,
+        play: (voice, time) => {
+            SoundEngine.noise(voice, time, { filter: 'bandpass', frequency: 5000 + Math.random() * 2000, q: 8, gain: 0.1, duration: 0.25 });
+            SoundEngine.tone(voice, time, { type: 'sine', frequency: 2500 + Math.random() * 2500, gain: 0.04, duration: 0.3 });
+            SoundEngine.tone(voice, time + 0.03, { type: 'sine', frequency: 3000 + Math.random() * 3000, gain: 0.03, duration: 0.25 });
+        }
+    },
+    bridgeSnap: {
+        bus: 'sfx',
+        maxVoices: 3,
+        minInterval: 0.08,
+        play: (voice, time) => {
+            SoundEngine.noise(voice, time, { filter: 'highpass', frequency: 1200, gain: 0.3, duration: 0.12 });
+            SoundEngine.tone(voice, time, { type: 'sawtooth', frequency: 220, endFrequency: 70, gain: 0.1, duration: 0.6 });
+            SoundEngine.tone(voice, time + 0.05, { type: 'triangle', frequency: 60, endFrequency: 38, gain: 0.18, attack: 0.05, duration: 1 });
+        }
+    },
+    missileBlast: {
+        bus: 'sfx',
+        play: (voice, time) => {
+            SoundEngine.noise(voice, time, { filter: 'bandpass', frequency: 2500, q: 1, gain: 0.35, duration: 0.2 });
+            SoundEngine.tone(voice, time, { type: 'square', frequency: 120, endFrequency: 40, gain: 0.15, duration: 0.35 });
+        }
+    },
+    laserBeam: {
+        bus: 'sfx',
+        maxVoices: 3,
+        play: (voice, time) => {
+            SoundEngine.tone(voice, time, { type: 'sawtooth', frequency: 1400, endFrequency: 900, gain: 0.08, duration: 0.35 });
+            SoundEngine.noise(voice, time, { filter: 'highpass', frequency: 3000, gain: 0.06, duration: 0.3 });
+            SoundEngine.tone(voice, time, { type: 'square', frequency: 110, gain: 0.06, duration: 0.3 });
+        }
+    },
+    laserZap: {
+        bus: 'sfx',
+        play: (voice, time) => {
+            SoundEngine.tone(voice, time, { type: 'sine', frequency: 800, endFrequency: 400, gain: 0.15, duration: 0.15 });
+        }
+    },
+    ufoLaser: {
+        bus: 'sfx',
+        play: (voice, time) => {
+            SoundEngine.tone(voice, time, { type: 'sawtooth', frequency: 400 + Math.random() * 200, gain: 0.08, duration: 0.15 });
+        }
+    }
+};
+
+// Continuous sounds that follow an entity (see SoundEngine.syncLoops). start(loop, time)
+// builds the graph into loop.output; it fades in and out around that.
+const SOUND_LOOP_DEFINITIONS = {
+    tornadoWind: {
+        bus: 'ambience',
+        start: (loop, time) => {
+            // Howl: band of noise whose centre drifts with a slow LFO
+            const howl = SoundEngine.loopNoise(loop, time, 'bandpass', 420, 0.9);
+            const drift = audioContext.createOscillator();
+            const driftDepth = audioContext.createGain();
+            drift.frequency.value = 0.25 + Math.random() * 0.1;
+            driftDepth.gain.value = 220;
+            drift.connect(driftDepth);
+            driftDepth.connect(howl.filter.frequency);
+            drift.start(time);
+            loop.sources.push(drift);
+            howl.gain.gain.value = 0.35;
+
+            // Low roar underneath
+            const roar = SoundEngine.loopNoise(loop, time, 'lowpass', 160, 0.7);
+            roar.gain.gain.value = 0.5;
+        }
+    }
+};
+
+const SoundEngine = {
+    buses: {}, // name -> GainNode (master, music, sfx, ambience)
+    voices: [], // Playing effects, oldest first: { name, output, sources, endTime }
+    loops: new Map(), // Entity -> its looping sound: { name, output, fade, panner, sources }
+    lastStarted: {}, // Sound name -> audioContext time it last started
+    noiseBuffer: null,
 
+    // Build the bus graph on the (new) audio context
     init: function () {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-        const groundY = height * 0.85;
+        const limiter = audioContext.createDynamicsCompressor();
+        limiter.threshold.value = -6;
+        limiter.ratio.value = 12;
+        limiter.connect(audioContext.destination);
+
+        ['master', 'music', 'sfx', 'ambience'].forEach(name => {
+            const bus = audioContext.createGain();
+            bus.connect(name === 'master' ? limiter : this.buses.master);
+            this.buses[name] = bus;
+        });
+        audioOutput = this.buses.master;
+        musicOutput = this.buses.music;
+        effectsOutput = this.buses.sfx;
+        ambienceOutput = this.buses.ambience;
 
-        // Set spawn point to center of screen, on ground
-        this.spawnPoint = {
-            x: width / 2,
-            y: groundY - 50 // Slightly above ground
-        };
+        const length = audioContext.sampleRate * SOUND_NOISE_SECONDS;
+        this.noiseBuffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    },
 
-        this.isInitialized = true;
-        console.log("LevelManager Initialized. Spawn Point:", this.spawnPoint);
+    // Start a sound from SOUND_DEFINITIONS (silently skipped without running audio)
+    play: function (name, options = {}) {
+        if (!audioContext || audioContext.state !== 'running') return;
+
+        const sound = SOUND_DEFINITIONS[name];
+        const now = audioContext.currentTime;
+        const lastStarted = this.lastStarted[name];
+        if (sound.minInterval && lastStarted !== undefined && now - lastStarted < sound.minInterval) return;
+
+        this.voices = this.voices.filter(voice => voice.endTime > now);
+        const same = this.voices.filter(voice => voice.name === name);
+        if (same.length >= (sound.maxVoices || SOUND_MAX_VOICES_PER_SOUND)) {
+            this.release(same[0], now);
+        } else if (this.voices.length >= SOUND_MAX_VOICES) {
+            this.release(this.voices[0], now);
+        }
+
+        const voice = { name, output: audioContext.createGain(), sources: [], endTime: now };
+        voice.output.connect(this.buses[sound.bus]);
+        if (options.x !== undefined) {
+            this.place(voice, options.x, options.y, now);
+        }
+        try {
+            sound.play(voice, now, options);
+        } catch (e) {
+            voice.output.disconnect();
+            return;
+        }
+        this.voices.push(voice);
+        this.lastStarted[name] = now;
     },
 
-    spawnRobotAtStart: function () {
-        if (!this.isInitialized) this.init();
+    // Where sounds are heard from
+    getListener: function () {
+        const pilot = currentWeapon === 'robot' ? robot : (currentWeapon === 'ufo' ? ufo : null);
+        if (pilot) {
+            return { x: pilot.x + pilot.width / 2, y: pilot.y + pilot.height / 2 };
+        }
+        return { x: Camera.x + Camera.getVisibleWidth() / 2, y: Camera.y + Camera.getVisibleHeight() / 2 };
+    },
 
-        // Clear existing robot
-        robot = null;
+    // Pan by screen position (-1 at the left edge of the view, 1 at the right) and set the
+    // distance volume; y defaults to the listener's height
+    place: function (sound, x, y, now) {
+        const listener = this.getListener();
+        const distance = Math.hypot(x - listener.x, (y === undefined ? listener.y : y) - listener.y);
+        const volume = distance <= SOUND_REFERENCE_DISTANCE ? 1 : SOUND_REFERENCE_DISTANCE / distance;
+        const pan = Math.max(-1, Math.min(1, (x - Camera.x) / Camera.getVisibleWidth() * 2 - 1));
+
+        if (!sound.panner && audioContext.createStereoPanner) {
+            // Re-route output -> bus through the panner
+            const bus = this.buses[(SOUND_DEFINITIONS[sound.name] || SOUND_LOOP_DEFINITIONS[sound.name]).bus];
+            sound.panner = audioContext.createStereoPanner();
+            sound.output.disconnect();
+            sound.output.connect(sound.panner);
+            sound.panner.connect(bus);
+            sound.panner.pan.value = pan;
+            sound.output.gain.value = volume;
+            return;
+        }
+        if (sound.panner) {
+            sound.panner.pan.setTargetAtTime(pan, now, 0.05);
+        }
+        sound.output.gain.setTargetAtTime(volume, now, 0.05);
+    },
 
-        // Create new robot at spawn point
-        robot = new Robot(this.spawnPoint.x, this.spawnPoint.y);
+    // Keep one loop per entity in the list: start it for new ones, move it with them and
+    // fade it out once they're gone (called every frame)
+    syncLoops: function (name, entities) {
+        if (!audioContext || audioContext.state !== 'running') return;
+        const now = audioContext.currentTime;
 
-        // Ensure robot mode is active
-        currentWeapon = 'robot';
+        this.loops.forEach((loop, entity) => {
+            if (loop.name === name && !entities.includes(entity)) {
+                this.stopLoop(loop, now);
+                this.loops.delete(entity);
+            }
+        });
 
-        // Update UI
-        const weaponButtons = document.querySelectorAll('.weapon-btn');
-        weaponButtons.forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.weapon === 'robot') {
-                btn.classList.add('active');
+        entities.forEach(entity => {
+            let loop = this.loops.get(entity);
+            if (!loop) {
+                loop = this.startLoop(name, now);
+                this.loops.set(entity, loop);
             }
+            this.place(loop, entity.x, entity.y, now);
         });
+    },
 
-        const robotControlsUI = document.getElementById('robotControls');
-        if (robotControlsUI) robotControlsUI.style.display = 'flex';
+    startLoop: function (name, now) {
+        const definition = SOUND_LOOP_DEFINITIONS[name];
+        const loop = { name, output: audioContext.createGain(), fade: audioContext.createGain(), panner: null, sources: [] };
+        loop.fade.gain.setValueAtTime(0.0001, now);
+        loop.fade.gain.exponentialRampToValueAtTime(1, now + 0.6);
+        loop.fade.connect(loop.output);
+        loop.output.connect(this.buses[definition.bus]);
+        definition.start(loop, now);
+        return loop;
+    },
 
-        console.log("Robot spawned at Level Start Point");
+    stopLoop: function (loop, now) {
+        loop.fade.gain.setTargetAtTime(0, now, 0.2);
+        loop.sources.forEach(source => source.stop(now + 1));
+    },
+
+    // Looping filtered noise into a loop's fade node; returns { filter, gain } for shaping
+    loopNoise: function (loop, time, filterType, frequency, q) {
+        const source = audioContext.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        const filter = audioContext.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+        filter.Q.value = q;
+        const gain = audioContext.createGain();
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(loop.fade);
+        source.start(time, Math.random() * SOUND_NOISE_SECONDS);
+        loop.sources.push(source);
+        return { filter, gain };
+    },
+
+    // Fade a voice out quickly to make room for a new one
+    release: function (voice, now) {
+        voice.output.gain.setTargetAtTime(0, now, 0.015);
+        voice.sources.forEach(source => {
+            try {
+                source.stop(now + 0.08);
+            } catch (e) { }
+        });
+        this.voices.splice(this.voices.indexOf(voice), 1);
+    },
+
+    // Attack/decay envelope on a new gain node feeding the voice
+    envelope: function (voice, time, gain, attack, duration) {
+        const node = audioContext.createGain();
+        node.gain.setValueAtTime(0.0001, time);
+        node.gain.linearRampToValueAtTime(gain, time + attack);
+        node.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+        node.connect(voice.output);
+        return node;
+    },
+
+    schedule: function (voice, source, time, duration, offset = 0) {
+        source.start(time, offset);
+        source.stop(time + duration + 0.05);
+        voice.sources.push(source);
+        voice.endTime = Math.max(voice.endTime, time + duration + 0.05);
+    },
+
+    // Oscillator, optionally sweeping to endFrequency
+    tone: function (voice, time, { type, frequency, endFrequency, gain, attack = 0.005, duration }) {
+        const oscillator = audioContext.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        if (endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+        }
+        oscillator.connect(this.envelope(voice, time, gain, attack, duration));
+        this.schedule(voice, oscillator, time, duration);
+    },
+
+    // Filtered white noise, optionally sweeping the filter to endFrequency
+    noise: function (voice, time, { filter, frequency, endFrequency, q = 1, gain, attack = 0.005, duration }) {
+        const source = audioContext.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+
+        const biquad = audioContext.createBiquadFilter();
+        biquad.type = filter;
+        biquad.Q.value = q;
+        biquad.frequency.setValueAtTime(frequency, time);
+        if (endFrequency) {
+            biquad.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+        }
+
+        source.connect(biquad);
+        biquad.connect(this.envelope(voice, time, gain, attack, duration));
+        this.schedule(voice, source, time, duration, Math.random() * SOUND_NOISE_SECONDS);
+    },
+
+    // Debug overlay line
+    getStatus: function () {
+        if (!audioContext) return 'Sound: off';
+        return `Sound: ${this.voices.filter(voice => voice.endTime > audioContext.currentTime).length} voices`;
     }
 };
 
 // ============================================
-// Weapon Selection UI
+// Adaptive Music (sequencer)
 // ============================================
 
-function initWeaponUI() {
-    const weaponButtons = document.querySelectorAll('.weapon-btn');
-    const hintText = document.getElementById('hintText');
-    const robotControlsUI = document.getElementById('robotControls');
-    const detonateBtn = document.getElementById('detonateBtn');
-
-    weaponButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const weapon = btn.dataset.weapon;
-            currentWeapon = weapon;
-
-            // Update active state
-            weaponButtons.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-
-            // Update hint text
-            if (weapon === 'robot') {
-                hintText.textContent = 'Move with controls, R/T for Arm Lasers';
-                robotControlsUI.style.display = 'flex';
-                detonateBtn.style.display = 'none';
-                // Reset laser firing when switching to robot mode
-                if (robot) {
-                    robot.laserFiring = false;
-                }
-                mouseButtonHeld = false;
-            } else if (weapon === 'sticky') {
-                // Stop laser firing when switching away from robot mode
-                if (robot) {
-                    robot.laserFiring = false;
-                }
-                mouseButtonHeld = false;
-                hintText.textContent = 'Tap to place bomb, then detonate';
-                robotControlsUI.style.display = 'none';
-                updateDetonateButton();
-            } else {
-                hintText.textContent = 'Tap anywhere to strike';
-                robotControlsUI.style.display = 'none';
-                detonateBtn.style.display = 'none';
-            }
+// The soundtrack is a step sequencer on the music bus. The frame loop schedules steps a little
+// ahead on the audio clock, so timing stays tight however frames land. Destruction intensity
+// (recent damage, collapsing buildings, tornadoes and meteors) picks the section at each bar
+// and fades parts in and out; the level's `music` id picks the theme.
+const MUSIC_LOOKAHEAD = 0.2; // Seconds of steps scheduled ahead of the audio clock
+const MUSIC_STEPS_PER_BAR = 16; // Sixteenth notes
+const MUSIC_DAMAGE_DECAY = 3; // Seconds for recent damage to fall to ~37%
+const MUSIC_DAMAGE_FULL = 1500; // Recent damage that alone reaches full intensity
+const MUSIC_INTENSITY_RISE = 0.5; // Smoothing (seconds): builds up quickly...
+const MUSIC_INTENSITY_FALL = 6; // ...and calms down slowly
+const MUSIC_DEFAULT_THEME = 'downtown';
+
+// root is a MIDI note, scale the semitones above it, progression the scale degree each bar's
+// chord is built on (cycled); the rest set each part's waveform and the hi-hat brightness.
+const MUSIC_THEMES = {
+    downtown: { tempo: 112, root: 45, scale: [0, 2, 3, 5, 7, 8, 10], progression: [0, 5, 3, 4], bass: 'square', pad: 'triangle', arp: 'sawtooth', hat: 7000 },
+    industrial: { tempo: 96, root: 40, scale: [0, 1, 3, 5, 7, 8, 10], progression: [0, 1, 0, 6], bass: 'sawtooth', pad: 'square', arp: 'square', hat: 4500 },
+    skyline: { tempo: 124, root: 50, scale: [0, 2, 3, 5, 7, 9, 10], progression: [0, 3, 4, 3], bass: 'triangle', pad: 'sawtooth', arp: 'triangle', hat: 9000 },
+    harbor: { tempo: 104, root: 43, scale: [0, 2, 4, 5, 7, 9, 10], progression: [0, 6, 3, 0], bass: 'triangle', pad: 'triangle', arp: 'square', hat: 6000 },
+    lab: { tempo: 132, root: 48, scale: [0, 2, 3, 5, 7, 8, 11], progression: [0, 4, 5, 4], bass: 'square', pad: 'sine', arp: 'square', hat: 10000 }
+};
 
-            // Spawn robot if switching to robot mode (ALWAYS spawn)
-            if (weapon === 'robot') {
-                // Use LevelManager to spawn
-                LevelManager.spawnRobotAtStart();
-            }
+// Arrangements, calmest first; from the next bar the sequencer plays the last one whose
+// minIntensity is reached. One character per step: a digit picks a chord tone (0 root,
+// 1 third, 2 fifth, 3 octave), 'x' is a drum hit and '.' a rest. Pads hold each bar's chord.
+const MUSIC_SECTIONS = [
+    { name: 'calm', minIntensity: 0, bass: '0.......0...2...', arp: '0...2...1...2...', kick: '................', snare: '................', hat: '........x.......' },
+    { name: 'build', minIntensity: 0.3, bass: '0...0.0.0...2.0.', arp: '0.1.2.1.0.1.2.1.', kick: 'x.......x.......', snare: '............x...', hat: '..x...x...x...x.' },
+    { name: 'chaos', minIntensity: 0.65, bass: '0.0.0.0.2.2.0.3.', arp: '0123012301230123', kick: 'x...x...x...x...', snare: '....x.......x...', hat: 'x.xxx.xxx.xxx.xx' }
+];
+
+// Part levels; a fadeIn [from, to] intensity range brings the part in (others always play)
+const MUSIC_PARTS = {
+    pad: { gain: 0.04 },
+    bass: { gain: 0.12 },
+    arp: { gain: 0.05, fadeIn: [0.1, 0.4] },
+    drums: { gain: 0.35, fadeIn: [0.2, 0.5] }
+};
 
-            // Handle UFO mode: open drawer to select variant
-            if (weapon === 'ufo') {
-                // Open UFO drawer to select variant (don't spawn immediately)
-                openUFODrawer();
-                // Only spawn UFO if variant was explicitly selected, otherwise wait for selection
-                if (ufoVariantSelected && ufoVariant) {
-                    if (!ufo) {
-                        spawnUFO();
-                    }
-                }
-            } else {
-                // Close drawer when switching away from UFO
-                closeUFODrawer();
-            }
+const MusicSequencer = {
+    output: null, // Fades the whole soundtrack in and out, feeds the music bus
+    parts: {}, // Part name -> GainNode
+    playing: false,
+    themeId: null,
+    section: MUSIC_SECTIONS[0],
+    step: 0, // Next step to schedule within the bar
+    bar: 0, // Bars played (walks the progression)
+    nextStepTime: 0, // audioContext time of the next step
+    recentDamage: 0, // Building health removed lately (decays)
+    intensity: 0, // Smoothed 0-1
+
+    start: function () {
+        const now = audioContext.currentTime;
+        if (!this.output) {
+            this.output = audioContext.createGain();
+            this.output.gain.value = 0;
+            this.output.connect(musicOutput);
+            Object.keys(MUSIC_PARTS).forEach(name => {
+                this.parts[name] = audioContext.createGain();
+                this.parts[name].gain.value = this.getPartLevel(name);
+                this.parts[name].connect(this.output);
+            });
+        }
+        this.output.gain.cancelScheduledValues(now);
+        this.output.gain.setTargetAtTime(1, now, 0.3);
+        this.playing = true;
+        this.step = 0;
+        this.bar = 0;
+        this.nextStepTime = now + 0.1;
+    },
 
-            // Update UI visibility
-            const robotControlsUI = document.getElementById('robotControls');
-            const ufoControlsUI = document.getElementById('ufoControls');
-            if (weapon === 'robot') {
-                robotControlsUI.style.display = 'flex';
-                ufoControlsUI.style.display = 'none';
-            } else if (weapon === 'ufo') {
-                robotControlsUI.style.display = 'none';
-                ufoControlsUI.style.display = 'flex';
-            } else {
-                robotControlsUI.style.display = 'none';
-                ufoControlsUI.style.display = 'none';
-            }
-
-            // Reset laser/tractor/invisibility states when switching away
-            if (weapon !== 'ufo') {
-                ufoControls.laser = false;
-                ufoControls.tractor = false;
-                ufoControls.invisibility = false;
-                if (ufo) {
-                    ufo.laserActive = false;
-                    ufo.tractorActive = false;
-                    ufo.invisible = false;
-                }
-            }
+    // Fade out; steps already scheduled play into the fade
+    stop: function () {
+        if (!this.playing) return;
+        this.playing = false;
+        const now = audioContext.currentTime;
+        this.output.gain.cancelScheduledValues(now);
+        this.output.gain.setTargetAtTime(0, now, 0.2);
+    },
 
-            // Update hint text
-            if (weapon === 'ufo') {
-                hintText.textContent = 'UFO: Hold E=Laser, Hold F=Tractor, O=Stealth';
-                updateStealthIndicator();
-            } else {
-                const stealthIndicator = document.getElementById('ufoStealthIndicator');
-                if (stealthIndicator) {
-                    stealthIndicator.style.display = 'none';
-                }
+    // Called as buildings take damage
+    addDamage: function (amount) {
+        if (this.playing) {
+            this.recentDamage += amount;
+        }
+    },
+
+    // Once per frame: follow the intensity and schedule the steps due within the lookahead
+    update: function (frameTime) {
+        if (!this.playing) return;
+        const dt = frameTime / 1000;
+        this.recentDamage *= Math.exp(-dt / MUSIC_DAMAGE_DECAY);
+        const target = this.measureIntensity();
+        const smoothing = target > this.intensity ? MUSIC_INTENSITY_RISE : MUSIC_INTENSITY_FALL;
+        this.intensity += (target - this.intensity) * (1 - Math.exp(-dt / smoothing));
+
+        const now = audioContext.currentTime;
+        Object.keys(this.parts).forEach(name => {
+            this.parts[name].gain.setTargetAtTime(this.getPartLevel(name), now, 0.1);
+        });
+
+        // After a stall (hidden tab) carry on from now instead of cramming in the missed steps
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now + 0.05;
+        }
+        while (this.nextStepTime < now + MUSIC_LOOKAHEAD) {
+            this.scheduleStep(this.nextStepTime);
+            this.nextStepTime += 60 / MUSIC_THEMES[this.themeId].tempo / 4;
+            this.step = (this.step + 1) % MUSIC_STEPS_PER_BAR;
+            if (this.step === 0) {
+                this.bar++;
             }
+        }
+    },
+
+    // Target intensity (0-1) from what's happening in the world right now
+    measureIntensity: function () {
+        const collapsing = buildings.filter(building => building.state === 'collapsing').length;
+        const damage = Math.min(1, this.recentDamage / MUSIC_DAMAGE_FULL);
+        return Math.min(1, damage * 0.6 + collapsing * 0.15 + tornados.length * 0.25 + meteors.length * 0.1);
+    },
+
+    getPartLevel: function (name) {
+        const part = MUSIC_PARTS[name];
+        if (!part.fadeIn) return part.gain;
+        const [from, to] = part.fadeIn;
+        return part.gain * Math.max(0, Math.min(1, (this.intensity - from) / (to - from)));
+    },
+
+    // Theme and section only change on a bar line
+    scheduleStep: function (time) {
+        if (this.step === 0) {
+            const id = currentLevel && currentLevel.music;
+            this.themeId = MUSIC_THEMES[id] ? id : MUSIC_DEFAULT_THEME;
+            this.section = MUSIC_SECTIONS.filter(section => this.intensity >= section.minIntensity).pop();
+        }
+        const theme = MUSIC_THEMES[this.themeId];
+        const section = this.section;
+        const stepLength = 60 / theme.tempo / 4;
+        const chord = this.getChord(theme, theme.progression[this.bar % theme.progression.length]);
+
+        if (this.step === 0) {
+            chord.slice(0, 3).forEach(note => {
+                SoundEngine.tone(this.voice('pad'), time, { type: theme.pad, frequency: this.getFrequency(note + 12), gain: 0.6, attack: 0.4, duration: stepLength * MUSIC_STEPS_PER_BAR });
+            });
+        }
+
+        const bassTone = section.bass[this.step];
+        if (bassTone !== '.') {
+            SoundEngine.tone(this.voice('bass'), time, { type: theme.bass, frequency: this.getFrequency(chord[bassTone]), gain: 1, duration: stepLength * 1.8 });
+        }
+        const arpTone = section.arp[this.step];
+        if (arpTone !== '.') {
+            SoundEngine.tone(this.voice('arp'), time, { type: theme.arp, frequency: this.getFrequency(chord[arpTone] + 24), gain: 1, duration: stepLength * 0.9 });
+        }
+
+        if (section.kick[this.step] === 'x') {
+            SoundEngine.tone(this.voice('drums'), time, { type: 'sine', frequency: 150, endFrequency: 45, gain: 1, duration: 0.25 });
+        }
+        if (section.snare[this.step] === 'x') {
+            SoundEngine.noise(this.voice('drums'), time, { filter: 'bandpass', frequency: 1800, gain: 0.5, duration: 0.15 });
+        }
+        if (section.hat[this.step] === 'x') {
+            SoundEngine.noise(this.voice('drums'), time, { filter: 'highpass', frequency: theme.hat, gain: 0.25, duration: 0.05 });
+        }
+    },
+
+    // Root, third, fifth and octave (MIDI notes) of the triad on a scale degree
+    getChord: function (theme, degree) {
+        const note = offset => {
+            const index = degree + offset;
+            return theme.root + theme.scale[index % theme.scale.length] + 12 * Math.floor(index / theme.scale.length);
+        };
+        return [note(0), note(2), note(4), note(0) + 12];
+    },
+
+    getFrequency: function (note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    },
+
+    // Notes go through SoundEngine's builders; their nodes stop by themselves, so the voice
+    // is only a handle on the part to play into
+    voice: function (part) {
+        return { output: this.parts[part], sources: [], endTime: 0 };
+    },
+
+    // Debug overlay line
+    getStatus: function () {
+        if (!this.playing) return 'Music: off';
+        return `Music: ${this.themeId}, ${this.section.name} (intensity ${this.intensity.toFixed(2)})`;
+    }
+};
+
+// ============================================
+// Level Manager (Manages Game Flow and Spawning)
+// ============================================
+
+const LevelManager = {
+    spawnPoint: { x: 0, y: 0 }, // Will be set on init
+    isInitialized: false,
+
+    init: function () {
+        this.updateSpawnPoint();
+
+        this.isInitialized = true;
+        console.log("LevelManager Initialized. Spawn Point:", this.spawnPoint);
+    },
+
+    // Spawn point depends on the level's world width (called for every new city)
+    updateSpawnPoint: function () {
+        const width = worldWidth;
+        const height = worldHeight;
+        const groundY = height * 0.85;
+
+        // Set spawn point to center of the world, on ground
+        this.spawnPoint = {
+            x: width / 2,
+            y: groundY - 50 // Slightly above ground
+        };
+    },
+
+    spawnRobotAtStart: function () {
+        if (!this.isInitialized) this.init();
+
+        // Clear existing robot
+        robot = null;
+
+        // Create new robot at spawn point
+        robot = new Robot(this.spawnPoint.x, this.spawnPoint.y);
+
+        // Ensure robot mode is active
+        currentWeapon = 'robot';
+        updateWeaponUI();
+
+        console.log("Robot spawned at Level Start Point");
+    }
+};
+
+// ============================================
+// Weapon Selection UI
+// ============================================
+
+function initWeaponUI() {
+    const weaponButtons = document.querySelectorAll('.weapon-btn');
+    const detonateBtn = document.getElementById('detonateBtn');
+
+    weaponButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const weapon = btn.dataset.weapon;
+            if (!ReplayManager.captureAction('weapon', { weapon })) return;
+            selectWeapon(weapon);
         });
     });
 
     // Detonate button handler
     detonateBtn.addEventListener('click', () => {
+        if (!ReplayManager.captureAction('detonate')) return;
         detonateAllStickyBombs();
     });
 
@@ -421,6 +1391,87 @@ function initWeaponUI() {
     initUFODrawer();
 }
 
+// Switch weapon/mode (weapon toolbar, replay playback)
+function selectWeapon(weapon) {
+    if (!MissionManager.isWeaponAllowed(weapon)) return;
+
+    currentWeapon = weapon;
+
+    // Reset laser firing when switching to robot or sticky mode
+    if (weapon === 'robot' || weapon === 'sticky') {
+        if (robot) {
+            robot.laserFiring = false;
+        }
+        mouseButtonHeld = false;
+    }
+
+    // Spawn robot if switching to robot mode (ALWAYS spawn)
+    if (weapon === 'robot') {
+        // Use LevelManager to spawn
+        LevelManager.spawnRobotAtStart();
+    }
+
+    // Handle UFO mode: open drawer to select variant
+    if (weapon === 'ufo') {
+        // Open UFO drawer to select variant (don't spawn immediately)
+        openUFODrawer();
+        // Only spawn UFO if variant was explicitly selected, otherwise wait for selection
+        if (ufoVariantSelected && ufoVariant) {
+            if (!ufo) {
+                spawnUFO();
+            }
+        }
+    } else {
+        // Close drawer when switching away from UFO
+        closeUFODrawer();
+    }
+
+    // Reset laser/tractor/invisibility states when switching away
+    if (weapon !== 'ufo') {
+        ufoControls.laser = false;
+        ufoControls.tractor = false;
+        ufoControls.invisibility = false;
+        if (ufo) {
+            ufo.laserActive = false;
+            ufo.tractorActive = false;
+            ufo.invisible = false;
+        }
+    }
+
+    updateWeaponUI();
+}
+
+// Reflect currentWeapon in the toolbar, hint text and on-screen controls
+function updateWeaponUI() {
+    if (HEADLESS) return;
+
+    const weapon = currentWeapon;
+    const hintText = document.getElementById('hintText');
+    const robotControlsUI = document.getElementById('robotControls');
+    const ufoControlsUI = document.getElementById('ufoControls');
+
+    // Update active state
+    document.querySelectorAll('.weapon-btn').forEach(b => b.classList.toggle('active', b.dataset.weapon === weapon));
+
+    // Update hint text
+    if (weapon === 'robot') {
+        hintText.textContent = 'Move with controls, R/T for Arm Lasers';
+    } else if (weapon === 'sticky') {
+        hintText.textContent = 'Tap to place bomb, then detonate';
+    } else if (weapon === 'ufo') {
+        hintText.textContent = 'UFO: Hold E=Laser, Hold F=Tractor, O=Stealth';
+    } else {
+        hintText.textContent = 'Tap anywhere to strike';
+    }
+
+    // Update UI visibility (detonate button and stealth indicator hide themselves in other modes)
+    const onScreen = showOnScreenControls();
+    robotControlsUI.style.display = weapon === 'robot' && onScreen ? 'flex' : 'none';
+    ufoControlsUI.style.display = weapon === 'ufo' && onScreen ? 'flex' : 'none';
+    updateDetonateButton();
+    updateStealthIndicator();
+}
+
 function initUFODrawer() {
     const drawer = document.getElementById('ufoDrawer');
     const variantCards = drawer.querySelectorAll('.variant-card');
@@ -428,6 +1479,7 @@ function initUFODrawer() {
     variantCards.forEach(card => {
         card.addEventListener('click', () => {
             const variant = card.dataset.variant;
+            if (!ReplayManager.captureAction('ufoVariant', { variant })) return;
             selectUFOVariant(variant);
             closeUFODrawer();
         });
@@ -445,6 +1497,8 @@ function initUFODrawer() {
 }
 
 function openUFODrawer() {
+    if (HEADLESS) return;
+
     const drawer = document.getElementById('ufoDrawer');
     if (drawer) {
         drawer.style.display = 'block';
@@ -462,6 +1516,8 @@ function openUFODrawer() {
 }
 
 function closeUFODrawer() {
+    if (HEADLESS) return;
+
     const drawer = document.getElementById('ufoDrawer');
     if (drawer) {
         drawer.style.display = 'none';
@@ -470,6 +1526,8 @@ function closeUFODrawer() {
 }
 
 function selectUFOVariant(variant) {
+    if (!MissionManager.isWeaponAllowed('ufo')) return;
+
     ufoVariant = variant;
     ufoVariantSelected = true; // Mark that user has selected a variant
 
@@ -483,30 +1541,15 @@ function selectUFOVariant(variant) {
 
     // Ensure UFO mode is active
     currentWeapon = 'ufo';
-    const weaponButtons = document.querySelectorAll('.weapon-btn');
-    weaponButtons.forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.weapon === 'ufo') {
-            btn.classList.add('active');
-        }
-    });
-
-    // Update UI
-    const robotControlsUI = document.getElementById('robotControls');
-    const ufoControlsUI = document.getElementById('ufoControls');
-    if (robotControlsUI) robotControlsUI.style.display = 'none';
-    if (ufoControlsUI) ufoControlsUI.style.display = 'flex';
-
-    const hintText = document.getElementById('hintText');
-    if (hintText) {
-        hintText.textContent = 'UFO: Hold E=Laser, Hold F=Tractor, O=Stealth';
-    }
+    updateWeaponUI();
 
     // Close drawer after selection
     closeUFODrawer();
 }
 
 function updateDetonateButton() {
+    if (HEADLESS) return;
+
     const detonateBtn = document.getElementById('detonateBtn');
     const count = stickyBombs.length;
 
@@ -521,6 +1564,8 @@ function updateDetonateButton() {
 }
 
 function updateStealthIndicator() {
+    if (HEADLESS) return;
+
     const stealthIndicator = document.getElementById('ufoStealthIndicator');
     if (!stealthIndicator) return;
 
@@ -536,22 +1581,24 @@ function updateStealthIndicator() {
 // ============================================
 
 class Building {
-    constructor(x, y, width, height) {
+    constructor(x, y, width, height, buildingMix = DEFAULT_BUILDING_MIX) {
         this.x = x;
         this.y = y;
         this.width = width;
         this.height = height;
-        this.maxHealth = 300 + Math.random() * 200; // 300-500 base health
+        this.tag = null; // Mission target tag (e.g. 'zenith'), set by MissionManager
+        this.tagLabel = null;
+        this.maxHealth = 300 + random() * 200; // 300-500 base health
         this.health = this.maxHealth;
-        this.materialResistance = 0.7 + Math.random() * 0.6; // 0.7-1.3
+        this.materialResistance = 0.7 + random() * 0.6; // 0.7-1.3
         this.state = 'alive'; // 'alive' | 'collapsing' | 'collapsed'
         this.destroyed = false; // Legacy flag (set when collapsed)
         this.collapsing = false; // Legacy flag
         this.collapseProgress = 0;
         this.collapseStartTime = null; // Timestamp when collapse started
-        this.collapseDuration = 900 + Math.random() * 700; // 900-1600ms
+        this.collapseDuration = 900 + random() * 700; // 900-1600ms
         this.lastDebrisSpawn = 0; // Last time debris was spawned during collapse
-        this.debrisSpawnInterval = 100 + Math.random() * 80; // 100-180ms between bursts
+        this.debrisSpawnInterval = 100 + random() * 80; // 100-180ms between bursts
         this.shakeX = 0;
         this.shakeY = 0;
         this.shakeDecay = 0.9;
@@ -563,21 +1610,21 @@ class Building {
         this.impactScars = []; // Array of impact scar objects {x, y, radius, opacity}
         this.impactScarCache = null; // Cached impact scar overlay
         this.lastHitTime = 0; // For wobble/dust effects
-        this.buildingId = Math.floor(Math.random() * 1000000); // Unique ID for deterministic effects
+        this.buildingId = Math.floor(random() * 1000000); // Unique ID for deterministic effects
 
         // Voxel cutout grid for UFO tractor pixelation
         this.voxelCutouts = new Set(); // Set of strings like "x,y" representing removed voxel positions
         this.voxelGridSize = 10; // Size of each voxel square
         this.lastVoxelSpawnTime = 0; // Rate limiting for voxel spawns
 
-        // Building style/material type
-        const styleRoll = Math.random();
-        if (styleRoll < 0.4) {
-            this.buildingStyle = 'glass'; // 40% glass towers
-        } else if (styleRoll < 0.7) {
-            this.buildingStyle = 'brick'; // 30% brick/stone
+        // Building style/material type (weights come from the level's buildingMix)
+        const styleRoll = random() * (buildingMix.glass + buildingMix.brick + buildingMix.concrete);
+        if (styleRoll < buildingMix.glass) {
+            this.buildingStyle = 'glass'; // Glass towers
+        } else if (styleRoll < buildingMix.glass + buildingMix.brick) {
+            this.buildingStyle = 'brick'; // Brick/stone
         } else {
-            this.buildingStyle = 'concrete'; // 30% concrete office
+            this.buildingStyle = 'concrete'; // Concrete office
         }
 
         // Glass colors (cool blues/teals) - only for glass buildings
@@ -587,7 +1634,7 @@ class Building {
             { top: '#4a8a9a', mid: '#3a7a8a', bottom: '#2a6a7a' }, // Cyan-blue
             { top: '#5a7a9a', mid: '#4a6a8a', bottom: '#3a5a7a' }  // Steel-blue
         ];
-        this.glassColor = glassColors[Math.floor(Math.random() * glassColors.length)];
+        this.glassColor = glassColors[Math.floor(random() * glassColors.length)];
 
         // Brick colors (warm gray/brown)
         const brickColors = [
@@ -595,7 +1642,7 @@ class Building {
             { base: '#6a5a4a', dark: '#5a4a3a', light: '#7a6a5a' }, // Dark brown
             { base: '#8a7a6a', dark: '#7a6a5a', light: '#9a8a7a' }  // Light brown
         ];
-        this.brickColor = brickColors[Math.floor(Math.random() * brickColors.length)];
+        this.brickColor = brickColors[Math.floor(random() * brickColors.length)];
 
         // Concrete colors (neutral gray)
         const concreteColors = [
@@ -603,15 +1650,15 @@ class Building {
             { base: '#5a5a5a', dark: '#4a4a4a', light: '#6a6a6a' }, // Dark gray
             { base: '#7a7a7a', dark: '#6a6a6a', light: '#8a8a8a' }  // Light gray
         ];
-        this.concreteColor = concreteColors[Math.floor(Math.random() * concreteColors.length)];
+        this.concreteColor = concreteColors[Math.floor(random() * concreteColors.length)];
 
         // Architectural features
-        this.hasSetback = Math.random() > 0.7;
-        this.setbackHeight = this.hasSetback ? Math.random() * 0.15 + 0.1 : 0; // 10-25% of height
-        this.hasAntenna = Math.random() < 0.3; // 30% have antennas
-        this.antennaHeight = this.hasAntenna ? Math.random() * 25 + 15 : 0;
-        this.hasRooftopBox = Math.random() > 0.5;
-        this.rooftopBoxSize = Math.random() * 15 + 10;
+        this.hasSetback = random() > 0.7;
+        this.setbackHeight = this.hasSetback ? random() * 0.15 + 0.1 : 0; // 10-25% of height
+        this.hasAntenna = random() < 0.3; // 30% have antennas
+        this.antennaHeight = this.hasAntenna ? random() * 25 + 15 : 0;
+        this.hasRooftopBox = random() > 0.5;
+        this.rooftopBoxSize = random() * 15 + 10;
 
         // Window grid configuration (subtle lines)
         this.windowCols = Math.max(3, Math.floor(this.width / 8));
@@ -620,21 +1667,20 @@ class Building {
         // Reflection bands (only for glass buildings)
         this.reflectionBands = [];
         if (this.buildingStyle === 'glass') {
-            const bandCount = Math.floor(Math.random() * 3) + 2; // 2-4 bands
+            const bandCount = Math.floor(random() * 3) + 2; // 2-4 bands
             for (let i = 0; i < bandCount; i++) {
                 this.reflectionBands.push({
-                    x: Math.random() * this.width,
-                    angle: (Math.random() - 0.5) * Math.PI / 6, // Slight diagonal
-                    width: Math.random() * 20 + 15,
-                    opacity: Math.random() * 0.3 + 0.2
+                    x: random() * this.width,
+                    angle: (random() - 0.5) * Math.PI / 6, // Slight diagonal
+                    width: random() * 20 + 15,
+                    opacity: random() * 0.3 + 0.2
                 });
             }
         }
 
-        // Pre-render building to offscreen canvas
+        // Pre-rendered offscreen canvas, built on first render (headless runs never draw)
         this.renderCache = null;
         this.cacheDirty = true;
-        this.buildRenderCache();
     }
 
     buildRenderCache() {
@@ -897,6 +1943,11 @@ class Building {
             finalDamage = adjustedDamage * falloff;
         }
 
+        // Score only the health actually removed (no points for overkill)
+        const removed = Math.min(finalDamage, Math.max(0, this.health));
+        ScoreManager.awardDamage(this, removed);
+        MusicSequencer.addDamage(removed);
+
         this.health -= finalDamage;
 
         // Update damage stage (0=100-76%, 1=75-51%, 2=50-21%, 3=20-1%)
@@ -931,13 +1982,13 @@ class Building {
         // Add impact scar at hit location
         if (distance > 0 && distance < maxDistance) {
             // Calculate impact point (approximate)
-            const impactX = this.x + this.width / 2 + (Math.random() - 0.5) * this.width * 0.3;
-            const impactY = this.y + this.height * 0.3 + (Math.random() - 0.5) * this.height * 0.4;
+            const impactX = this.x + this.width / 2 + (random() - 0.5) * this.width * 0.3;
+            const impactY = this.y + this.height * 0.3 + (random() - 0.5) * this.height * 0.4;
             this.addImpactScar(impactX - this.x, impactY - this.y, Math.min(15, maxDistance * 0.1));
         }
 
         // Add wobble and dust on hit
-        const currentTime = Date.now();
+        const currentTime = simTime;
         if (currentTime - this.lastHitTime > 100) { // Rate limit
             this.applyShake(2 + this.damageStage * 1.5);
             this.spawnDustPuff(distance > 0 ? distance : this.width / 2);
@@ -973,34 +2024,34 @@ class Building {
             if (microDebris.length >= MAX_MICRO_DEBRIS) break;
 
             // Random spawn position on building
-            const spawnX = this.x + Math.random() * this.width;
-            const spawnY = this.y + Math.random() * this.height * 0.6; // Upper/mid section
+            const spawnX = this.x + random() * this.width;
+            const spawnY = this.y + random() * this.height * 0.6; // Upper/mid section
 
             // Very small debris size (micro)
-            const debrisW = Math.random() * 2 + 1;
-            const debrisH = Math.random() * 2 + 1;
+            const debrisW = random() * 2 + 1;
+            const debrisH = random() * 2 + 1;
 
             // Initial velocity (slight outward + downward)
-            const angle = (Math.random() - 0.5) * Math.PI * 0.4;
-            const speed = 0.5 + Math.random() * 1.5;
+            const angle = (random() - 0.5) * Math.PI * 0.4;
+            const speed = 0.5 + random() * 1.5;
             const velocityX = Math.sin(angle) * speed;
             const velocityY = Math.cos(angle) * speed + 0.5;
 
             // Choose color based on building style
             let debrisColor;
             if (this.buildingStyle === 'glass') {
-                debrisColor = Math.random() < 0.5 ? this.glassColor.mid : '#2a3a4a';
+                debrisColor = random() < 0.5 ? this.glassColor.mid : '#2a3a4a';
             } else if (this.buildingStyle === 'brick') {
-                debrisColor = Math.random() < 0.5 ? this.brickColor.base : '#4a3a2a';
+                debrisColor = random() < 0.5 ? this.brickColor.base : '#4a3a2a';
             } else {
-                debrisColor = Math.random() < 0.5 ? this.concreteColor.base : '#3a3a3a';
+                debrisColor = random() < 0.5 ? this.concreteColor.base : '#3a3a3a';
             }
 
             // Add 3D properties
-            const initialZ = (Math.random() - 0.5) * 80;
-            const initialVz = (Math.random() - 0.5) * 0.3;
+            const initialZ = (random() - 0.5) * 80;
+            const initialVz = (random() - 0.5) * 0.3;
 
-            microDebris.push(new MicroDebris(
+            microDebris.push(Pools.acquire(MicroDebris,
                 spawnX, spawnY,
                 debrisW, debrisH,
                 debrisColor,
@@ -1020,37 +2071,37 @@ class Building {
         for (let i = 0; i < dustCount; i++) {
             if (dustParticles.length >= MAX_DUST_PARTICLES) break;
 
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * 15;
+            const angle = random() * Math.PI * 2;
+            const distance = random() * 15;
             const spawnX = baseX + Math.cos(angle) * distance;
             const spawnY = baseY + Math.sin(angle) * distance;
 
-            dustParticles.push(new DustParticle(
+            dustParticles.push(Pools.acquire(DustParticle,
                 spawnX, spawnY,
-                Math.random() * 3 + 2, // size
-                Math.cos(angle) * (0.3 + Math.random() * 0.5), // vx
-                -Math.abs(Math.sin(angle)) * (0.5 + Math.random() * 1) - 0.3 // vy (upward)
+                random() * 3 + 2, // size
+                Math.cos(angle) * (0.3 + random() * 0.5), // vx
+                -Math.abs(Math.sin(angle)) * (0.5 + random() * 1) - 0.3 // vy (upward)
             ));
         }
     }
 
     spawnDustPuff(impactDistance) {
         // Spawn small dust particles at impact point
-        const impactX = this.x + this.width / 2 + (Math.random() - 0.5) * impactDistance;
-        const impactY = this.y + Math.random() * this.height * 0.6; // Upper/mid section
+        const impactX = this.x + this.width / 2 + (random() - 0.5) * impactDistance;
+        const impactY = this.y + random() * this.height * 0.6; // Upper/mid section
 
-        const dustCount = 3 + Math.floor(Math.random() * 3);
+        const dustCount = 3 + Math.floor(random() * 3);
         for (let i = 0; i < dustCount; i++) {
             if (buildingDebris.length >= MAX_BUILDING_DEBRIS) break;
 
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 0.5 + Math.random() * 1;
-            const dustW = Math.random() * 2 + 1;
+            const angle = random() * Math.PI * 2;
+            const speed = 0.5 + random() * 1;
+            const dustW = random() * 2 + 1;
             const dustH = dustW;
 
             // Add 3D properties for dust
-            const initialZ = (Math.random() - 0.5) * 50;
-            const initialVz = (Math.random() - 0.5) * 0.2;
+            const initialZ = (random() - 0.5) * 50;
+            const initialVz = (random() - 0.5) * 0.2;
 
             // Use material color for dust, not gray
             let dustColor;
@@ -1062,7 +2113,7 @@ class Building {
                 dustColor = `rgba(${parseInt(this.concreteColor.base.substr(1, 2), 16)}, ${parseInt(this.concreteColor.base.substr(3, 2), 16)}, ${parseInt(this.concreteColor.base.substr(5, 2), 16)}, 0.5)`;
             }
 
-            buildingDebris.push(new BuildingDebris(
+            buildingDebris.push(Pools.acquire(BuildingDebris,
                 impactX, impactY,
                 dustW, dustH,
                 dustColor,
@@ -1075,7 +2126,8 @@ class Building {
     }
 
     buildImpactScarCache() {
-        // Build cached impact scar overlay
+        // Build cached impact scar overlay (built while drawing, so it uses Math.random and
+        // leaves the seeded simulation RNG alone)
         if (this.impactScars.length === 0) {
             this.impactScarCache = null;
             return;
@@ -1125,7 +2177,8 @@ class Building {
     }
 
     buildCrackCache() {
-        // Build cached crack overlay for current damage stage (progressive and very visible)
+        // Build cached crack overlay for current damage stage (progressive and very visible).
+        // Cosmetic like the scar cache: Math.random, not the simulation RNG.
         if (this.damageStage === 0) {
             this.crackCache = null;
             return;
@@ -1311,9 +2364,12 @@ class Building {
         if (this.state !== 'alive') return;
 
         this.state = 'collapsing';
-        this.collapseStartTime = Date.now();
-        this.lastDebrisSpawn = Date.now();
-        this.collapseTilt = (Math.random() - 0.5) * 0.1; // Initial tilt direction
+        this.collapseStartTime = simTime;
+        this.lastDebrisSpawn = simTime;
+        ScoreManager.awardCollapse(this);
+        SoundEngine.play('collapse', { x: this.getCenterX(), y: this.getCenterY(), size: this.height });
+        GamepadInput.rumble(Math.min(1, this.height / 400), 500);
+        this.collapseTilt = (random() - 0.5) * 0.1; // Initial tilt direction
         this.collapseSink = 0;
 
         // Detach any sticky bombs attached to this building
@@ -1330,12 +2386,12 @@ class Building {
         // Update collapse animation and spawn progressive debris
         if (this.state !== 'collapsing') return;
 
-        const now = Date.now();
+        const now = simTime;
         const elapsed = now - this.collapseStartTime;
         const progress = Math.min(1, elapsed / this.collapseDuration);
 
         // Visual deformation: tilt and sink
-        this.collapseTilt += (Math.random() - 0.5) * 0.02 * progress; // Increasing wobble
+        this.collapseTilt += (random() - 0.5) * 0.02 * progress; // Increasing wobble
         this.collapseTilt = Math.max(-0.3, Math.min(0.3, this.collapseTilt)); // Clamp tilt
         this.collapseSink = progress * this.height * 0.15; // Sink up to 15% of height
 
@@ -1352,8 +2408,8 @@ class Building {
         }
 
         // Apply shake during collapse
-        this.shakeX = (Math.random() - 0.5) * 3 * (1 - progress);
-        this.shakeY = (Math.random() - 0.5) * 3 * (1 - progress);
+        this.shakeX = (random() - 0.5) * 3 * (1 - progress);
+        this.shakeY = (random() - 0.5) * 3 * (1 - progress);
 
         // End collapse
         if (progress >= 1) {
@@ -1370,13 +2426,14 @@ class Building {
         // Fewer pieces but larger on average
         const lowerHalfStart = this.y + this.height * 0.5;
         const lowerHalfEnd = this.y + this.height;
-        const burstCount = 2 + Math.floor(progress * 4); // 2-6 pieces per burst (reduced from 3-8)
+        const baseCount = 2 + Math.floor(progress * 4); // 2-6 pieces per burst (reduced from 3-8)
+        const burstCount = Math.max(1, Math.round(baseCount * Tunables.get('quality.debrisDensity')));
 
         for (let i = 0; i < burstCount; i++) {
             if (particles.length >= MAX_PARTICLES) break;
 
-            const px = this.x + Math.random() * this.width;
-            const py = lowerHalfStart + Math.random() * (lowerHalfEnd - lowerHalfStart);
+            const px = this.x + random() * this.width;
+            const py = lowerHalfStart + random() * (lowerHalfEnd - lowerHalfStart);
 
             // Spawn material-aware debris
             if (this.buildingStyle === 'glass') {
@@ -1389,29 +2446,29 @@ class Building {
 
     spawnGlassShard(x, y, collapseProgress) {
         // Spawn glass shard (larger pieces: mix of shards and big panels)
-        const shardType = Math.random();
+        const shardType = random();
         let shardW, shardH;
 
         if (shardType < 0.4) {
             // 40%: Large glass panels (bigger rectangles)
-            const isVertical = Math.random() > 0.5;
-            shardW = isVertical ? Math.random() * 3 + 2 : Math.random() * 12 + 8;
-            shardH = isVertical ? Math.random() * 12 + 8 : Math.random() * 3 + 2;
+            const isVertical = random() > 0.5;
+            shardW = isVertical ? random() * 3 + 2 : random() * 12 + 8;
+            shardH = isVertical ? random() * 12 + 8 : random() * 3 + 2;
         } else {
             // 60%: Medium shards (still visible but not tiny)
-            const isVertical = Math.random() > 0.5;
-            shardW = isVertical ? Math.random() * 2 + 1 : Math.random() * 8 + 4;
-            shardH = isVertical ? Math.random() * 8 + 4 : Math.random() * 2 + 1;
+            const isVertical = random() > 0.5;
+            shardW = isVertical ? random() * 2 + 1 : random() * 8 + 4;
+            shardH = isVertical ? random() * 8 + 4 : random() * 2 + 1;
         }
 
         // High initial velocity, light weight, lots of rotation
-        const angle = (Math.random() - 0.5) * Math.PI;
-        const speed = 4 + Math.random() * 4 + collapseProgress * 3;
+        const angle = (random() - 0.5) * Math.PI;
+        const speed = 4 + random() * 4 + collapseProgress * 3;
         const velocityX = Math.cos(angle) * speed;
         const velocityY = Math.sin(angle) * speed - 1;
 
         // Glass shard colors: cyan/blue/white highlights
-        const colorRoll = Math.random();
+        const colorRoll = random();
         let shardColor;
         if (colorRoll < 0.3) {
             shardColor = '#88ccff'; // Cyan
@@ -1423,10 +2480,10 @@ class Building {
             shardColor = '#ffffff'; // White highlight
         }
 
-        const initialZ = (Math.random() - 0.5) * 150;
-        const initialVz = (Math.random() - 0.5) * 0.8;
+        const initialZ = (random() - 0.5) * 150;
+        const initialVz = (random() - 0.5) * 0.8;
 
-        particles.push(new GlassShard(
+        particles.push(Pools.acquire(GlassShard,
             x, y,
             shardW, shardH,
             shardColor,
@@ -1434,43 +2491,44 @@ class Building {
             initialZ,
             initialVz
         ));
+        SoundEngine.play('glass', { x, y });
     }
 
     spawnBrickConcreteDebris(x, y, collapseProgress) {
         // Spawn larger chunky debris for brick/concrete (dominant larger chunks)
-        const sizeType = Math.random();
+        const sizeType = random();
         let chunkW, chunkH;
 
         if (sizeType < 0.3) {
             // 30%: Large chunks
-            chunkW = Math.random() * 8 + 10;
-            chunkH = Math.random() * 8 + 10;
+            chunkW = random() * 8 + 10;
+            chunkH = random() * 8 + 10;
         } else if (sizeType < 0.7) {
             // 40%: Medium-large chunks
-            chunkW = Math.random() * 6 + 7;
-            chunkH = Math.random() * 6 + 7;
+            chunkW = random() * 6 + 7;
+            chunkH = random() * 6 + 7;
         } else {
             // 30%: Medium chunks (still bigger than before)
-            chunkW = Math.random() * 5 + 6;
-            chunkH = Math.random() * 5 + 6;
+            chunkW = random() * 5 + 6;
+            chunkH = random() * 5 + 6;
         }
 
-        const angle = (Math.random() - 0.5) * Math.PI * 0.6;
-        const speed = 3 + Math.random() * 3 + collapseProgress * 2;
+        const angle = (random() - 0.5) * Math.PI * 0.6;
+        const speed = 3 + random() * 3 + collapseProgress * 2;
         const velocityX = Math.cos(angle) * speed;
         const velocityY = Math.sin(angle) * speed - 0.5;
 
         let chunkColor;
         if (this.buildingStyle === 'brick') {
-            chunkColor = Math.random() < 0.5 ? this.brickColor.base : this.brickColor.dark;
+            chunkColor = random() < 0.5 ? this.brickColor.base : this.brickColor.dark;
         } else {
-            chunkColor = Math.random() < 0.5 ? this.concreteColor.base : this.concreteColor.dark;
+            chunkColor = random() < 0.5 ? this.concreteColor.base : this.concreteColor.dark;
         }
 
-        const initialZ = (Math.random() - 0.5) * 120;
-        const initialVz = (Math.random() - 0.5) * 0.6;
+        const initialZ = (random() - 0.5) * 120;
+        const initialVz = (random() - 0.5) * 0.6;
 
-        particles.push(new Particle(
+        particles.push(Pools.acquire(Particle,
             x, y,
             chunkW, chunkH,
             chunkColor,
@@ -1480,17 +2538,17 @@ class Building {
         ));
 
         // Spawn dust puff occasionally
-        if (Math.random() < 0.3) {
-            const dustX = x + (Math.random() - 0.5) * 10;
-            const dustY = y + (Math.random() - 0.5) * 10;
+        if (random() < 0.3) {
+            const dustX = x + (random() - 0.5) * 10;
+            const dustY = y + (random() - 0.5) * 10;
             for (let i = 0; i < 3; i++) {
                 if (dustParticles.length >= MAX_DUST_PARTICLES) break;
-                const angle = Math.random() * Math.PI * 2;
-                dustParticles.push(new DustParticle(
+                const angle = random() * Math.PI * 2;
+                dustParticles.push(Pools.acquire(DustParticle,
                     dustX, dustY,
-                    Math.random() * 3 + 2,
-                    Math.cos(angle) * (0.3 + Math.random() * 0.5),
-                    Math.sin(angle) * (0.3 + Math.random() * 0.5) - 0.3
+                    random() * 3 + 2,
+                    Math.cos(angle) * (0.3 + random() * 0.5),
+                    Math.sin(angle) * (0.3 + random() * 0.5) - 0.3
                 ));
             }
         }
@@ -1513,25 +2571,26 @@ class Building {
         // Material-aware final debris
         if (this.buildingStyle === 'glass') {
             // Glass: mix of large panels and shards (more large panels)
-            const shardCount = Math.floor(actualPieceCount * 0.5); // Reduced from 0.7
-            const chunkCount = actualPieceCount - shardCount;
+            const baseShardCount = Math.floor(actualPieceCount * 0.5); // Reduced from 0.7
+            const shardCount = Math.floor(baseShardCount * Tunables.get('quality.glassShards'));
+            const chunkCount = actualPieceCount - baseShardCount;
 
             for (let i = 0; i < shardCount; i++) {
                 if (particles.length >= MAX_PARTICLES) break;
-                const px = this.x + Math.random() * this.width;
-                const py = this.y + Math.random() * this.height;
+                const px = this.x + random() * this.width;
+                const py = this.y + random() * this.height;
                 this.spawnGlassShard(px, py, 1.0);
             }
 
             // Enhanced fracture: spawn dozens of physics particles
-            const particleCount = 25 + Math.floor(Math.random() * 20);
+            const particleCount = 25 + Math.floor(random() * 20);
             for (let i = 0; i < particleCount; i++) {
-                const px = this.x + Math.random() * this.width;
-                const py = this.y + Math.random() * this.height;
-                const color = Math.random() < 0.5 ? this.concreteColor.base : this.concreteColor.dark;
-                const vx = (Math.random() - 0.5) * 8;
-                const vy = -Math.random() * 10;
-                particles.push(new Particle(px, py, 12, 12, color, vx, vy));
+                const px = this.x + random() * this.width;
+                const py = this.y + random() * this.height;
+                const color = random() < 0.5 ? this.concreteColor.base : this.concreteColor.dark;
+                const vx = (random() - 0.5) * 8;
+                const vy = -random() * 10;
+                particles.push(Pools.acquire(Particle, px, py, 12, 12, color, vx, vy));
             }
 
             // Screen shake on collapse
@@ -1539,29 +2598,29 @@ class Building {
 
             for (let i = 0; i < chunkCount; i++) {
                 if (particles.length >= MAX_PARTICLES) break;
-                const px = this.x + Math.random() * this.width;
-                const py = this.y + Math.random() * this.height;
-                const angle = Math.atan2(py - centerY, px - centerX) + (Math.random() - 0.5) * 0.5;
-                const impulse = 3 + Math.random() * 4;
+                const px = this.x + random() * this.width;
+                const py = this.y + random() * this.height;
+                const angle = Math.atan2(py - centerY, px - centerX) + (random() - 0.5) * 0.5;
+                const impulse = 3 + random() * 4;
                 const velocityX = Math.cos(angle) * impulse;
                 const velocityY = Math.sin(angle) * impulse - 1;
 
                 // Larger chunks for glass
-                const sizeType = Math.random();
+                const sizeType = random();
                 let chunkW, chunkH;
                 if (sizeType < 0.4) {
-                    chunkW = Math.random() * 6 + 8; // Large
-                    chunkH = Math.random() * 6 + 8;
+                    chunkW = random() * 6 + 8; // Large
+                    chunkH = random() * 6 + 8;
                 } else {
-                    chunkW = Math.random() * 5 + 6; // Medium-large
-                    chunkH = Math.random() * 5 + 6;
+                    chunkW = random() * 5 + 6; // Medium-large
+                    chunkH = random() * 5 + 6;
                 }
-                const chunkColor = Math.random() < 0.5 ? this.glassColor.mid : this.glassColor.bottom;
+                const chunkColor = random() < 0.5 ? this.glassColor.mid : this.glassColor.bottom;
 
-                const initialZ = (Math.random() - 0.5) * 100;
-                const initialVz = (Math.random() - 0.5) * 0.5;
+                const initialZ = (random() - 0.5) * 100;
+                const initialVz = (random() - 0.5) * 0.5;
 
-                particles.push(new Particle(
+                particles.push(Pools.acquire(Particle,
                     px, py, chunkW, chunkH, chunkColor,
                     velocityX, velocityY, initialZ, initialVz
                 ));
@@ -1570,17 +2629,17 @@ class Building {
             // Brick/concrete: larger chunky debris (dominant)
             for (let i = 0; i < actualPieceCount; i++) {
                 if (particles.length >= MAX_PARTICLES) break;
-                const px = this.x + Math.random() * this.width;
-                const py = this.y + Math.random() * this.height;
+                const px = this.x + random() * this.width;
+                const py = this.y + random() * this.height;
                 this.spawnBrickConcreteDebris(px, py, 1.0);
             }
         }
 
         // Create fire emitters
-        const fireCount = 1 + Math.floor(Math.random() * 2);
+        const fireCount = 1 + Math.floor(random() * 2);
         for (let i = 0; i < fireCount; i++) {
-            const fx = this.x + Math.random() * this.width;
-            const fy = this.y + Math.random() * this.height * 0.5;
+            const fx = this.x + random() * this.width;
+            const fy = this.y + random() * this.height * 0.5;
             fireEmitters.push(new FireEmitter(fx, fy));
         }
     }
@@ -1594,12 +2653,12 @@ class Building {
 
     // Apply shake effect
     applyShake(intensity) {
-        this.shakeX = (Math.random() - 0.5) * intensity;
-        this.shakeY = (Math.random() - 0.5) * intensity;
+        this.shakeX = (random() - 0.5) * intensity;
+        this.shakeY = (random() - 0.5) * intensity;
     }
 
     // Update shake decay and spawn occasional debris for level 2+
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Update collapse animation if collapsing
         if (this.state === 'collapsing') {
             this.updateCollapse();
@@ -1610,33 +2669,33 @@ class Building {
         this.shakeY *= this.shakeDecay;
 
         // Spawn occasional falling debris for damage level 2+ (partial break-off)
-        if (this.damageStage >= 2 && Math.random() < 0.02) { // 2% chance per frame
+        if (this.damageStage >= 2 && random() < 0.02) { // 2% chance per frame
             if (buildingDebris.length < MAX_BUILDING_DEBRIS) {
-                const spawnX = this.x + Math.random() * this.width;
-                const spawnY = this.y + Math.random() * this.height * 0.5; // Upper half
+                const spawnX = this.x + random() * this.width;
+                const spawnY = this.y + random() * this.height * 0.5; // Upper half
 
-                const debrisW = Math.random() * 4 + 3;
-                const debrisH = Math.random() * 4 + 3;
+                const debrisW = random() * 4 + 3;
+                const debrisH = random() * 4 + 3;
 
                 let debrisColor;
                 if (this.buildingStyle === 'glass') {
-                    debrisColor = Math.random() < 0.5 ? this.glassColor.mid : '#2a3a4a';
+                    debrisColor = random() < 0.5 ? this.glassColor.mid : '#2a3a4a';
                 } else if (this.buildingStyle === 'brick') {
-                    debrisColor = Math.random() < 0.5 ? this.brickColor.base : '#4a3a2a';
+                    debrisColor = random() < 0.5 ? this.brickColor.base : '#4a3a2a';
                 } else {
-                    debrisColor = Math.random() < 0.5 ? this.concreteColor.base : '#3a3a3a';
+                    debrisColor = random() < 0.5 ? this.concreteColor.base : '#3a3a3a';
                 }
 
                 // Add 3D properties for occasional debris
-                const initialZ = (Math.random() - 0.5) * 100;
-                const initialVz = (Math.random() - 0.5) * 0.4;
+                const initialZ = (random() - 0.5) * 100;
+                const initialVz = (random() - 0.5) * 0.4;
 
-                buildingDebris.push(new BuildingDebris(
+                buildingDebris.push(Pools.acquire(BuildingDebris,
                     spawnX, spawnY,
                     debrisW, debrisH,
                     debrisColor,
-                    (Math.random() - 0.5) * 1,
-                    1 + Math.random() * 2,
+                    (random() - 0.5) * 1,
+                    1 + random() * 2,
                     initialZ,
                     initialVz
                 ));
@@ -1662,6 +2721,10 @@ class Building {
             drawY += this.collapseSink; // Apply vertical compression
         }
 
+        if (!this.renderCache) {
+            this.buildRenderCache();
+        }
+
         // Draw pre-rendered building with voxel cutouts
         if (this.renderCache && !this.cacheDirty) {
             // If there are voxel cutouts, we need to draw with cutouts
@@ -1734,13 +2797,13 @@ class Building {
 
                 const crackCount = this.crackLevel + 1;
                 for (let i = 0; i < crackCount; i++) {
-                    const impactX = drawX + Math.random() * this.width;
-                    const impactY = drawY + Math.random() * this.height;
+                    const impactX = drawX + random() * this.width;
+                    const impactY = drawY + random() * this.height;
 
                     const branchCount = 3 + this.crackLevel;
                     for (let j = 0; j < branchCount; j++) {
-                        const angle = (Math.PI * 2 * j) / branchCount + Math.random() * 0.5;
-                        const length = Math.random() * Math.min(this.width, this.height) * 0.4 + 20;
+                        const angle = (Math.PI * 2 * j) / branchCount + random() * 0.5;
+                        const length = random() * Math.min(this.width, this.height) * 0.4 + 20;
                         const endX = impactX + Math.cos(angle) * length;
                         const endY = impactY + Math.sin(angle) * length;
 
@@ -1750,7 +2813,7 @@ class Building {
                         ctx.stroke();
 
                         if (this.crackLevel >= 2) {
-                            const subAngle = angle + (Math.random() - 0.5) * 0.8;
+                            const subAngle = angle + (random() - 0.5) * 0.8;
                             const subLength = length * 0.5;
                             ctx.beginPath();
                             ctx.moveTo(impactX, impactY);
@@ -1764,10 +2827,10 @@ class Building {
                 if (this.crackLevel >= 2) {
                     const panelCount = Math.floor(this.crackLevel * 1.5);
                     for (let i = 0; i < panelCount; i++) {
-                        const panelX = drawX + Math.random() * this.width;
-                        const panelY = drawY + Math.random() * this.height;
-                        const panelW = Math.random() * 8 + 4;
-                        const panelH = Math.random() * 12 + 6;
+                        const panelX = drawX + random() * this.width;
+                        const panelY = drawY + random() * this.height;
+                        const panelW = random() * 8 + 4;
+                        const panelH = random() * 12 + 6;
                         ctx.fillStyle = 'rgba(20, 20, 30, 0.7)';
                         ctx.fillRect(panelX, panelY, panelW, panelH);
                     }
@@ -1779,16 +2842,16 @@ class Building {
 
                 const crackCount = this.crackLevel * 2 + 1;
                 for (let i = 0; i < crackCount; i++) {
-                    const startX = drawX + Math.random() * this.width;
-                    const startY = drawY + Math.random() * this.height * 0.3;
+                    const startX = drawX + random() * this.width;
+                    const startY = drawY + random() * this.height * 0.3;
                     const endY = drawY + this.height;
 
                     ctx.beginPath();
                     ctx.moveTo(startX, startY);
                     // Slight zigzag
                     const midY = startY + (endY - startY) * 0.5;
-                    ctx.lineTo(startX + (Math.random() - 0.5) * 5, midY);
-                    ctx.lineTo(startX + (Math.random() - 0.5) * 5, endY);
+                    ctx.lineTo(startX + (random() - 0.5) * 5, midY);
+                    ctx.lineTo(startX + (random() - 0.5) * 5, endY);
                     ctx.stroke();
                 }
 
@@ -1797,28 +2860,28 @@ class Building {
                     ctx.fillStyle = `rgba(0, 0, 0, 0.6)`;
                     const chipCount = this.crackLevel;
                     for (let i = 0; i < chipCount; i++) {
-                        const edge = Math.floor(Math.random() * 4); // 0=top, 1=right, 2=bottom, 3=left
+                        const edge = Math.floor(random() * 4); // 0=top, 1=right, 2=bottom, 3=left
                         let chipX, chipY, chipW, chipH;
                         if (edge === 0) {
-                            chipX = drawX + Math.random() * this.width;
+                            chipX = drawX + random() * this.width;
                             chipY = drawY;
-                            chipW = Math.random() * 6 + 3;
-                            chipH = Math.random() * 4 + 2;
+                            chipW = random() * 6 + 3;
+                            chipH = random() * 4 + 2;
                         } else if (edge === 1) {
-                            chipX = drawX + this.width - Math.random() * 4 - 2;
-                            chipY = drawY + Math.random() * this.height;
-                            chipW = Math.random() * 4 + 2;
-                            chipH = Math.random() * 6 + 3;
+                            chipX = drawX + this.width - random() * 4 - 2;
+                            chipY = drawY + random() * this.height;
+                            chipW = random() * 4 + 2;
+                            chipH = random() * 6 + 3;
                         } else if (edge === 2) {
-                            chipX = drawX + Math.random() * this.width;
-                            chipY = drawY + this.height - Math.random() * 4 - 2;
-                            chipW = Math.random() * 6 + 3;
-                            chipH = Math.random() * 4 + 2;
+                            chipX = drawX + random() * this.width;
+                            chipY = drawY + this.height - random() * 4 - 2;
+                            chipW = random() * 6 + 3;
+                            chipH = random() * 4 + 2;
                         } else {
                             chipX = drawX;
-                            chipY = drawY + Math.random() * this.height;
-                            chipW = Math.random() * 4 + 2;
-                            chipH = Math.random() * 6 + 3;
+                            chipY = drawY + random() * this.height;
+                            chipW = random() * 4 + 2;
+                            chipH = random() * 6 + 3;
                         }
                         ctx.fillRect(chipX, chipY, chipW, chipH);
                     }
@@ -1855,7 +2918,11 @@ class Building {
 // ============================================
 
 class GlassShard {
-    constructor(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
         this.x = x;
         this.y = y;
         this.width = width;
@@ -1866,20 +2933,20 @@ class GlassShard {
         this.gravity = 0.5; // Lighter than chunks
         this.friction = 0.88;
         this.bounciness = 0.3;
-        this.rotation = Math.random() * Math.PI * 2;
-        this.angularVelocity = (Math.random() - 0.5) * 0.5; // Lots of rotation
+        this.rotation = random() * Math.PI * 2;
+        this.angularVelocity = (random() - 0.5) * 0.5; // Lots of rotation
         this.onGround = false;
         this.mass = (width * height) / 150; // Lighter weight
 
         // 3D properties
-        this.z = z !== null ? z : Math.random() * 200 - 100;
-        this.vz = vz !== null ? vz : (Math.random() - 0.5) * 0.5;
+        this.z = z !== null ? z : random() * 200 - 100;
+        this.vz = vz !== null ? vz : (random() - 0.5) * 0.5;
         this.zDamping = 0.95;
 
         // Sparkle effect
-        this.sparklePhase = Math.random() * Math.PI * 2;
-        this.sparkleRate = 0.15 + Math.random() * 0.1;
-        this.hasSparkle = Math.random() < 0.4; // 40% of shards have sparkles
+        this.sparklePhase = random() * Math.PI * 2;
+        this.sparkleRate = 0.15 + random() * 0.1;
+        this.hasSparkle = random() < 0.4; // 40% of shards have sparkles
 
         // Persistent debris
         this.sleeping = false;
@@ -1887,14 +2954,14 @@ class GlassShard {
         this.doNotDraw = false;
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Get current canvas dimensions
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const currentGroundY = height * 0.85;
 
-        // Check bridge collision (City 2)
-        if (currentCityId === 2) {
+        // Check bridge collision (bridge levels)
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     if (structure.contains(this.x + this.width / 2, this.y + this.height)) {
@@ -1931,7 +2998,7 @@ class GlassShard {
             }
 
             if (this.settledTime === null && Math.abs(this.velocityX) < 0.1 && Math.abs(this.angularVelocity) < 0.01) {
-                this.settledTime = Date.now();
+                this.settledTime = simTime;
             }
 
             if (this.sleeping) {
@@ -1960,7 +3027,7 @@ class GlassShard {
         // Check ground collision
         if (this.y + this.height >= currentGroundY) {
             let onBridge = false;
-            if (currentCityId === 2) {
+            if (levelHasBridge) {
                 for (let structure of staticStructures) {
                     if (structure instanceof Bridge) {
                         const particleCenterX = this.x + this.width / 2;
@@ -2011,11 +3078,11 @@ class GlassShard {
         const centerY = this.y + this.height / 2;
 
         // Draw shadow
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
         let shadowY = groundY;
-        if (currentCityId === 2) {
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     if (structure.contains(centerX, centerY)) {
@@ -2090,7 +3157,11 @@ class GlassShard {
 // ============================================
 
 class MicroDebris {
-    constructor(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
         this.x = x;
         this.y = y;
         this.width = width;
@@ -2098,24 +3169,24 @@ class MicroDebris {
         this.color = color;
         this.velocityX = velocityX;
         this.velocityY = velocityY;
-        this.angularVelocity = (Math.random() - 0.5) * 0.15;
+        this.angularVelocity = (random() - 0.5) * 0.15;
         this.rotation = 0;
         this.gravity = 0.3;
-        this.lifetime = 2000 + Math.random() * 2000; // 2-4 seconds
-        this.spawnTime = Date.now();
+        this.lifetime = 2000 + random() * 2000; // 2-4 seconds
+        this.spawnTime = simTime;
         this.bounciness = 0.2;
         this.friction = 0.96;
         this.onGround = false;
 
         // 3D properties
-        this.z = z !== null ? z : Math.random() * 80 - 40;
-        this.vz = vz !== null ? vz : (Math.random() - 0.5) * 0.25;
+        this.z = z !== null ? z : random() * 80 - 40;
+        this.vz = vz !== null ? vz : (random() - 0.5) * 0.25;
         this.zDamping = 0.97;
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Check lifetime
-        if (Date.now() - this.spawnTime > this.lifetime) {
+        if (simTime - this.spawnTime > this.lifetime) {
             return false; // Mark for removal
         }
 
@@ -2134,8 +3205,8 @@ class MicroDebris {
         this.rotation += this.angularVelocity;
 
         // Ground collision
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         if (this.y + this.height / 2 >= groundY) {
@@ -2164,7 +3235,7 @@ class MicroDebris {
 
     render() {
         const perspectiveScale = Math.max(0.7, Math.min(1.3, 1 + this.z * 0.002));
-        const alpha = Math.max(0.1, 1 - (Date.now() - this.spawnTime) / this.lifetime);
+        const alpha = Math.max(0.1, 1 - (simTime - this.spawnTime) / this.lifetime);
 
         const centerX = this.x;
         const centerY = this.y;
@@ -2187,7 +3258,11 @@ class MicroDebris {
 // ============================================
 
 class VoxelBit {
-    constructor(x, y, size, color, velocityX, velocityY, buildingRef) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, size, color, velocityX, velocityY, buildingRef) {
         this.x = x;
         this.y = y;
         this.size = size; // Square size (6-14px)
@@ -2199,14 +3274,14 @@ class VoxelBit {
         this.gravity = 0.4;
         this.friction = 0.88;
         this.bounciness = 0.3;
-        this.rotation = Math.random() * Math.PI * 2;
-        this.angularVelocity = (Math.random() - 0.5) * 0.3;
+        this.rotation = random() * Math.PI * 2;
+        this.angularVelocity = (random() - 0.5) * 0.3;
         this.onGround = false;
         this.buildingRef = buildingRef; // Reference to source building
 
         // 3D properties
-        this.z = Math.random() * 100 - 50;
-        this.vz = (Math.random() - 0.5) * 0.4;
+        this.z = random() * 100 - 50;
+        this.vz = (random() - 0.5) * 0.4;
         this.zDamping = 0.95;
 
         // Persistent debris
@@ -2215,17 +3290,17 @@ class VoxelBit {
         this.doNotDraw = false;
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         if (this.sleeping) {
             return;
         }
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const currentGroundY = height * 0.85;
 
-        // Check bridge collision (City 2)
-        if (currentCityId === 2) {
+        // Check bridge collision (bridge levels)
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     if (structure.contains(this.x + this.size / 2, this.y + this.size)) {
@@ -2262,7 +3337,7 @@ class VoxelBit {
             }
 
             if (this.settledTime === null && Math.abs(this.velocityX) < 0.1 && Math.abs(this.angularVelocity) < 0.01) {
-                this.settledTime = Date.now();
+                this.settledTime = simTime;
             }
             return;
         }
@@ -2282,7 +3357,7 @@ class VoxelBit {
         // Check ground collision
         if (this.y + this.size >= currentGroundY) {
             let onBridge = false;
-            if (currentCityId === 2) {
+            if (levelHasBridge) {
                 for (let structure of staticStructures) {
                     if (structure instanceof Bridge) {
                         const particleCenterX = this.x + this.size / 2;
@@ -2332,11 +3407,11 @@ class VoxelBit {
         const centerY = this.y + this.size / 2;
 
         // Draw shadow
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
         let shadowY = groundY;
-        if (currentCityId === 2) {
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     if (structure.contains(centerX, centerY)) {
@@ -2408,20 +3483,24 @@ class VoxelBit {
 // ============================================
 
 class DustParticle {
-    constructor(x, y, size, velocityX, velocityY) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, size, velocityX, velocityY) {
         this.x = x;
         this.y = y;
         this.size = size;
         this.velocityX = velocityX;
         this.velocityY = velocityY;
-        this.lifetime = 1500 + Math.random() * 1000; // 1.5-2.5 seconds
-        this.spawnTime = Date.now();
-        this.expansionRate = 0.5 + Math.random() * 0.5;
+        this.lifetime = 1500 + random() * 1000; // 1.5-2.5 seconds
+        this.spawnTime = simTime;
+        this.expansionRate = 0.5 + random() * 0.5;
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Check lifetime
-        if (Date.now() - this.spawnTime > this.lifetime) {
+        if (simTime - this.spawnTime > this.lifetime) {
             return false;
         }
 
@@ -2433,8 +3512,8 @@ class DustParticle {
         this.velocityY *= 0.98;
 
         // Boundary check
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         if (this.x < -100 || this.x > width + 100 || this.y < -100 || this.y > height + 100) {
             return false;
         }
@@ -2443,7 +3522,7 @@ class DustParticle {
     }
 
     render() {
-        const age = Date.now() - this.spawnTime;
+        const age = simTime - this.spawnTime;
         const alpha = Math.max(0, 1 - age / this.lifetime) * 0.4;
 
         ctx.save();
@@ -2461,7 +3540,11 @@ class DustParticle {
 // ============================================
 
 class BuildingDebris {
-    constructor(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
         this.x = x;
         this.y = y;
         this.width = width;
@@ -2469,22 +3552,22 @@ class BuildingDebris {
         this.color = color;
         this.velocityX = velocityX;
         this.velocityY = velocityY;
-        this.angularVelocity = (Math.random() - 0.5) * 0.2;
+        this.angularVelocity = (random() - 0.5) * 0.2;
         this.rotation = 0;
         this.gravity = 0.4;
-        this.lifetime = 2000 + Math.random() * 2000; // 2-4 seconds
-        this.spawnTime = Date.now();
+        this.lifetime = 2000 + random() * 2000; // 2-4 seconds
+        this.spawnTime = simTime;
         this.bounciness = 0.3;
         this.friction = 0.95;
         this.onGround = false;
 
         // 3D properties (pseudo-3D)
-        this.z = z !== null ? z : Math.random() * 150 - 75; // Depth: -75 to 75
-        this.vz = vz !== null ? vz : (Math.random() - 0.5) * 0.3; // Depth velocity
+        this.z = z !== null ? z : random() * 150 - 75; // Depth: -75 to 75
+        this.vz = vz !== null ? vz : (random() - 0.5) * 0.3; // Depth velocity
         this.zDamping = 0.96; // Damping for z velocity
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Apply gravity
         if (!this.onGround) {
             this.velocityY += this.gravity;
@@ -2502,13 +3585,11 @@ class BuildingDebris {
         this.rotation += this.angularVelocity;
 
         // Ground collision
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-        const groundY = height * 0.85;
+        const groundY = worldHeight * 0.85;
 
-        // Check bridge collision (City 2)
+        // Check bridge collision (bridge levels)
         let hitGround = false;
-        if (currentCityId === 2) {
+        if (levelHasBridge) {
             staticStructures.forEach(structure => {
                 if (structure instanceof Bridge) {
                     if (structure.contains(this.x, this.y + this.height / 2)) {
@@ -2545,18 +3626,13 @@ class BuildingDebris {
             }
         }
 
-        // Boundary check
-        if (this.x < -50 || this.x > width + 50 || this.y > height + 50) {
-            return false; // Mark for removal
-        }
-
-        // Lifetime check
-        const elapsed = Date.now() - this.spawnTime;
-        if (elapsed >= this.lifetime) {
-            return false; // Mark for removal
-        }
+        // Removal only depends on the lifetime (not on where the piece flew), so the list
+        // size that spawning checks stays the same when the debris worker moves it
+        return !this.isExpired();
+    }
 
-        return true; // Keep alive
+    isExpired() {
+        return simTime - this.spawnTime >= this.lifetime;
     }
 
     render() {
@@ -2577,12 +3653,12 @@ class BuildingDebris {
         const scaledHeight = this.height * perspectiveScale;
 
         // Draw shadow on ground
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         let shadowY = groundY;
-        if (currentCityId === 2) {
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     if (structure.contains(centerX, centerY)) {
@@ -2650,7 +3726,11 @@ class BuildingDebris {
 // ============================================
 
 class Particle {
-    constructor(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, width, height, color, velocityX, velocityY, z = null, vz = null) {
         this.x = x;
         this.y = y;
         this.width = width;
@@ -2661,14 +3741,14 @@ class Particle {
         this.gravity = 0.6; // Slightly stronger gravity
         this.friction = 0.85; // Medium friction (was 0.98, now more realistic)
         this.bounciness = 0.25; // Low bounciness
-        this.rotation = Math.random() * Math.PI * 2;
-        this.angularVelocity = (Math.random() - 0.5) * 0.3; // Rotation speed
+        this.rotation = random() * Math.PI * 2;
+        this.angularVelocity = (random() - 0.5) * 0.3; // Rotation speed
         this.onGround = false;
         this.mass = (width * height) / 100; // Heavier chunks have more mass
 
         // 3D properties (pseudo-3D)
-        this.z = z !== null ? z : Math.random() * 200 - 100; // Depth: -100 to 100
-        this.vz = vz !== null ? vz : (Math.random() - 0.5) * 0.5; // Depth velocity
+        this.z = z !== null ? z : random() * 200 - 100; // Depth: -100 to 100
+        this.vz = vz !== null ? vz : (random() - 0.5) * 0.5; // Depth velocity
         this.zDamping = 0.95; // Damping for z velocity
 
         // Persistent debris: sleeping state for performance
@@ -2677,14 +3757,14 @@ class Particle {
         this.doNotDraw = false; // Flag to skip rendering for oldest sleeping particles
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Get current canvas dimensions in CSS pixels
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const currentGroundY = height * 0.85;
 
-        // Check bridge collision (City 2) - check segments
-        if (currentCityId === 2) {
+        // Check bridge collision (bridge levels) - check segments
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     const particleCenterX = this.x + this.width / 2;
@@ -2730,7 +3810,7 @@ class Particle {
 
             // Mark as settled for sleeping logic
             if (this.settledTime === null && Math.abs(this.velocityX) < 0.1 && Math.abs(this.angularVelocity) < 0.01) {
-                this.settledTime = Date.now();
+                this.settledTime = simTime;
             }
 
             // Skip physics updates if sleeping (but still render)
@@ -2755,9 +3835,9 @@ class Particle {
 
         // Check ground collision (only if not on bridge)
         if (this.y + this.height >= currentGroundY) {
-            // Check if particle would land on bridge first (City 2)
+            // Check if particle would land on bridge first (bridge levels)
             let onBridge = false;
-            if (currentCityId === 2) {
+            if (levelHasBridge) {
                 for (let structure of staticStructures) {
                     if (structure instanceof Bridge) {
                         const particleCenterX = this.x + this.width / 2;
@@ -2821,13 +3901,13 @@ class Particle {
         const scaledHeight = this.height * perspectiveScale;
 
         // Draw shadow on ground (ellipse, size/alpha based on Z)
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
-        // Check if on bridge (City 2)
+        // Check if on bridge (bridge levels)
         let shadowY = groundY;
-        if (currentCityId === 2) {
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     if (structure.contains(centerX, centerY)) {
@@ -2892,9 +3972,23 @@ class Explosion {
         this.active = true;
         this.flashIntensity = flashIntensity;
         this.isLarge = isLarge; // Flag for large explosions (sticky bombs)
+        this.structuresChecked = false; // Billboard hits are resolved once per blast
+
+        SoundEngine.play('explosion', { x, y, size: radius });
+        GamepadInput.rumble(Math.min(1, radius / 150), 250);
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
+        // Knock out billboards caught in the blast
+        if (!this.structuresChecked) {
+            this.structuresChecked = true;
+            staticStructures.forEach(structure => {
+                if (structure instanceof Billboard && structure.intersectsCircle(this.x, this.y, this.maxRadius)) {
+                    structure.takeHit();
+                }
+            });
+        }
+
         // Large explosions expand faster to cover area quickly
         const speedMultiplier = this.isLarge ? 3 : 1;
         this.radius += this.speed * speedMultiplier;
@@ -2902,21 +3996,18 @@ class Explosion {
             this.active = false;
         }
 
-        // Add water ripple if explosion is near water (City 2)
+        // Add water ripple if explosion is near water
         // Check when explosion starts (small radius) to avoid multiple ripples
-        if (currentCityId === 2 && waterWaves && this.radius < 50) {
-            const width = window.innerWidth;
-            const height = window.innerHeight;
-            const groundY = height * 0.85;
-            const waterY = groundY + 20;
-            const riverWidth = width * 0.4;
-            const riverStartX = width * 0.3;
+        if (waterWaves && this.radius < 50) {
+            const waterY = waterWaves.waterY;
+            const riverWidth = waterWaves.width;
+            const riverStartX = waterWaves.startX;
 
             // Check if explosion is near water
             if (this.y >= waterY - 50 && this.y <= waterY + 50 &&
                 this.x >= riverStartX - 50 && this.x <= riverStartX + riverWidth + 50) {
                 // Scale impulse by explosion size (larger explosions = bigger ripples)
-                const baseImpulse = 2 + Math.random() * 2;
+                const baseImpulse = 2 + random() * 2;
                 const sizeMultiplier = Math.min(3, this.maxRadius / 50); // Cap at 3x for very large explosions
                 const velocityImpulse = baseImpulse * sizeMultiplier;
                 waterWaves.addDisturbance(this.x, velocityImpulse);
@@ -2987,14 +4078,14 @@ class NuclearBomb {
         this.exploded = false;
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         if (this.exploded) return;
 
         this.velocityY += this.gravity;
         this.y += this.velocityY;
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         // Check ground collision
@@ -3004,7 +4095,7 @@ class NuclearBomb {
         }
 
         // Check building collision
-        for (let building of buildings) {
+        for (let building of SpatialIndex.at('buildings', this.x, this.y + this.radius)) {
             if (building.state === 'collapsed') continue;
 
             if (building.contains(this.x, this.y + this.radius)) {
@@ -3032,7 +4123,7 @@ class NuclearBomb {
         screenFlash.intensity = 0.3;
 
         // Damage buildings
-        buildings.forEach(building => {
+        SpatialIndex.near('buildings', this.x, y, damageRadius).forEach(building => {
             if (building.state === 'collapsed') return;
 
             const centerX = building.getCenterX();
@@ -3052,16 +4143,16 @@ class NuclearBomb {
                 building.applyShake(shakeIntensity);
 
                 // Create fire if building is heavily damaged
-                if (building.health / building.maxHealth < 0.3 && Math.random() < 0.4) {
-                    const fx = centerX + (Math.random() - 0.5) * building.width * 0.5;
-                    const fy = building.y + Math.random() * building.height * 0.6;
+                if (building.health / building.maxHealth < 0.3 && random() < 0.4) {
+                    const fx = centerX + (random() - 0.5) * building.width * 0.5;
+                    const fy = building.y + random() * building.height * 0.6;
                     fireEmitters.push(new FireEmitter(fx, fy));
                 }
             }
         });
 
-        // Damage bridge segments (City 2)
-        if (currentCityId === 2) {
+        // Damage bridge segments (bridge levels)
+        if (levelHasBridge) {
             staticStructures.forEach(structure => {
                 if (structure instanceof Bridge) {
                     structure.takeDamage(30, this.x, y, damageRadius);
@@ -3070,10 +4161,10 @@ class NuclearBomb {
         }
 
         // Create fire emitters at explosion center
-        const fireCount = 2 + Math.floor(Math.random() * 2);
+        const fireCount = 2 + Math.floor(random() * 2);
         for (let i = 0; i < fireCount; i++) {
             const angle = (Math.PI * 2 * i) / fireCount;
-            const offset = 30 + Math.random() * 40;
+            const offset = 30 + random() * 40;
             const fx = this.x + Math.cos(angle) * offset;
             const fy = y + Math.sin(angle) * offset;
             fireEmitters.push(new FireEmitter(fx, fy));
@@ -3102,31 +4193,36 @@ class NuclearBomb {
 // ============================================
 
 class Laser {
-    constructor(x) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x) {
         this.x = x;
-        this.startTime = Date.now();
+        this.startTime = simTime;
         this.duration = 300; // milliseconds
         this.active = true;
         this.impactPoints = [];
     }
 
-    update() {
-        const elapsed = Date.now() - this.startTime;
+    update(dt = FIXED_TIMESTEP) {
+        const elapsed = simTime - this.startTime;
         if (elapsed >= this.duration) {
             this.active = false;
             return;
         }
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         // Check building intersections and apply damage
         const beamWidth = 15;
         const step = 5;
+        const beamBuildings = SpatialIndex.inRect('buildings', this.x - beamWidth / 2, 0, beamWidth, groundY);
 
         for (let y = 0; y < groundY; y += step) {
-            for (let building of buildings) {
+            for (let building of beamBuildings) {
                 if (building.state === 'collapsed') continue;
 
                 if (building.intersects(this.x - beamWidth / 2, y, beamWidth, step)) {
@@ -3141,8 +4237,8 @@ class Laser {
                 }
             }
 
-            // Damage bridge segments (City 2)
-            if (currentCityId === 2) {
+            // Damage bridge segments (bridge levels)
+            if (levelHasBridge) {
                 staticStructures.forEach(structure => {
                     if (structure instanceof Bridge) {
                         for (let segment of structure.segments) {
@@ -3159,7 +4255,7 @@ class Laser {
         // Create warm impact effects at impact points periodically (orange/yellow sparks, heat rings)
         if (elapsed % 50 < 16) { // Every ~50ms
             this.impactPoints.forEach(point => {
-                if (Math.random() < 0.3) {
+                if (random() < 0.3) {
                     // Small warm explosion (orange/yellow)
                     explosions.push(new Explosion(point.x, point.y, 30, 0));
                 }
@@ -3170,10 +4266,10 @@ class Laser {
     render() {
         if (!this.active) return;
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
-        const elapsed = Date.now() - this.startTime;
+        const elapsed = simTime - this.startTime;
         const progress = elapsed / this.duration;
 
         // Draw laser beam
@@ -3241,7 +4337,7 @@ class StickyBomb {
         this.offsetX = offsetX;
         this.offsetY = offsetY;
         this.isArmed = true;
-        this.placedAt = Date.now();
+        this.placedAt = simTime;
         this.velocityY = 0;
         this.gravity = 0.5;
         this.onGround = false;
@@ -3249,12 +4345,12 @@ class StickyBomb {
         this.active = true; // For performance: inactive bombs don't update/render until detonation
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Skip update if inactive (performance optimization)
         if (!this.active) return;
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         // If attached to a building
@@ -3314,7 +4410,7 @@ class StickyBomb {
         const drawY = this.y + screenShake.y;
 
         // Blinking red light (every ~500ms)
-        const elapsed = Date.now() - this.placedAt;
+        const elapsed = simTime - this.placedAt;
         const blinkPhase = Math.floor(elapsed / 500) % 2;
         const lightVisible = blinkPhase === 0;
 
@@ -3350,8 +4446,8 @@ class StickyBomb {
         if (!this.isArmed) return;
 
         // Calculate dynamic explosion radius based on canvas size
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const explosionRadius = Math.max(width, height) * 0.6;
         const damageRadius = explosionRadius;
 
@@ -3362,7 +4458,7 @@ class StickyBomb {
         screenShake.intensity = Math.min(screenShake.intensity + 8, 30);
 
         // Damage buildings with cubed falloff (strong close, very soft far)
-        buildings.forEach(building => {
+        SpatialIndex.near('buildings', this.x, this.y, damageRadius).forEach(building => {
             if (building.state === 'collapsed') return;
 
             const centerX = building.getCenterX();
@@ -3403,8 +4499,8 @@ function detonateAllStickyBombs() {
     const buildingDamageMap = new Map();
     const buildingShakeMap = new Map();
 
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = worldWidth;
+    const height = worldHeight;
     // Medium explosion radius (smaller than NUKE, comparable/slightly smaller than METEOR)
     const explosionRadius = Math.min(width, height) * 0.25; // 25% of smaller dimension
     const damageRadius = explosionRadius;
@@ -3415,7 +4511,9 @@ function detonateAllStickyBombs() {
         // Reactivate inactive bombs for detonation
         bomb.active = true;
 
-        buildings.forEach((building, index) => {
+        const reach = damageRadius * 2;
+        SpatialIndex.query('buildings', bomb.x - damageRadius, bomb.y - damageRadius, reach, reach).forEach(index => {
+            const building = buildings[index];
             if (building.state === 'collapsed') return;
 
             const centerX = building.getCenterX();
@@ -3473,8 +4571,8 @@ function detonateAllStickyBombs() {
         }
     });
 
-    // Damage bridge segments (City 2)
-    if (currentCityId === 2) {
+    // Damage bridge segments (bridge levels)
+    if (levelHasBridge) {
         stickyBombs.forEach(bomb => {
             if (!bomb.isArmed) return;
             staticStructures.forEach(structure => {
@@ -3497,8 +4595,8 @@ function detonateAllStickyBombs() {
 }
 
 function placeStickyBomb(x, y) {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = worldWidth;
+    const height = worldHeight;
     const groundY = height * 0.85;
 
     // Performance policy: if we exceed threshold, mark oldest bombs as inactive
@@ -3521,7 +4619,7 @@ function placeStickyBomb(x, y) {
     let offsetX = 0;
     let offsetY = 0;
 
-    for (let i = 0; i < buildings.length; i++) {
+    for (const i of SpatialIndex.query('buildings', x, y, 0, 0)) {
         const building = buildings[i];
         if (building.state === 'collapsed') continue;
 
@@ -3554,25 +4652,25 @@ class Tornado {
         this.x = x;
         this.y = y;
         this.startY = y;
-        this.startTime = Date.now();
-        this.duration = Math.random() * 2000 + 3000; // 3-5 seconds
+        this.startTime = simTime;
+        this.duration = random() * 2000 + 3000; // 3-5 seconds
         this.active = true;
         this.rotation = 0;
         this.radius = 30;
         this.maxRadius = 80;
-        this.windForce = 0.5;
-        this.damageRadius = 100;
+        this.windForce = Tunables.get('tornado.windForce');
+        this.damageRadius = Tunables.get('tornado.damageRadius');
     }
 
-    update() {
-        const elapsed = Date.now() - this.startTime;
+    update(dt = FIXED_TIMESTEP) {
+        const elapsed = simTime - this.startTime;
         if (elapsed >= this.duration) {
             this.active = false;
             return;
         }
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         // Swirl animation
@@ -3587,7 +4685,7 @@ class Tornado {
         this.y = groundY;
 
         // Damage buildings
-        buildings.forEach(building => {
+        SpatialIndex.near('buildings', this.x, this.y, this.damageRadius).forEach(building => {
             if (building.state === 'collapsed') return;
 
             const centerX = building.getCenterX();
@@ -3608,7 +4706,7 @@ class Tornado {
         });
 
         // Push particles with wind
-        particles.forEach(particle => {
+        SpatialIndex.near('particles', this.x, this.y, this.damageRadius).forEach(particle => {
             const dx = particle.x - this.x;
             const dy = particle.y - this.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
@@ -3620,8 +4718,8 @@ class Tornado {
             }
         });
 
-        // Damage bridge segments (City 2)
-        if (currentCityId === 2) {
+        // Damage bridge segments (bridge levels)
+        if (levelHasBridge) {
             staticStructures.forEach(structure => {
                 if (structure instanceof Bridge) {
                     for (let segment of structure.segments) {
@@ -3641,11 +4739,6 @@ class Tornado {
                 }
             });
         }
-
-        // Play tornado sound effect periodically
-        if (elapsed % 200 < 16 && audioContext && musicEnabled) {
-            playTornadoSound();
-        }
     }
 
     render() {
@@ -3687,50 +4780,25 @@ class Tornado {
     }
 }
 
-function playTornadoSound() {
-    if (!audioContext || audioContext.state !== 'running') return;
-
-    try {
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-
-        oscillator.type = 'sawtooth';
-        oscillator.frequency.value = 80 + Math.random() * 40;
-
-        gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.2);
-
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-
-        oscillator.start();
-        oscillator.stop(audioContext.currentTime + 0.2);
-    } catch (e) {
-        // Ignore sound errors
-    }
-}
-
 // ============================================
 // Sunset Background System
 // ============================================
 
+// Background caches are screen-sized (the sky doesn't scroll; clouds parallax in renderBackground)
 function buildSunsetBackground() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = Camera.viewWidth;
+    const height = Camera.viewHeight;
     const groundY = height * 0.85;
 
     const cacheCanvas = document.createElement('canvas');
     cacheCanvas.width = width;
     cacheCanvas.height = groundY;
     const cacheCtx = cacheCanvas.getContext('2d');
+    const palette = getLevelPalette();
 
-    // Sky gradient: deep blue upper → warm orange/pink near horizon
+    // Sky gradient: upper sky → horizon (level palette, default deep blue → warm orange)
     const skyGradient = cacheCtx.createLinearGradient(0, 0, 0, groundY);
-    skyGradient.addColorStop(0, '#1a3a5a'); // Deep blue
-    skyGradient.addColorStop(0.3, '#2a4a6a'); // Medium blue
-    skyGradient.addColorStop(0.6, '#4a5a7a'); // Lighter blue
-    skyGradient.addColorStop(0.85, '#ff8c5a'); // Warm orange
-    skyGradient.addColorStop(1, '#ff6b4a'); // Bright orange-pink
+    SKY_GRADIENT_STOPS.forEach((stop, i) => skyGradient.addColorStop(stop, palette.sky[i]));
     cacheCtx.fillStyle = skyGradient;
     cacheCtx.fillRect(0, 0, width, groundY);
 
@@ -3741,9 +4809,9 @@ function buildSunsetBackground() {
 
     // Sun outer glow (bloom effect)
     const sunGradient = cacheCtx.createRadialGradient(sunX, sunY, 0, sunX, sunY, sunRadius * 2);
-    sunGradient.addColorStop(0, 'rgba(255, 200, 100, 0.8)');
-    sunGradient.addColorStop(0.5, 'rgba(255, 150, 80, 0.4)');
-    sunGradient.addColorStop(1, 'rgba(255, 100, 60, 0)');
+    sunGradient.addColorStop(0, palette.sunGlow[0]);
+    sunGradient.addColorStop(0.5, palette.sunGlow[1]);
+    sunGradient.addColorStop(1, palette.sunGlow[2]);
     cacheCtx.fillStyle = sunGradient;
     cacheCtx.beginPath();
     cacheCtx.arc(sunX, sunY, sunRadius * 2, 0, Math.PI * 2);
@@ -3751,8 +4819,8 @@ function buildSunsetBackground() {
 
     // Sun core
     const sunCoreGradient = cacheCtx.createRadialGradient(sunX, sunY, 0, sunX, sunY, sunRadius);
-    sunCoreGradient.addColorStop(0, '#ffcc88');
-    sunCoreGradient.addColorStop(1, '#ff8844');
+    sunCoreGradient.addColorStop(0, palette.sunCore[0]);
+    sunCoreGradient.addColorStop(1, palette.sunCore[1]);
     cacheCtx.fillStyle = sunCoreGradient;
     cacheCtx.beginPath();
     cacheCtx.arc(sunX, sunY, sunRadius, 0, Math.PI * 2);
@@ -3760,17 +4828,17 @@ function buildSunsetBackground() {
 
     // Atmospheric haze near horizon
     const hazeGradient = cacheCtx.createLinearGradient(0, groundY * 0.7, 0, groundY);
-    hazeGradient.addColorStop(0, 'rgba(255, 200, 150, 0)');
-    hazeGradient.addColorStop(1, 'rgba(255, 180, 120, 0.3)');
+    hazeGradient.addColorStop(0, palette.haze[0]);
+    hazeGradient.addColorStop(1, palette.haze[1]);
     cacheCtx.fillStyle = hazeGradient;
     cacheCtx.fillRect(0, groundY * 0.7, width, groundY * 0.3);
 
     sunsetBackgroundCache = cacheCanvas;
 }
 
-function buildCloudLayer(layerName, count, baseY, speed, sizeRange, opacity) {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+function buildCloudLayer(layerName, count, baseY, speed, sizeRange, opacity, parallax) {
+    const width = Camera.viewWidth;
+    const height = Camera.viewHeight;
     const groundY = height * 0.85;
 
     const cacheCanvas = document.createElement('canvas');
@@ -3806,49 +4874,58 @@ function buildCloudLayer(layerName, count, baseY, speed, sizeRange, opacity) {
     cloudLayersCache[layerName] = {
         canvas: cacheCanvas,
         speed: speed,
+        parallax: parallax, // Share of the camera's movement the layer follows
         x: 0
     };
 }
 
 function initBackground() {
+    if (HEADLESS) return; // Backdrop only, never read by the simulation
+
     buildSunsetBackground();
 
-    const height = window.innerHeight;
+    const height = Camera.viewHeight;
     const groundY = height * 0.85;
 
     // Far clouds (slow, high, small)
-    buildCloudLayer('far', 8, groundY * 0.2, 0.05, [30, 50], 0.3);
+    buildCloudLayer('far', 8, groundY * 0.2, 0.05, [30, 50], 0.3, 0.1);
 
     // Mid clouds (medium speed, medium height, medium size)
-    buildCloudLayer('mid', 10, groundY * 0.4, 0.1, [40, 70], 0.4);
+    buildCloudLayer('mid', 10, groundY * 0.4, 0.1, [40, 70], 0.4, 0.2);
 
     // Near clouds (faster, lower, larger)
-    buildCloudLayer('near', 12, groundY * 0.6, 0.15, [50, 90], 0.5);
+    buildCloudLayer('near', 12, groundY * 0.6, 0.15, [50, 90], 0.5, 0.35);
 }
 
-function renderBackground() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const groundY = height * 0.85;
+// Advance cloud parallax (simulation step, so drift speed is refresh-rate independent)
+function updateBackground(dt = FIXED_TIMESTEP) {
+    Object.keys(cloudLayersCache).forEach(layerName => {
+        const layer = cloudLayersCache[layerName];
+        if (layer && layer.canvas) {
+            layer.x += layer.speed * (dt / FIXED_TIMESTEP);
+            if (layer.x > layer.canvas.width) {
+                layer.x -= layer.canvas.width; // Seamless: the layer is drawn tiled
+            }
+        }
+    });
+}
 
+function renderBackground() {
     // Draw cached sunset background
     if (sunsetBackgroundCache) {
         ctx.drawImage(sunsetBackgroundCache, 0, 0);
     }
 
-    // Draw cloud layers with parallax
+    // Draw cloud layers with parallax (drift plus a share of the camera scroll)
+    const cameraOffset = Camera.x * Camera.scale;
     Object.keys(cloudLayersCache).forEach(layerName => {
         const layer = cloudLayersCache[layerName];
         if (layer && layer.canvas) {
-            // Update parallax position
-            layer.x += layer.speed;
-            if (layer.x > width * 0.5) {
-                layer.x = 0;
-            }
-
             // Draw cloud layer (tile for seamless loop)
-            ctx.drawImage(layer.canvas, layer.x, 0);
-            ctx.drawImage(layer.canvas, layer.x - layer.canvas.width, 0);
+            const tileWidth = layer.canvas.width;
+            const x = (((layer.x - cameraOffset * layer.parallax) % tileWidth) + tileWidth) % tileWidth;
+            ctx.drawImage(layer.canvas, x, 0);
+            ctx.drawImage(layer.canvas, x - tileWidth, 0);
         }
     });
 }
@@ -3856,7 +4933,7 @@ function renderBackground() {
 // ============================================
 // Canvas roundRect polyfill (for older browsers)
 // ============================================
-if (!CanvasRenderingContext2D.prototype.roundRect) {
+if (!HEADLESS && !CanvasRenderingContext2D.prototype.roundRect) {
     CanvasRenderingContext2D.prototype.roundRect = function (x, y, width, height, radius) {
         this.beginPath();
         this.moveTo(x + radius, y);
@@ -3884,10 +4961,10 @@ class Robot {
         this.height = 45;
         this.velocityX = 0;
         this.velocityY = 0;
-        this.gravity = 0.6;
-        this.speed = 4;
-        this.jumpPower = -12;
-        this.thrustPower = -0.3; // Reduced from -0.8 for gentler hover
+        this.gravity = Tunables.get('robot.gravity');
+        this.speed = Tunables.get('robot.speed');
+        this.jumpPower = Tunables.get('robot.jumpPower');
+        this.thrustPower = Tunables.get('robot.thrustPower'); // Gentle hover (was -0.8)
         this.maxUpwardSpeed = -4; // Cap upward velocity
         this.onGround = false;
         this.facingRight = true;
@@ -3897,10 +4974,10 @@ class Robot {
         this.laserCooldown = 0;
         this.fuel = 100;
         this.maxFuel = 100;
-        this.fuelDrainRate = 0.25; // Reduced from 0.5 for longer flight
-        this.fuelRegenRate = 0.3;
+        this.fuelDrainRate = Tunables.get('robot.fuelDrainRate'); // Long flights (was 0.5)
+        this.fuelRegenRate = Tunables.get('robot.fuelRegenRate');
         this.thrusterParticles = [];
-        this.airTime = 0; // Track time since leaving ground for lift delay
+        this.airTime = 0; // Time since leaving ground for lift delay (ms)
         this.liftDelay = 125; // 125ms delay before thrust engages
         this.laserEnergy = 100; // Energy for continuous laser
         this.maxLaserEnergy = 100;
@@ -3909,10 +4986,10 @@ class Robot {
         this.laserFiring = false; // Whether laser is currently firing
         this.lastLaserFireTime = 0; // Last time laser was fired (for rate limiting)
         this.laserFireRate = 66; // Milliseconds between shots (15 shots/sec)
-        this.missileCooldown = 0; // Cooldown for missile launch (frames)
-        this.missileCooldownTime = 120; // 2 seconds at 60fps
-        this.missilePoseTime = 0; // Animation time for missile launch pose
-        this.missilePoseDuration = 15; // ~250ms at 60fps
+        this.missileCooldown = 0; // Cooldown for missile launch (ms)
+        this.missileCooldownTime = 2000; // 2 seconds
+        this.missilePoseTime = 0; // Animation time for missile launch pose (ms)
+        this.missilePoseDuration = 250; // 250ms
 
         // Arm laser properties
         this.leftArmCooldown = 0;
@@ -3969,15 +5046,15 @@ class Robot {
         const targetX = laserX + Math.cos(fireAngle) * range;
         const targetY = laserY + Math.sin(fireAngle) * range;
 
-        robotHandLasers.push(new RobotHandLaser(laserX, laserY, targetX, targetY));
+        robotHandLasers.push(Pools.acquire(RobotHandLaser, laserX, laserY, targetX, targetY));
 
         // Play sound
-        playLaserZapSound();
+        SoundEngine.play('laserZap', { x: laserX, y: laserY });
     }
 
-    update() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+    update(dt = FIXED_TIMESTEP) {
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         // Handle 8-way movement with normalization
@@ -3994,8 +5071,8 @@ class Robot {
         if (magnitude > 0.1) {
             moveX /= magnitude;
             moveY /= magnitude;
-            this.velocityX = moveX * this.speed;
-            this.velocityY = moveY * this.speed;
+            this.velocityX = moveX * this.speed * robotControls.throttle;
+            this.velocityY = moveY * this.speed * robotControls.throttle;
 
             // Set facing direction
             if (moveX > 0) this.facingRight = true;
@@ -4014,7 +5091,7 @@ class Robot {
 
         // Track air time for lift delay
         if (!this.onGround) {
-            this.airTime++;
+            this.airTime += dt;
         } else {
             this.airTime = 0;
         }
@@ -4028,9 +5105,7 @@ class Robot {
         }
 
         // Handle flight (hold jump after leaving ground) with lift delay
-        // liftDelay is in ms, convert to frames: 125ms / 16.67ms per frame ≈ 7-8 frames
-        const liftDelayFrames = Math.ceil(this.liftDelay / 16.67);
-        const canThrust = !this.onGround && this.airTime >= liftDelayFrames;
+        const canThrust = !this.onGround && this.airTime >= this.liftDelay;
         if (robotControls.jump && canThrust && this.fuel > 0) {
             // Apply gentle upward thrust
             this.velocityY += this.thrustPower;
@@ -4044,27 +5119,27 @@ class Robot {
             this.velocityX *= 0.92;
 
             // Create thruster particles
-            if (Math.random() < 0.7) {
+            if (random() < 0.7) {
                 const leftThrusterX = this.x + 8;
                 const rightThrusterX = this.x + this.width - 8;
                 const thrusterY = this.y + this.height - 5;
 
                 this.thrusterParticles.push({
-                    x: leftThrusterX + (Math.random() - 0.5) * 4,
+                    x: leftThrusterX + (random() - 0.5) * 4,
                     y: thrusterY,
-                    vx: (Math.random() - 0.5) * 2,
-                    vy: Math.random() * 2 + 1,
+                    vx: (random() - 0.5) * 2,
+                    vy: random() * 2 + 1,
                     life: 10,
-                    color: Math.random() < 0.5 ? '#00aaff' : '#ff8800'
+                    color: random() < 0.5 ? '#00aaff' : '#ff8800'
                 });
 
                 this.thrusterParticles.push({
-                    x: rightThrusterX + (Math.random() - 0.5) * 4,
+                    x: rightThrusterX + (random() - 0.5) * 4,
                     y: thrusterY,
-                    vx: (Math.random() - 0.5) * 2,
-                    vy: Math.random() * 2 + 1,
+                    vx: (random() - 0.5) * 2,
+                    vy: random() * 2 + 1,
                     life: 10,
-                    color: Math.random() < 0.5 ? '#00aaff' : '#ff8800'
+                    color: random() < 0.5 ? '#00aaff' : '#ff8800'
                 });
             }
         } else {
@@ -4085,8 +5160,8 @@ class Robot {
         // Handle punch
         if (robotControls.punch && this.punchCooldown <= 0) {
             this.punchActive = true;
-            this.punchDuration = 10;
-            this.punchCooldown = 18; // 18 frames = ~300ms at 60fps
+            this.punchDuration = 167; // ms
+            this.punchCooldown = 300; // ms
             robotControls.punch = false; // One-time punch
 
             // Create punch shockwave
@@ -4095,8 +5170,8 @@ class Robot {
             createPunchShockwave(punchX, punchY);
         }
 
-        // Arm Laser Logic (R / T keys)
-        const currentTime = Date.now();
+        // Arm Laser Logic (arm laser keys, E / R by default)
+        const currentTime = simTime;
 
         // Right Arm (R key)
         if (robotControls.rightArmFire && currentTime - this.rightArmCooldown > 200) {
@@ -4112,12 +5187,12 @@ class Robot {
 
         // Handle continuous laser firing (pointer-aimed, hold-to-fire)
         if (this.laserFiring && pointerActive && this.laserEnergy > 0) {
-            const currentTime = Date.now();
+            const currentTime = simTime;
             if (currentTime - this.lastLaserFireTime >= this.laserFireRate) {
                 const handX = this.facingRight ? this.x + this.width - 4 : this.x + 4;
                 const handY = this.y + this.height / 2;
 
-                robotHandLasers.push(new RobotHandLaser(handX, handY, pointerPosition.x, pointerPosition.y));
+                robotHandLasers.push(Pools.acquire(RobotHandLaser, handX, handY, pointerPosition.x, pointerPosition.y));
                 this.lastLaserFireTime = currentTime;
 
                 // Drain energy
@@ -4128,8 +5203,8 @@ class Robot {
                 this.velocityY = 0;
 
                 // Play laser sound (occasionally to avoid spam)
-                if (Math.random() < 0.3) {
-                    playLaserZapSound();
+                if (random() < 0.3) {
+                    SoundEngine.play('laserZap', { x: this.x + this.width / 2, y: this.y + this.height / 2 });
                 }
             }
         } else {
@@ -4141,10 +5216,10 @@ class Robot {
 
         // Update punch state
         if (this.punchCooldown > 0) {
-            this.punchCooldown--;
+            this.punchCooldown = Math.max(0, this.punchCooldown - dt);
         }
         if (this.punchDuration > 0) {
-            this.punchDuration--;
+            this.punchDuration = Math.max(0, this.punchDuration - dt);
             if (this.punchDuration === 0) {
                 this.punchActive = false;
             }
@@ -4152,10 +5227,10 @@ class Robot {
 
         // Update missile cooldown and pose
         if (this.missileCooldown > 0) {
-            this.missileCooldown--;
+            this.missileCooldown = Math.max(0, this.missileCooldown - dt);
         }
         if (this.missilePoseTime > 0) {
-            this.missilePoseTime--;
+            this.missilePoseTime = Math.max(0, this.missilePoseTime - dt);
             if (this.missilePoseTime === 0) {
                 // Launch missile
                 const handX = this.facingRight ? this.x + this.width - 4 : this.x + 4;
@@ -4183,7 +5258,7 @@ class Robot {
             const targetX = handX + Math.cos(this.rotationAngle) * range;
             const targetY = handY + Math.sin(this.rotationAngle) * range;
 
-            robotHandLasers.push(new RobotHandLaser(handX, handY, targetX, targetY));
+            robotHandLasers.push(Pools.acquire(RobotHandLaser, handX, handY, targetX, targetY));
             this.leftArmCooldown = this.armFireRate;
 
             // Recoil Cancel: Set velocity to zero as requested
@@ -4191,7 +5266,7 @@ class Robot {
             this.velocityY = 0;
 
             // Sound
-            if (Math.random() < 0.5) playLaserZapSound();
+            if (random() < 0.5) SoundEngine.play('laserZap', { x: this.x + this.width / 2, y: this.y + this.height / 2 });
         }
 
         // Handle Right Arm Laser (R Key)
@@ -4204,7 +5279,7 @@ class Robot {
             const targetX = handX + Math.cos(this.rotationAngle) * range;
             const targetY = handY + Math.sin(this.rotationAngle) * range;
 
-            robotHandLasers.push(new RobotHandLaser(handX, handY, targetX, targetY));
+            robotHandLasers.push(Pools.acquire(RobotHandLaser, handX, handY, targetX, targetY));
             this.rightArmCooldown = this.armFireRate;
 
             // Recoil Cancel: Set velocity to zero as requested
@@ -4212,7 +5287,7 @@ class Robot {
             this.velocityY = 0;
 
             // Sound
-            if (Math.random() < 0.5) playLaserZapSound();
+            if (random() < 0.5) SoundEngine.play('laserZap', { x: this.x + this.width / 2, y: this.y + this.height / 2 });
         }
 
         // Laser cooldown no longer used (replaced by energy system)
@@ -4230,8 +5305,8 @@ class Robot {
         let onGroundSurface = false;
         let groundSurfaceY = groundY;
 
-        // Check bridge collision (City 2) - check segments with physics
-        if (currentCityId === 2) {
+        // Check bridge collision (bridge levels) - check segments with physics
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     const robotCenterX = this.x + this.width / 2;
@@ -4274,7 +5349,7 @@ class Robot {
 
         // Check building collisions (horizontal)
         let canMoveX = true;
-        for (let building of buildings) {
+        for (let building of SpatialIndex.inRect('buildings', newX, this.y, this.width, this.height)) {
             if (building.state === 'collapsed') continue;
 
             if (building.intersects(newX, this.y, this.width, this.height)) {
@@ -4291,7 +5366,7 @@ class Robot {
 
         // Check building collisions (vertical - for jumping/flying)
         if (!this.onGround) {
-            for (let building of buildings) {
+            for (let building of SpatialIndex.inRect('buildings', this.x, newY, this.width, this.height)) {
                 if (building.state === 'collapsed') continue;
 
                 if (building.intersects(this.x, newY, this.width, this.height)) {
@@ -4393,7 +5468,7 @@ class Robot {
         ctx.fill();
 
         // Chest reactor core (glowing cyan with pulsing effect)
-        const reactorPulse = Math.sin(Date.now() / 200) * 0.3 + 0.7;
+        const reactorPulse = Math.sin(simTime / 200) * 0.3 + 0.7;
         const reactorGradient = ctx.createRadialGradient(
             drawX + this.width / 2, drawY + 30, 0,
             drawX + this.width / 2, drawY + 30, 8 * reactorPulse
@@ -4612,7 +5687,7 @@ class Robot {
     }
 
     renderFuelMeter() {
-        const width = window.innerWidth;
+        const width = worldWidth;
         const x = 20;
         const y = 80;
         const meterWidth = 120;
@@ -4640,7 +5715,7 @@ class Robot {
     }
 
     renderLaserEnergyMeter() {
-        const width = window.innerWidth;
+        const width = worldWidth;
         const x = 20;
         const y = 100;
         const meterWidth = 120;
@@ -4680,14 +5755,14 @@ class UFO {
         this.height = 30;
         this.velocityX = 0;
         this.velocityY = 0;
-        this.baseSpeed = 5;
-        this.speed = 5;
+        this.baseSpeed = Tunables.get('ufo.baseSpeed');
+        this.speed = this.baseSpeed;
         this.laserActive = false;
         this.tractorActive = false;
         this.lastLaserFireTime = 0;
         this.laserFireRate = 125; // Milliseconds between shots (8 shots/sec)
         this.baseLaserDPS = 20; // Base DPS for laser
-        this.tractorRadius = 150;
+        this.tractorRadius = Tunables.get('ufo.tractorRadius');
         this.tractorMaxObjects = 30;
         this.tractorObjects = [];
         this.invisible = false; // Invisibility state
@@ -4697,8 +5772,8 @@ class UFO {
         this.tractorStrengthMultiplier = 1.0;
         // Tank control properties
         this.angle = -Math.PI / 2; // Face up by default
-        this.rotationSpeed = 0.08;
-        this.friction = 0.96; // Less friction for space-like feel
+        this.rotationSpeed = Tunables.get('ufo.rotationSpeed');
+        this.friction = Tunables.get('ufo.friction'); // Less friction for space-like feel
         this.updateVariantStats(); // Apply variant stats
     }
 
@@ -4719,9 +5794,9 @@ class UFO {
         }
     }
 
-    update() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+    update(dt = FIXED_TIMESTEP) {
+        const width = worldWidth;
+        const height = worldHeight;
 
         // Handle movement
         // Handle movement (Tank Controls)
@@ -4733,12 +5808,13 @@ class UFO {
         }
 
         // Vertical input -> Move forward/backward
+        const thrust = this.speed * ufoControls.throttle;
         if (ufoControls.up) {
-            this.velocityX += Math.cos(this.angle) * this.speed * 0.1; // *0.1 for acceleration feel
-            this.velocityY += Math.sin(this.angle) * this.speed * 0.1;
+            this.velocityX += Math.cos(this.angle) * thrust * 0.1; // *0.1 for acceleration feel
+            this.velocityY += Math.sin(this.angle) * thrust * 0.1;
         } else if (ufoControls.down) {
-            this.velocityX -= Math.cos(this.angle) * this.speed * 0.05; // Backwards is slower
-            this.velocityY -= Math.sin(this.angle) * this.speed * 0.05;
+            this.velocityX -= Math.cos(this.angle) * thrust * 0.05; // Backwards is slower
+            this.velocityY -= Math.sin(this.angle) * thrust * 0.05;
         }
 
         // Apply friction
@@ -4764,16 +5840,16 @@ class UFO {
         // Handle laser (continuous beam while E is held)
         // Only fire if in UFO mode (safety check)
         if (currentWeapon === 'ufo' && ufoControls.laser) {
-            const currentTime = Date.now();
+            const currentTime = simTime;
             if (currentTime - this.lastLaserFireTime >= this.laserFireRate) {
                 const centerX = this.x;
                 const centerY = this.y + this.height / 2;
                 // Bottom Laser (E key): Always vertical down
                 const targetX = centerX;
                 const targetY = height; // Straight to ground
-                ufoHandLasers.push(new UFOLaser(centerX, centerY, targetX, targetY));
+                ufoHandLasers.push(Pools.acquire(UFOLaser, centerX, centerY, targetX, targetY));
                 this.lastLaserFireTime = currentTime;
-                playUFOLaserSound();
+                SoundEngine.play('ufoLaser', { x: centerX, y: centerY });
             }
         }
 
@@ -4797,7 +5873,7 @@ class UFO {
         const nearbyObjects = [];
 
         // Check particles (only pull non-sleeping ones, but can wake sleeping ones)
-        particles.forEach((particle, index) => {
+        SpatialIndex.near('particles', centerX, tractorY, this.tractorRadius).forEach(particle => {
             // Skip particles marked as "do not draw" (too far/old)
             if (particle.doNotDraw) return;
 
@@ -4812,7 +5888,7 @@ class UFO {
                     particle.settledTime = null;
                     particle.doNotDraw = false;
                 }
-                nearbyObjects.push({ type: 'particle', index, x: particle.x, y: particle.y, obj: particle });
+                nearbyObjects.push({ type: 'particle', x: particle.x, y: particle.y, obj: particle });
             }
         });
 
@@ -4840,10 +5916,10 @@ class UFO {
         });
 
         // Check intact buildings for voxelization (pixelate into squares)
-        const currentTime = Date.now();
+        const currentTime = simTime;
         const voxelSpawnInterval = 1000 / MAX_VOXEL_SPAWNS_PER_SECOND; // ~8.3ms per spawn
 
-        buildings.forEach(building => {
+        SpatialIndex.near('buildings', centerX, tractorY, this.tractorRadius).forEach(building => {
             if (building.state === 'collapsed') return;
 
             const buildingCenterX = building.getCenterX();
@@ -4855,7 +5931,7 @@ class UFO {
             if (distance < this.tractorRadius) {
                 // Rate-limited voxelization: spawn square chunks every 80-140ms
                 const timeSinceLastSpawn = currentTime - building.lastVoxelSpawnTime;
-                const spawnInterval = 80 + Math.random() * 60; // 80-140ms
+                const spawnInterval = 80 + random() * 60; // 80-140ms
 
                 if (timeSinceLastSpawn >= spawnInterval && voxelBits.length < MAX_VOXEL_BITS) {
                     // Voxelize: detach cluster of small squares from building
@@ -4863,15 +5939,15 @@ class UFO {
                     const clusterSize = 3 + Math.floor((1 - normalizedDist) * 5); // 3-8 squares per cluster
 
                     // Find region closest to beam center (lower part of building)
-                    const voxelRegionX = building.x + (buildingCenterX - building.x) * (0.3 + Math.random() * 0.4);
-                    const voxelRegionY = building.y + building.height * (0.5 + Math.random() * 0.3);
+                    const voxelRegionX = building.x + (buildingCenterX - building.x) * (0.3 + random() * 0.4);
+                    const voxelRegionY = building.y + building.height * (0.5 + random() * 0.3);
 
                     for (let i = 0; i < clusterSize; i++) {
                         if (voxelBits.length >= MAX_VOXEL_BITS) break;
 
                         // Random position within region
-                        const voxelX = voxelRegionX + (Math.random() - 0.5) * building.width * 0.3;
-                        const voxelY = voxelRegionY + (Math.random() - 0.5) * building.height * 0.2;
+                        const voxelX = voxelRegionX + (random() - 0.5) * building.width * 0.3;
+                        const voxelY = voxelRegionY + (random() - 0.5) * building.height * 0.2;
 
                         // Clamp to building bounds
                         const clampedX = Math.max(building.x, Math.min(building.x + building.width, voxelX));
@@ -4893,26 +5969,26 @@ class UFO {
                         const actualY = building.y + gridY * building.voxelGridSize;
 
                         // Square size: 6-14px
-                        const squareSize = 6 + Math.random() * 8;
+                        const squareSize = 6 + random() * 8;
 
                         // Initial velocity: upward + toward UFO
                         const angleToUFO = Math.atan2(centerY - actualY, centerX - actualX);
-                        const speed = 2 + Math.random() * 2;
-                        const velocityX = Math.cos(angleToUFO) * speed + (Math.random() - 0.5) * 1;
-                        const velocityY = -Math.abs(Math.sin(angleToUFO)) * speed - 1 - Math.random() * 1;
+                        const speed = 2 + random() * 2;
+                        const velocityX = Math.cos(angleToUFO) * speed + (random() - 0.5) * 1;
+                        const velocityY = -Math.abs(Math.sin(angleToUFO)) * speed - 1 - random() * 1;
 
                         // Get building color for voxel bit
                         let voxelColor;
                         if (building.buildingStyle === 'glass') {
-                            voxelColor = Math.random() < 0.5 ? building.glassColor.mid : building.glassColor.bottom;
+                            voxelColor = random() < 0.5 ? building.glassColor.mid : building.glassColor.bottom;
                         } else if (building.buildingStyle === 'brick') {
-                            voxelColor = Math.random() < 0.5 ? building.brickColor.base : building.brickColor.dark;
+                            voxelColor = random() < 0.5 ? building.brickColor.base : building.brickColor.dark;
                         } else {
-                            voxelColor = Math.random() < 0.5 ? building.concreteColor.base : building.concreteColor.dark;
+                            voxelColor = random() < 0.5 ? building.concreteColor.base : building.concreteColor.dark;
                         }
 
                         // Create voxel bit
-                        voxelBits.push(new VoxelBit(
+                        voxelBits.push(Pools.acquire(VoxelBit,
                             actualX, actualY,
                             squareSize,
                             voxelColor,
@@ -4922,7 +5998,6 @@ class UFO {
                     }
 
                     // Reduce building health
-                    const normalizedDist = distance / this.tractorRadius;
                     const damage = (1 - normalizedDist) * (clusterSize * 0.8); // Damage based on chunks removed
                     building.takeDamage(damage);
 
@@ -4933,7 +6008,7 @@ class UFO {
                 }
 
                 // Pull existing voxel bits from this building
-                voxelBits.forEach(voxelBit => {
+                SpatialIndex.near('voxelBits', centerX, tractorY - 20, this.tractorRadius).forEach(voxelBit => {
                     if (voxelBit.buildingRef === building && !voxelBit.sleeping) {
                         const dx = centerX - voxelBit.x;
                         const dy = (tractorY - 20) - voxelBit.y;
@@ -5122,7 +6197,7 @@ function drawPixelUFO(ctx, ufo, drawX, drawY) {
     });
 
     // Draw rim lights with deterministic blinking pattern
-    const currentTime = Date.now();
+    const currentTime = simTime;
     const blinkSpeed = 0.0015; // Slow blink (~2 seconds per cycle)
     rimLights.forEach(([gx, gy], index) => {
         // Deterministic pattern: each light has a phase offset for wave effect
@@ -5170,10 +6245,14 @@ function drawPixelUFO(ctx, ufo, drawX, drawY) {
 // ============================================
 
 class UFOLaser {
-    constructor(startX, startY, targetX, targetY) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(startX, startY, targetX, targetY) {
         this.startX = startX;
         this.startY = startY;
-        this.startTime = Date.now();
+        this.startTime = simTime;
         this.duration = 200;
         this.active = true;
         this.impactSparks = [];
@@ -5193,8 +6272,8 @@ class UFOLaser {
         }
 
         // Calculate end point (intersect with screen bounds for infinite range)
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
 
         // Find intersection with screen rectangle
         let t = Infinity;
@@ -5239,8 +6318,8 @@ class UFOLaser {
         );
     }
 
-    update() {
-        const elapsed = Date.now() - this.startTime;
+    update(dt = FIXED_TIMESTEP) {
+        const elapsed = simTime - this.startTime;
         if (elapsed >= this.duration) {
             this.active = false;
             return;
@@ -5261,7 +6340,7 @@ class UFOLaser {
             const checkX = this.startX + this.dirX * t * this.length;
             const checkY = this.startY + this.dirY * t * this.length;
 
-            buildings.forEach(building => {
+            SpatialIndex.at('buildings', checkX, checkY).forEach(building => {
                 if (building.state === 'collapsed') return;
 
                 if (building.contains(checkX, checkY)) {
@@ -5278,8 +6357,8 @@ class UFOLaser {
 
                     building.takeDamage(damage, hitDistance, this.length);
 
-                    // Damage bridge segments if in City 2
-                    if (currentCityId === 2) {
+                    // Damage bridge segments on bridge levels
+                    if (levelHasBridge) {
                         staticStructures.forEach(structure => {
                             if (structure instanceof Bridge) {
                                 for (let segment of structure.segments) {
@@ -5347,29 +6426,6 @@ class UFOLaser {
     }
 }
 
-function playUFOLaserSound() {
-    if (!audioContext || audioContext.state !== 'running') return;
-
-    try {
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-
-        oscillator.type = 'sawtooth';
-        oscillator.frequency.value = 400 + Math.random() * 200;
-
-        gainNode.gain.setValueAtTime(0.08, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.15);
-
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-
-        oscillator.start();
-        oscillator.stop(audioContext.currentTime + 0.15);
-    } catch (e) {
-        // Ignore sound errors
-    }
-}
-
 function createPunchShockwave(x, y) {
     const explosionRadius = 60;
     const damageRadius = 80;
@@ -5377,7 +6433,7 @@ function createPunchShockwave(x, y) {
     explosions.push(new Explosion(x, y, explosionRadius));
     screenShake.intensity = Math.max(screenShake.intensity, 8);
 
-    buildings.forEach(building => {
+    SpatialIndex.near('buildings', x, y, damageRadius).forEach(building => {
         if (building.state === 'collapsed') return;
 
         const centerX = building.getCenterX();
@@ -5398,8 +6454,8 @@ function createPunchShockwave(x, y) {
         }
     });
 
-    // Damage bridge (City 2) - visual only
-    if (currentCityId === 2) {
+    // Damage bridge (bridge levels) - visual only
+    if (levelHasBridge) {
         staticStructures.forEach(structure => {
             if (structure instanceof Bridge) {
                 const bridgeCenterX = structure.x + structure.width / 2;
@@ -5423,10 +6479,14 @@ function createPunchShockwave(x, y) {
 // ============================================
 
 class RobotHandLaser {
-    constructor(startX, startY, targetX, targetY) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(startX, startY, targetX, targetY) {
         this.startX = startX;
         this.startY = startY;
-        this.startTime = Date.now();
+        this.startTime = simTime;
         this.duration = 200; // milliseconds (shorter for continuous feel)
         this.active = true;
         this.hitPoints = [];
@@ -5442,8 +6502,8 @@ class RobotHandLaser {
         this.dirY = distance > 0 ? dy / distance : 0;
 
         // Calculate end point (intersect with screen bounds for infinite range)
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
         // Find intersection with screen rectangle
@@ -5497,8 +6557,8 @@ class RobotHandLaser {
         );
     }
 
-    update() {
-        const elapsed = Date.now() - this.startTime;
+    update(dt = FIXED_TIMESTEP) {
+        const elapsed = simTime - this.startTime;
         if (elapsed >= this.duration) {
             this.active = false;
             return;
@@ -5524,7 +6584,7 @@ class RobotHandLaser {
             const checkY = this.startY + dy * t;
 
             // Check each building
-            buildings.forEach(building => {
+            SpatialIndex.at('buildings', checkX, checkY).forEach(building => {
                 if (building.state === 'collapsed') return;
 
                 if (building.contains(checkX, checkY)) {
@@ -5553,8 +6613,8 @@ class RobotHandLaser {
                 }
             });
 
-            // Damage bridge segments (City 2)
-            if (currentCityId === 2) {
+            // Damage bridge segments (bridge levels)
+            if (levelHasBridge) {
                 staticStructures.forEach(structure => {
                     if (structure instanceof Bridge) {
                         for (let segment of structure.segments) {
@@ -5579,7 +6639,7 @@ class RobotHandLaser {
     render() {
         if (!this.active) return;
 
-        const elapsed = Date.now() - this.startTime;
+        const elapsed = simTime - this.startTime;
         const progress = elapsed / this.duration;
         const alpha = Math.max(0, 1 - progress);
 
@@ -5614,30 +6674,6 @@ class RobotHandLaser {
     }
 }
 
-function playLaserZapSound() {
-    if (!audioContext || audioContext.state !== 'running') return;
-
-    try {
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-
-        oscillator.type = 'sine';
-        oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(400, audioContext.currentTime + 0.1);
-
-        gainNode.gain.setValueAtTime(0.15, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.15);
-
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-
-        oscillator.start();
-        oscillator.stop(audioContext.currentTime + 0.15);
-    } catch (e) {
-        // Ignore sound errors
-    }
-}
-
 // ============================================
 // Fire System
 // ============================================
@@ -5646,36 +6682,36 @@ class FireEmitter {
     constructor(x, y) {
         this.x = x;
         this.y = y;
-        this.startTime = Date.now();
-        this.duration = 2000 + Math.random() * 2000; // 2-4 seconds
+        this.startTime = simTime;
+        this.duration = 2000 + random() * 2000; // 2-4 seconds
         this.active = true;
         this.particleSpawnTimer = 0;
     }
 
-    update() {
-        const elapsed = Date.now() - this.startTime;
+    update(dt = FIXED_TIMESTEP) {
+        const elapsed = simTime - this.startTime;
         if (elapsed >= this.duration) {
             this.active = false;
             return;
         }
 
         // Spawn fire particles periodically
-        this.particleSpawnTimer += 16; // ~60fps
+        this.particleSpawnTimer += dt;
         if (this.particleSpawnTimer >= 50 && fireParticles.length < MAX_FIRE_PARTICLES) {
             this.particleSpawnTimer = 0;
 
             // Spawn flame particle
-            fireParticles.push(new FireParticle(
-                this.x + (Math.random() - 0.5) * 10,
-                this.y + (Math.random() - 0.5) * 10,
+            fireParticles.push(Pools.acquire(FireParticle,
+                this.x + (random() - 0.5) * 10,
+                this.y + (random() - 0.5) * 10,
                 'flame'
             ));
 
             // Occasionally spawn smoke
-            if (Math.random() < 0.3) {
-                fireParticles.push(new FireParticle(
-                    this.x + (Math.random() - 0.5) * 10,
-                    this.y + (Math.random() - 0.5) * 10,
+            if (random() < 0.3) {
+                fireParticles.push(Pools.acquire(FireParticle,
+                    this.x + (random() - 0.5) * 10,
+                    this.y + (random() - 0.5) * 10,
                     'smoke'
                 ));
             }
@@ -5684,7 +6720,11 @@ class FireEmitter {
 }
 
 class FireParticle {
-    constructor(x, y, type) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, type) {
         this.x = x;
         this.y = y;
         this.type = type; // 'flame' or 'smoke'
@@ -5692,26 +6732,26 @@ class FireParticle {
         this.lifeDecay = type === 'flame' ? 0.015 : 0.008;
 
         if (type === 'flame') {
-            this.velocityX = (Math.random() - 0.5) * 0.5;
-            this.velocityY = -Math.random() * 1.5 - 0.5; // Upward
-            this.size = Math.random() * 4 + 3;
-            this.color = Math.random() < 0.5 ? '#ff6600' : '#ffaa00';
+            this.velocityX = (random() - 0.5) * 0.5;
+            this.velocityY = -random() * 1.5 - 0.5; // Upward
+            this.size = random() * 4 + 3;
+            this.color = random() < 0.5 ? '#ff6600' : '#ffaa00';
         } else {
-            this.velocityX = (Math.random() - 0.5) * 0.3;
-            this.velocityY = -Math.random() * 0.8 - 0.2; // Slower upward
-            this.size = Math.random() * 6 + 4;
+            this.velocityX = (random() - 0.5) * 0.3;
+            this.velocityY = -random() * 0.8 - 0.2; // Slower upward
+            this.size = random() * 6 + 4;
             this.color = '#333333';
         }
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         this.x += this.velocityX;
         this.y += this.velocityY;
         this.life -= this.lifeDecay;
 
         // Smoke drifts horizontally more
         if (this.type === 'smoke') {
-            this.velocityX += (Math.random() - 0.5) * 0.1;
+            this.velocityX += (random() - 0.5) * 0.1;
             this.velocityX *= 0.98; // Damping
         }
 
@@ -5748,8 +6788,8 @@ class FireParticle {
 }
 
 function spawnRobot() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = worldWidth;
+    const height = worldHeight;
     const groundY = height * 0.85;
 
     // Always create robot, even if one exists
@@ -5761,8 +6801,8 @@ function spawnRobot() {
 }
 
 function spawnUFO() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = worldWidth;
+    const height = worldHeight;
 
     // Always create UFO, even if one exists
     ufo = new UFO(width / 2, height * 0.3);
@@ -5783,7 +6823,7 @@ function spawnUFO() {
 
 
 // ============================================
-// Bridge Structure Class (City 2)
+// Bridge Structure Class
 // ============================================
 
 // Bridge Segment Class (Physics-based)
@@ -5796,7 +6836,7 @@ class BridgeSegment {
         this.w = w;
         this.h = h;
         this.index = index;
-        this.maxHealth = 80 + Math.random() * 40; // 80-120 health
+        this.maxHealth = 80 + random() * 40; // 80-120 health
         this.health = this.maxHealth;
         this.state = 'intact'; // 'intact' | 'damaged' | 'broken' | 'dynamic'
         this.bridgeRef = bridgeRef; // Reference to parent bridge
@@ -5818,7 +6858,7 @@ class BridgeSegment {
 
         // Cable attachment points (for hangers)
         this.cableAttachments = [];
-        this.cableBreakForce = 50 + Math.random() * 30; // Force threshold for cable break
+        this.cableBreakForce = 50 + random() * 30; // Force threshold for cable break
 
         // Destruction sequence
         this.destructionScheduled = false;
@@ -5931,7 +6971,7 @@ class BridgeSegment {
                 // Check break force
                 if (tension > this.cableBreakForce) {
                     cable.broken = true;
-                    cable.breakTime = Date.now();
+                    cable.breakTime = simTime;
                     this.bridgeRef.onCableBroken(cable, this);
                     continue;
                 }
@@ -5943,7 +6983,7 @@ class BridgeSegment {
     }
 
     // Update physics
-    update(deltaTime = 16) {
+    update(dt = FIXED_TIMESTEP) {
         if (this.isKinematic && this.state !== 'dynamic') {
             // Kinematic: return to base position
             this.x = this.baseX;
@@ -5961,7 +7001,7 @@ class BridgeSegment {
             this.applyCableForces();
 
             // Gravity
-            this.velocityY += 0.5 * (deltaTime / 16); // Gravity
+            this.velocityY += 0.5 * (dt / FIXED_TIMESTEP); // Gravity
 
             // Damping
             this.velocityX *= 0.95;
@@ -5969,9 +7009,9 @@ class BridgeSegment {
             this.angularVelocity *= 0.92;
 
             // Update position and rotation
-            this.x += this.velocityX * (deltaTime / 16);
-            this.y += this.velocityY * (deltaTime / 16);
-            this.rotation += this.angularVelocity * (deltaTime / 16);
+            this.x += this.velocityX * (dt / FIXED_TIMESTEP);
+            this.y += this.velocityY * (dt / FIXED_TIMESTEP);
+            this.rotation += this.angularVelocity * (dt / FIXED_TIMESTEP);
 
             // Limit rotation
             this.rotation = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, this.rotation));
@@ -5980,12 +7020,12 @@ class BridgeSegment {
 
     // Break joint to neighbor
     breakJoint(side) {
-        if (side === 'left' && this.leftJoint) {
-            this.leftJoint.broken = true;
-        }
-        if (side === 'right' && this.rightJoint) {
-            this.rightJoint.broken = true;
+        const joint = side === 'left' ? this.leftJoint : this.rightJoint;
+        if (!joint) return;
+        if (!joint.broken) {
+            SoundEngine.play('bridgeSnap', { x: side === 'left' ? this.x : this.x + this.w, y: this.y });
         }
+        joint.broken = true;
     }
 
     // Make segment dynamic (start physics simulation)
@@ -6008,7 +7048,7 @@ class Bridge {
         this.height = height;
 
         // Create bridge segments (8-30 segments for more realistic physics)
-        const segmentCount = 8 + Math.floor(Math.random() * 23); // 8-30
+        const segmentCount = 8 + Math.floor(random() * 23); // 8-30
         const segmentWidth = width / segmentCount;
         this.segments = [];
         for (let i = 0; i < segmentCount; i++) {
@@ -6050,20 +7090,19 @@ class Bridge {
         // Sway physics (spring-damper model)
         this.swayOffset = 0; // Vertical offset from sway
         this.swayVelocity = 0;
-        this.swayFrequency = 0.8 + Math.random() * 0.8; // 0.8-1.6 Hz
+        this.swayFrequency = 0.8 + random() * 0.8; // 0.8-1.6 Hz
         this.swayDamping = 0.92; // Damping factor (will be reduced during cable break)
         this.baseDamping = 0.92; // Base damping value
         this.swayAmplitude = 0; // Current amplitude
         this.swayActive = false;
         this.swayStartTime = 0;
-        this.swayDuration = 2000 + Math.random() * 2000; // 2-4 seconds
+        this.swayDuration = 2000 + random() * 2000; // 2-4 seconds
 
         // Cable system (hangers with physics constraints)
         const hangerSpacing = Math.max(8, segmentWidth * 0.8); // Closer spacing
         const hangerCount = Math.floor(width / hangerSpacing);
         this.hangers = [];
-        const height = window.innerHeight;
-        const groundY = height * 0.85;
+        const groundY = worldHeight * 0.85;
         const waterY = groundY + 20;
         const towerTopY = waterY - this.towerHeight;
 
@@ -6093,9 +7132,9 @@ class Bridge {
                 anchorY: anchorY,
                 broken: false,
                 breakTime: 0,
-                stiffness: 0.08 + Math.random() * 0.04, // Cable stiffness
+                stiffness: 0.08 + random() * 0.04, // Cable stiffness
                 restLength: waterY - anchorY, // Rest length
-                breakForce: 40 + Math.random() * 20 // Break force threshold
+                breakForce: 40 + random() * 20 // Break force threshold
             };
 
             this.hangers.push(hanger);
@@ -6131,6 +7170,8 @@ class Bridge {
 
     // Called when a segment breaks
     onSegmentBroken(segment) {
+        ScoreManager.awardBridgeSegment(segment);
+
         // Check if middle segment broke (key segment)
         const middleIndex = Math.floor(this.segments.length / 2);
         const segmentIndex = this.segments.indexOf(segment);
@@ -6139,9 +7180,9 @@ class Bridge {
         if (isMiddle && !this.swayActive) {
             // Start realistic sway animation
             this.swayActive = true;
-            this.swayStartTime = Date.now();
-            this.swayAmplitude = 2 + Math.random() * 2; // 2-4 pixels amplitude (subtle)
-            this.swayVelocity = (Math.random() - 0.5) * 1.5; // Initial velocity
+            this.swayStartTime = simTime;
+            this.swayAmplitude = 2 + random() * 2; // 2-4 pixels amplitude (subtle)
+            this.swayVelocity = (random() - 0.5) * 1.5; // Initial velocity
 
             // Reduce damping temporarily for more dramatic sway
             this.swayDamping = 0.75; // Reduced from 0.92
@@ -6149,9 +7190,9 @@ class Bridge {
 
         // Make segment dynamic (start physics)
         segment.makeDynamic(
-            (Math.random() - 0.5) * 0.5, // Small horizontal impulse
+            (random() - 0.5) * 0.5, // Small horizontal impulse
             -0.3, // Small upward impulse
-            (Math.random() - 0.5) * 0.1 // Small torque
+            (random() - 0.5) * 0.1 // Small torque
         );
 
         // Break joints to neighbors (progressive)
@@ -6168,19 +7209,19 @@ class Bridge {
         // Spawn bridge debris
         const centerX = segment.x + segment.w / 2;
         const centerY = segment.y + segment.h / 2;
-        const debrisCount = 8 + Math.floor(Math.random() * 8); // 8-16 chunks
+        const debrisCount = 8 + Math.floor(random() * 8); // 8-16 chunks
 
         for (let i = 0; i < debrisCount; i++) {
             if (bridgeDebris.length >= MAX_BRIDGE_DEBRIS) break;
 
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 2 + Math.random() * 3;
-            const chunkW = Math.random() * 6 + 4;
-            const chunkH = Math.random() * 6 + 4;
+            const angle = random() * Math.PI * 2;
+            const speed = 2 + random() * 3;
+            const chunkW = random() * 6 + 4;
+            const chunkH = random() * 6 + 4;
 
-            bridgeDebris.push(new BridgeDebrisChunk(
-                centerX + (Math.random() - 0.5) * segment.w,
-                centerY + (Math.random() - 0.5) * segment.h,
+            bridgeDebris.push(Pools.acquire(BridgeDebrisChunk,
+                centerX + (random() - 0.5) * segment.w,
+                centerY + (random() - 0.5) * segment.h,
                 chunkW, chunkH,
                 '#c41e1e', // Bridge red
                 Math.cos(angle) * speed,
@@ -6194,9 +7235,9 @@ class Bridge {
         // Trigger sway if not already active
         if (!this.swayActive) {
             this.swayActive = true;
-            this.swayStartTime = Date.now();
-            this.swayAmplitude = 1.5 + Math.random() * 1.5; // Subtle sway
-            this.swayVelocity = (Math.random() - 0.5) * 1;
+            this.swayStartTime = simTime;
+            this.swayAmplitude = 1.5 + random() * 1.5; // Subtle sway
+            this.swayVelocity = (random() - 0.5) * 1;
             this.swayDamping = 0.78; // Reduced damping for more movement
         }
 
@@ -6205,9 +7246,9 @@ class Bridge {
 
         // Apply small impulse to segment when cable breaks
         if (segment && !segment.isKinematic) {
-            const impulseX = (Math.random() - 0.5) * 0.3;
+            const impulseX = (random() - 0.5) * 0.3;
             const impulseY = -0.2;
-            const torque = (Math.random() - 0.5) * 0.08;
+            const torque = (random() - 0.5) * 0.08;
             segment.velocityX += impulseX / segment.mass;
             segment.velocityY += impulseY / segment.mass;
             segment.angularVelocity += torque / segment.mass;
@@ -6220,8 +7261,8 @@ class Bridge {
         if (triggerIndex === -1) return;
 
         // Break nearby cables progressively
-        const breakDelay = 200 + Math.random() * 400; // 0.2-0.6 seconds
-        const breakRadius = 3 + Math.floor(Math.random() * 4); // 3-6 cables
+        const breakDelay = 200 + random() * 400; // 0.2-0.6 seconds
+        const breakRadius = 3 + Math.floor(random() * 4); // 3-6 cables
 
         for (let i = Math.max(0, triggerIndex - breakRadius);
             i <= Math.min(this.hangers.length - 1, triggerIndex + breakRadius);
@@ -6231,7 +7272,7 @@ class Bridge {
                 const delay = breakDelay + Math.abs(i - triggerIndex) * 100; // Stagger breaks
                 this.cableBreakSequence.push({
                     hanger: hanger,
-                    breakTime: Date.now() + delay
+                    breakTime: simTime + delay
                 });
             }
         }
@@ -6245,8 +7286,8 @@ class Bridge {
         if (!isMiddleBreak) return; // Only trigger sequence for middle breaks
 
         // Break middle segments first, then spread outward
-        const breakDelay = 200 + Math.random() * 400; // 0.2-0.6 seconds initial delay
-        const breakCount = 3 + Math.floor(Math.random() * 4); // 3-6 segments
+        const breakDelay = 200 + random() * 400; // 0.2-0.6 seconds initial delay
+        const breakCount = 3 + Math.floor(random() * 4); // 3-6 segments
 
         // Break segments in sequence (every 0.1s)
         for (let i = 0; i < breakCount; i++) {
@@ -6259,16 +7300,15 @@ class Bridge {
                     const delay = breakDelay + i * 100; // 0.1s between breaks
                     this.destructionSequence.push({
                         segment: segment,
-                        breakTime: Date.now() + delay
+                        breakTime: simTime + delay
                     });
                 }
             }
         }
     }
 
-    update() {
-        const currentTime = Date.now();
-        const deltaTime = 16; // ~60fps
+    update(dt = FIXED_TIMESTEP) {
+        const currentTime = simTime;
 
         // Process cable break sequence
         this.cableBreakSequence = this.cableBreakSequence.filter(item => {
@@ -6288,16 +7328,16 @@ class Bridge {
                 // Spawn cable particle
                 if (bridgeDebris.length < MAX_BRIDGE_DEBRIS) {
                     const hangerX = item.hanger.x;
-                    const height = window.innerHeight;
+                    const height = worldHeight;
                     const groundY = height * 0.85;
                     const waterY = groundY + 20;
                     const hangerY = waterY;
-                    bridgeDebris.push(new BridgeDebrisChunk(
+                    bridgeDebris.push(Pools.acquire(BridgeDebrisChunk,
                         hangerX, hangerY,
                         2, 8,
                         '#8b1414',
-                        (Math.random() - 0.5) * 1,
-                        Math.random() * 2 + 1
+                        (random() - 0.5) * 1,
+                        random() * 2 + 1
                     ));
                 }
                 return false; // Remove from sequence
@@ -6312,9 +7352,9 @@ class Bridge {
                 item.segment.health = 0;
                 item.segment.state = 'broken';
                 item.segment.makeDynamic(
-                    (Math.random() - 0.5) * 0.4,
+                    (random() - 0.5) * 0.4,
                     -0.2,
-                    (Math.random() - 0.5) * 0.08
+                    (random() - 0.5) * 0.08
                 );
                 this.onSegmentBroken(item.segment);
                 return false; // Remove from sequence
@@ -6324,7 +7364,7 @@ class Bridge {
 
         // Update all segments (physics)
         for (let segment of this.segments) {
-            segment.update(deltaTime);
+            segment.update(dt);
         }
 
         // Update sway physics (spring-damper) - now affects all segments
@@ -6378,6 +7418,16 @@ class Bridge {
                 this.rightTowerHealth = 0;
             }
         }
+
+        // Tower payouts (health can also drop via takeDamage)
+        if (this.leftTowerHealth <= 0 && !this.leftTowerScored) {
+            this.leftTowerScored = true;
+            ScoreManager.awardTower(this.leftTowerX + this.towerWidth / 2, this.y + this.height - this.towerHeight);
+        }
+        if (this.rightTowerHealth <= 0 && !this.rightTowerScored) {
+            this.rightTowerScored = true;
+            ScoreManager.awardTower(this.rightTowerX + this.towerWidth / 2, this.y + this.height - this.towerHeight);
+        }
     }
 
     // Apply damage to segments (from explosions/lasers)
@@ -6427,8 +7477,8 @@ class Bridge {
     render() {
         const drawX = this.x + screenShake.x;
         const drawY = this.y + screenShake.y + this.swayOffset; // Apply sway offset
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
         const waterY = groundY + 20;
 
@@ -6578,7 +7628,7 @@ class Bridge {
             ctx.fillStyle = deckGradient;
             ctx.fillRect(segDrawX, segDrawY, segment.w, segment.h);
 
-            // Damage cracks for damaged segments
+            // Damage cracks for damaged segments (redrawn every frame; Math.random keeps the sim RNG untouched)
             if (segment.state === 'damaged') {
                 ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
                 ctx.lineWidth = 1.5;
@@ -6615,7 +7665,11 @@ class Bridge {
 
 // Bridge Debris Chunk Class
 class BridgeDebrisChunk {
-    constructor(x, y, width, height, color, velocityX, velocityY) {
+    constructor(...args) {
+        this.init(...args);
+    }
+
+    init(x, y, width, height, color, velocityX, velocityY) {
         this.x = x;
         this.y = y;
         this.width = width;
@@ -6626,26 +7680,26 @@ class BridgeDebrisChunk {
         this.gravity = 0.5;
         this.friction = 0.88;
         this.bounciness = 0.3;
-        this.rotation = Math.random() * Math.PI * 2;
-        this.angularVelocity = (Math.random() - 0.5) * 0.3;
+        this.rotation = random() * Math.PI * 2;
+        this.angularVelocity = (random() - 0.5) * 0.3;
         this.onGround = false;
-        this.z = Math.random() * 100 - 50;
-        this.vz = (Math.random() - 0.5) * 0.4;
+        this.z = random() * 100 - 50;
+        this.vz = (random() - 0.5) * 0.4;
         this.zDamping = 0.95;
         this.sleeping = false;
         this.settledTime = null;
         this.doNotDraw = false;
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         if (this.sleeping) return;
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
-        // Check bridge segment collision (City 2)
-        if (currentCityId === 2 && !this.onGround) {
+        // Check bridge segment collision (bridge levels)
+        if (levelHasBridge && !this.onGround) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     const debrisCenterX = this.x + this.width / 2;
@@ -6683,7 +7737,7 @@ class BridgeDebrisChunk {
             if (Math.abs(this.vz) < 0.05) this.vz = 0;
 
             if (this.settledTime === null && Math.abs(this.velocityX) < 0.1 && Math.abs(this.angularVelocity) < 0.01) {
-                this.settledTime = Date.now();
+                this.settledTime = simTime;
             }
             return;
         }
@@ -6725,7 +7779,7 @@ class BridgeDebrisChunk {
 
         const centerX = this.x + this.width / 2;
         const centerY = this.y + this.height / 2;
-        const groundY = window.innerHeight * 0.85;
+        const groundY = worldHeight * 0.85;
 
         // Shadow
         ctx.save();
@@ -6791,10 +7845,10 @@ class RobotMissile {
         this.size = 6;
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         if (!this.active) return;
 
-        this.lifetime += 16; // ~60fps
+        this.lifetime += dt;
 
         // Mouse steering (left/right)
         if (pointerActive) {
@@ -6839,11 +7893,11 @@ class RobotMissile {
         }
 
         // Check collision with buildings
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const width = worldWidth;
+        const height = worldHeight;
         const groundY = height * 0.85;
 
-        for (let building of buildings) {
+        for (let building of SpatialIndex.at('buildings', this.x, this.y)) {
             if (building.state === 'collapsed') continue;
             if (building.contains(this.x, this.y)) {
                 this.explode();
@@ -6852,7 +7906,7 @@ class RobotMissile {
         }
 
         // Check collision with bridge segments
-        if (currentCityId === 2) {
+        if (levelHasBridge) {
             for (let structure of staticStructures) {
                 if (structure instanceof Bridge) {
                     if (structure.contains(this.x, this.y)) {
@@ -6888,12 +7942,13 @@ class RobotMissile {
         const explosionRadius = 80;
         const damageRadius = 100;
 
-        // Create explosion
+        // Create explosion (the warhead crack plays over its boom)
         explosions.push(new Explosion(this.x, this.y, explosionRadius, 0.2));
+        SoundEngine.play('missileBlast', { x: this.x, y: this.y });
         screenShake.intensity = Math.max(screenShake.intensity, 15);
 
         // Damage buildings
-        buildings.forEach(building => {
+        SpatialIndex.near('buildings', this.x, this.y, damageRadius).forEach(building => {
             if (building.state === 'collapsed') return;
 
             const centerX = building.getCenterX();
@@ -6911,8 +7966,8 @@ class RobotMissile {
             }
         });
 
-        // Damage bridge segments (City 2)
-        if (currentCityId === 2) {
+        // Damage bridge segments (bridge levels)
+        if (levelHasBridge) {
             staticStructures.forEach(structure => {
                 if (structure instanceof Bridge) {
                     structure.takeDamage(70, this.x, this.y, damageRadius);
@@ -6921,10 +7976,10 @@ class RobotMissile {
         }
 
         // Spawn fire emitters
-        const fireCount = 2 + Math.floor(Math.random() * 2);
+        const fireCount = 2 + Math.floor(random() * 2);
         for (let i = 0; i < fireCount; i++) {
             const angle = (Math.PI * 2 * i) / fireCount;
-            const offset = 25 + Math.random() * 30;
+            const offset = 25 + random() * 30;
             const fx = this.x + Math.cos(angle) * offset;
             const fy = this.y + Math.sin(angle) * offset;
             fireEmitters.push(new FireEmitter(fx, fy));
@@ -6933,14 +7988,14 @@ class RobotMissile {
         // Spawn sparks (warm orange/yellow, no gray)
         for (let i = 0; i < 12; i++) {
             const angle = (Math.PI * 2 * i) / 12;
-            const speed = 2 + Math.random() * 3;
-            particles.push(new Particle(
+            const speed = 2 + random() * 3;
+            particles.push(Pools.acquire(Particle,
                 this.x, this.y,
                 Math.cos(angle) * speed,
                 Math.sin(angle) * speed - 1,
-                Math.random() < 0.5 ? '#ff8800' : '#ffaa00',
-                3 + Math.random() * 3,
-                30 + Math.random() * 20
+                random() < 0.5 ? '#ff8800' : '#ffaa00',
+                3 + random() * 3,
+                30 + random() * 20
             ));
         }
     }
@@ -7002,7 +8057,7 @@ class RobotMissile {
 }
 
 // ============================================
-// Water Wave System (City 2)
+// Water Wave System (levels with water)
 // ============================================
 
 class WaterWaveSystem {
@@ -7014,9 +8069,9 @@ class WaterWaveSystem {
         this.heights = [];
         this.velocities = [];
         this.restHeight = 0;
-        this.springConstant = 0.02;
-        this.damping = 0.95;
-        this.neighborCoupling = 0.1;
+        this.springConstant = Tunables.get('water.springConstant');
+        this.damping = Tunables.get('water.damping');
+        this.neighborCoupling = Tunables.get('water.neighborCoupling');
         this.flowPhase = 0; // For base flow drift
 
         // Initialize arrays
@@ -7026,7 +8081,7 @@ class WaterWaveSystem {
         }
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         // Base flow drift (very slow, subtle movement)
         this.flowPhase += 0.01;
 
@@ -7121,9 +8176,12 @@ class WaterWaveSystem {
 }
 
 // ============================================
-// Billboard Class (City 3)
+// Billboard Class
 // ============================================
 
+const BILLBOARD_WIDTH = 60;
+const BILLBOARD_HEIGHT = 30;
+
 class Billboard {
     constructor(x, y, width, height, buildingId = null) {
         this.x = x;
@@ -7153,6 +8211,22 @@ class Billboard {
         ];
 
         this.ad = this.ads[this.adIndex];
+        this.smashed = false; // Knocked out by a blast (pays out once)
+    }
+
+    // Circle overlap test against the billboard face
+    intersectsCircle(cx, cy, radius) {
+        const nearestX = Math.max(this.x, Math.min(cx, this.x + this.width));
+        const nearestY = Math.max(this.y, Math.min(cy, this.y + this.height));
+        const dx = cx - nearestX;
+        const dy = cy - nearestY;
+        return dx * dx + dy * dy <= radius * radius;
+    }
+
+    takeHit() {
+        if (this.smashed) return;
+        this.smashed = true;
+        ScoreManager.awardBillboard(this);
     }
 
     render() {
@@ -7263,235 +8337,762 @@ class Billboard {
             ctx.fillText(this.ad.sub, drawX + this.width / 2, drawY + this.height - 2);
         }
 
+        // Smashed: lights out with a crack across the panel
+        if (this.smashed) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+            ctx.fillRect(drawX, drawY, this.width, this.height);
+            ctx.strokeStyle = 'rgba(200, 200, 200, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(drawX + this.width * 0.2, drawY);
+            ctx.lineTo(drawX + this.width * 0.45, drawY + this.height * 0.5);
+            ctx.lineTo(drawX + this.width * 0.35, drawY + this.height);
+            ctx.moveTo(drawX + this.width * 0.45, drawY + this.height * 0.5);
+            ctx.lineTo(drawX + this.width * 0.8, drawY + this.height * 0.35);
+            ctx.stroke();
+        }
+
         ctx.restore();
     }
 }
 
 // ============================================
-// City Layout Builder
+// Destruction Scoring
 // ============================================
 
-function buildCityLayout(cityId) {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const groundY = height * 0.85;
-    const newBuildings = [];
-    const newStructures = [];
+const SCORE_POINTS_PER_DAMAGE = 1; // Base points per point of health removed
+const SCORE_STYLE_WEIGHTS = { glass: 1.2, brick: 1.0, concrete: 1.5 }; // Sturdier facades pay more
+const SCORE_COLLAPSE_BONUS = 500; // Full collapse bonus (before combo multiplier)
+const SCORE_COMBO_WINDOW = 2500; // ms of sim time to chain the next collapse
+const SCORE_COMBO_STEP = 0.5; // Multiplier gained per chained collapse
+const SCORE_COMBO_MAX = 5; // Multiplier cap
+const SCORE_BRIDGE_SEGMENT = 150;
+const SCORE_BRIDGE_TOWER = 1500;
+const SCORE_BILLBOARD = 300;
+const SCORE_POPUP_FLUSH_INTERVAL = 250; // ms between damage popups per building
+
+// Floating "+123" text above a payout location
+class ScorePopup {
+    constructor(x, y, text, color = '#ffd166', size = 16) {
+        this.x = x;
+        this.y = y;
+        this.text = text;
+        this.color = color;
+        this.size = size;
+        this.age = 0;
+        this.lifetime = 1200; // ms
+    }
 
-    if (cityId === 1) {
-        // City 1: Side Placement (User Request)
-        // Static Buildings on Left and Right
+    update(dt = FIXED_TIMESTEP) {
+        this.age += dt;
+        this.y -= 0.8 * (dt / FIXED_TIMESTEP); // Drift upward
+        return this.age < this.lifetime;
+    }
 
-        const groundY = height * 0.85;
+    render() {
+        const progress = this.age / this.lifetime;
+        const alpha = progress < 0.7 ? 1 : 1 - (progress - 0.7) / 0.3;
+        const scale = progress < 0.1 ? 0.6 + progress * 4 : 1; // Quick pop-in
+
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, alpha);
+        ctx.font = `bold ${Math.round(this.size * scale)}px monospace`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.strokeText(this.text, this.x + screenShake.x, this.y + screenShake.y);
+        ctx.fillStyle = this.color;
+        ctx.fillText(this.text, this.x + screenShake.x, this.y + screenShake.y);
+        ctx.restore();
+    }
+}
 
-        // Left Side Buildings (0% to 35%)
-        let currentX = 0;
-        const leftLimit = width * 0.35;
+const ScoreManager = {
+    score: 0,
+    displayedScore: 0, // Animated counter value (eases towards score)
+    combo: 0, // Collapses in the current chain
+    lastCollapseTime: -Infinity,
+    popups: [],
+    pendingDamage: new Map(), // Building -> { points, since } waiting to be shown as one popup
+    lastScoreText: null, // Last HUD text written (avoids DOM writes every step)
+    lastComboText: null,
+
+    reset: function () {
+        this.score = 0;
+        this.displayedScore = 0;
+        this.combo = 0;
+        this.lastCollapseTime = -Infinity;
+        this.popups = [];
+        this.pendingDamage.clear();
+        this.updateHUD();
+    },
 
-        while (currentX < leftLimit) {
-            const widthRoll = Math.random();
-            let buildingWidth = 30 + Math.random() * 50; // Random width 30-80
+    getComboMultiplier: function () {
+        return Math.min(SCORE_COMBO_MAX, 1 + Math.max(0, this.combo - 1) * SCORE_COMBO_STEP);
+    },
 
-            // Check limits
-            if (currentX + buildingWidth > leftLimit) break;
+    addPoints: function (points) {
+        this.score += Math.round(points);
+    },
 
-            // Varied heights
-            const heightRoll = Math.random();
-            let buildingHeight;
-            if (heightRoll < 0.3) {
-                buildingHeight = 100 + Math.random() * 100;
-            } else if (heightRoll < 0.7) {
-                buildingHeight = 200 + Math.random() * 100;
-            } else {
-                buildingHeight = 300 + Math.random() * 150;
-            }
+    addPopup: function (x, y, text, color, size) {
+        this.popups.push(new ScorePopup(x, y, text, color, size));
+    },
+
+    // Damage payout, weighted by material and facade style
+    awardDamage: function (building, damage) {
+        if (damage <= 0) return;
+
+        const styleWeight = SCORE_STYLE_WEIGHTS[building.buildingStyle] || 1;
+        const points = damage * SCORE_POINTS_PER_DAMAGE * building.materialResistance * styleWeight;
+        this.addPoints(points);
 
-            const buildingY = groundY - buildingHeight;
-            const gap = 5 + Math.random() * 15;
+        // Lasers hit every step, so damage popups are batched per building
+        const pending = this.pendingDamage.get(building);
+        if (pending) {
+            pending.points += points;
+        } else {
+            this.pendingDamage.set(building, { points: points, since: simTime });
+        }
+    },
 
-            newBuildings.push(new Building(currentX, buildingY, buildingWidth, buildingHeight));
-            currentX += buildingWidth + gap;
+    awardCollapse: function (building) {
+        // Chain collapses that start within the combo window
+        if (simTime - this.lastCollapseTime <= SCORE_COMBO_WINDOW) {
+            this.combo++;
+        } else {
+            this.combo = 1;
         }
+        this.lastCollapseTime = simTime;
 
-        // Right Side Buildings (65% to 100%)
-        currentX = width * 0.65;
-        const rightLimit = width;
+        const multiplier = this.getComboMultiplier();
+        const points = SCORE_COLLAPSE_BONUS * multiplier;
+        this.addPoints(points);
 
-        while (currentX < rightLimit) {
-            const widthRoll = Math.random();
-            let buildingWidth = 30 + Math.random() * 50;
+        const label = multiplier > 1 ? `+${Math.round(points)} x${multiplier.toFixed(1)} COMBO` : `+${Math.round(points)} COLLAPSE`;
+        this.addPopup(building.getCenterX(), building.y - 10, label, multiplier > 1 ? '#ff6b35' : '#ffd166', 20);
+    },
 
-            // Check limits
-            if (currentX + buildingWidth > rightLimit + 30) break;
+    awardBridgeSegment: function (segment) {
+        if (segment.scored) return;
+        segment.scored = true;
+        this.addPoints(SCORE_BRIDGE_SEGMENT);
+        this.addPopup(segment.x + segment.w / 2, segment.y - 10, `+${SCORE_BRIDGE_SEGMENT}`, '#e63939');
+    },
 
-            // Varied heights
-            const heightRoll = Math.random();
-            let buildingHeight;
-            if (heightRoll < 0.3) {
-                buildingHeight = 100 + Math.random() * 100;
-            } else if (heightRoll < 0.7) {
-                buildingHeight = 200 + Math.random() * 100;
-            } else {
-                buildingHeight = 300 + Math.random() * 150;
+    awardTower: function (x, y) {
+        this.addPoints(SCORE_BRIDGE_TOWER);
+        this.addPopup(x, y - 10, `+${SCORE_BRIDGE_TOWER} TOWER DOWN`, '#e63939', 22);
+    },
+
+    awardBillboard: function (billboard) {
+        this.addPoints(SCORE_BILLBOARD);
+        this.addPopup(billboard.x + billboard.width / 2, billboard.y - 10, `+${SCORE_BILLBOARD} AD BREAK`, '#4ecdc4', 18);
+    },
+
+    update: function (dt = FIXED_TIMESTEP) {
+        // Flush batched damage into popups
+        this.pendingDamage.forEach((pending, building) => {
+            if (simTime - pending.since >= SCORE_POPUP_FLUSH_INTERVAL) {
+                if (pending.points >= 1) {
+                    this.addPopup(building.getCenterX(), building.y + 20, `+${Math.round(pending.points)}`, '#ffffff', 14);
+                }
+                this.pendingDamage.delete(building);
             }
+        });
+
+        // Combo expires when the window runs out
+        if (this.combo > 0 && simTime - this.lastCollapseTime > SCORE_COMBO_WINDOW) {
+            this.combo = 0;
+        }
 
-            const buildingY = groundY - buildingHeight;
-            const gap = 5 + Math.random() * 15;
+        this.popups = this.popups.filter(popup => popup.update(dt));
 
-            newBuildings.push(new Building(currentX, buildingY, buildingWidth, buildingHeight));
-            currentX += buildingWidth + gap;
+        // Animated counter: ease towards the real score, always moving at least 1
+        if (this.displayedScore !== this.score) {
+            const diff = this.score - this.displayedScore;
+            const stepSize = Math.sign(diff) * Math.max(1, Math.abs(diff) * 0.15);
+            this.displayedScore = Math.abs(stepSize) >= Math.abs(diff) ? this.score : this.displayedScore + stepSize;
         }
-    } else if (cityId === 2) {
-        // City 2: Bridge variant with river
-        const waterY = groundY + 20; // Water level slightly below ground
-        const waterHeight = 40;
-        const bridgeY = waterY - 15; // Bridge deck above water
-        const bridgeHeight = 12;
-        const riverWidth = width * 0.4; // River takes 40% of width
-        const riverStartX = width * 0.3; // River starts at 30% from left
-        const bridgeX = riverStartX - 20; // Bridge extends beyond river
-        const bridgeWidth = riverWidth + 40;
+        this.updateHUD();
+    },
 
-        // Create red suspension bridge
-        const bridge = new Bridge(bridgeX, bridgeY, bridgeWidth, bridgeHeight);
-        newStructures.push(bridge);
+    render: function () {
+        this.popups.forEach(popup => popup.render());
+    },
 
-        // Create water wave system
-        waterWaves = new WaterWaveSystem(riverStartX, riverWidth, waterY);
+    updateHUD: function () {
+        if (HEADLESS) return;
 
-        // Buildings on left bank (mixed skyline with gaps)
-        const leftBankWidth = riverStartX - 20;
-        let leftCurrentX = 0;
-        const minBuildingWidth = 20;
-        const maxBuildingWidth = 60;
-
-        while (leftCurrentX < leftBankWidth) {
-            const widthRoll = Math.random();
-            let buildingWidth;
-            if (widthRoll < 0.5) {
-                buildingWidth = Math.random() * 15 + minBuildingWidth;
-            } else if (widthRoll < 0.85) {
-                buildingWidth = Math.random() * 20 + 35;
-            } else {
-                buildingWidth = Math.random() * 15 + 55;
-            }
+        const scoreText = Math.round(this.displayedScore).toLocaleString('en-US');
+        const multiplier = this.getComboMultiplier();
+        const comboText = multiplier > 1 ? `x${multiplier.toFixed(1)} COMBO` : '';
 
-            const heightRoll = Math.random();
-            let buildingHeight;
-            if (heightRoll < 0.3) {
-                buildingHeight = Math.random() * 80 + 100;
-            } else if (heightRoll < 0.7) {
-                buildingHeight = Math.random() * 120 + 180;
-            } else {
-                buildingHeight = Math.random() * 150 + 300;
-            }
+        // Called every step, so only touch the DOM when the text changes
+        if (scoreText === this.lastScoreText && comboText === this.lastComboText) return;
+        this.lastScoreText = scoreText;
+        this.lastComboText = comboText;
 
-            const gap = Math.random() * 14 + 6;
-            const x = leftCurrentX + gap;
-            const y = groundY - buildingHeight;
+        const scoreValue = document.getElementById('scoreValue');
+        const comboDisplay = document.getElementById('comboDisplay');
+        if (scoreValue) {
+            scoreValue.textContent = scoreText;
+        }
+        if (comboDisplay) {
+            comboDisplay.textContent = comboText;
+            comboDisplay.style.visibility = comboText ? 'visible' : 'hidden';
+        }
+    }
+};
 
-            if (x + buildingWidth <= leftBankWidth) {
-                newBuildings.push(new Building(x, y, buildingWidth, buildingHeight));
-            }
-            leftCurrentX = x + buildingWidth;
+// ============================================
+// Level Definitions
+// ============================================
+
+// Levels live in levels/<id>.json, listed in order by levels/index.json.
+// A definition describes:
+//   width        world width in world units (optional, default DEFAULT_WORLD_WIDTH; the
+//                world is always worldHeight tall and the camera scrolls across it)
+//   layout       { profiles: { name: { widths, heights, gap } }, zones: [{ from, to, profile }] }
+//                widths/heights are weighted bands [{ chance, min, max }], gap is [min, max] px,
+//                zones span fractions of the world width and are filled left to right
+//   buildingMix  { glass, brick, concrete } relative weights for building styles
+//   structures   { water: { from, to } | null, bridge: { from, to } | null,
+//                  billboards: { every, minHeight } | null } - spans are fractions of the width
+//   placed       optional { buildings: [{ x, width, height, style, maxHealth, materialResistance }],
+//                  billboards: [{ x, altitude }] } - hand-placed by the level editor, x is a fraction
+//   weapons      list of allowed weapon ids, null = any weapon
+//   palette      { sky[5], sunGlow[3], sunCore[2], haze[2], ground } background colors
+//   music        soundtrack theme id from MUSIC_THEMES (optional, default MUSIC_DEFAULT_THEME)
+//   mission      { name, timeLimit, tags, objectives } (see Mission Objectives)
+const LEVELS_PATH = 'levels/';
+const DEFAULT_BUILDING_MIX = { glass: 0.4, brick: 0.3, concrete: 0.3 };
+const SKY_GRADIENT_STOPS = [0, 0.3, 0.6, 0.85, 1]; // Positions for palette.sky colors
+
+const DEFAULT_PALETTE = {
+    sky: ['#1a3a5a', '#2a4a6a', '#4a5a7a', '#ff8c5a', '#ff6b4a'], // Deep blue → warm orange-pink
+    sunGlow: ['rgba(255, 200, 100, 0.8)', 'rgba(255, 150, 80, 0.4)', 'rgba(255, 100, 60, 0)'],
+    sunCore: ['#ffcc88', '#ff8844'],
+    haze: ['rgba(255, 200, 150, 0)', 'rgba(255, 180, 120, 0.3)'],
+    ground: '#1a1a1a'
+};
+
+// Used when levels/ can't be fetched (e.g. opened from file://): plain free-play skyline
+const FALLBACK_LEVEL = {
+    id: 'city-center',
+    name: 'City Center',
+    title: 'Free Play',
+    description: 'Level files could not be loaded. Smash the skyline freely.',
+    layout: {
+        profiles: {
+            tower: {
+                widths: [{ chance: 1, min: 30, max: 80 }],
+                heights: [
+                    { chance: 0.3, min: 100, max: 200 },
+                    { chance: 0.4, min: 200, max: 300 },
+                    { chance: 0.3, min: 300, max: 450 }
+                ],
+                gap: [5, 20]
+            }
+        },
+        zones: [
+            { from: 0, to: 0.35, profile: 'tower' },
+            { from: 0.65, to: 1, profile: 'tower' }
+        ]
+    },
+    buildingMix: DEFAULT_BUILDING_MIX,
+    structures: { water: null, bridge: null, billboards: null },
+    weapons: null,
+    palette: DEFAULT_PALETTE,
+    music: MUSIC_DEFAULT_THEME,
+    mission: null
+};
+
+const LevelRegistry = {
+    levels: {}, // id -> definition
+    order: [], // ids in Mission Control order
+    loaded: false,
+    ready: null, // Promise from load(), for callers that need definitions
+
+    // Fetch the index and every level file; resolves once all are registered
+    load: function () {
+        this.ready = fetch(LEVELS_PATH + 'index.json')
+            .then(response => {
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return response.json();
+            })
+            .then(index => Promise.all(index.levels.map(id => this.loadLevel(id))))
+            .catch(error => {
+                console.warn('Level files unavailable, using built-in fallback:', error);
+            })
+            .then(() => {
+                if (this.order.length === 0) {
+                    this.register(FALLBACK_LEVEL);
+                }
+                this.loaded = true;
+            });
+        return this.ready;
+    },
+
+    loadLevel: function (id) {
+        return fetch(LEVELS_PATH + id + '.json')
+            .then(response => {
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return response.json();
+            })
+            .then(level => this.register(level))
+            .catch(error => {
+                console.warn('Skipping level "' + id + '":', error);
+            });
+    },
+
+    register: function (level) {
+        if (!this.validate(level)) return;
+        if (!this.levels[level.id]) {
+            this.order.push(level.id);
         }
+        this.levels[level.id] = level;
+    },
 
-        // Buildings on right bank (mixed skyline with gaps)
-        const rightBankStartX = riverStartX + riverWidth + 20;
-        let rightCurrentX = rightBankStartX;
+    unregister: function (id) {
+        delete this.levels[id];
+        this.order = this.order.filter(levelId => levelId !== id);
+    },
 
-        while (rightCurrentX < width) {
-            const widthRoll = Math.random();
-            let buildingWidth;
-            if (widthRoll < 0.5) {
-                buildingWidth = Math.random() * 15 + minBuildingWidth;
-            } else if (widthRoll < 0.85) {
-                buildingWidth = Math.random() * 20 + 35;
-            } else {
-                buildingWidth = Math.random() * 15 + 55;
+    validate: function (level) {
+        const layout = level && level.layout;
+        if (!layout || !Array.isArray(layout.zones) || !layout.profiles) {
+            console.warn('Invalid level definition (missing layout):', level && level.id);
+            return false;
+        }
+        const missingProfile = layout.zones.find(zone => !layout.profiles[zone.profile]);
+        if (missingProfile) {
+            console.warn('Level "' + level.id + '" uses unknown profile "' + missingProfile.profile + '"');
+            return false;
+        }
+        return true;
+    },
+
+    // Unknown ids fall back to the first level so stale selections still load
+    get: function (id) {
+        return this.levels[id] || this.levels[this.order[0]] || FALLBACK_LEVEL;
+    },
+
+    // Id of the level after `id` (wraps around)
+    next: function (id) {
+        const index = this.order.indexOf(id);
+        return this.order[(index + 1) % this.order.length] || id;
+    }
+};
+
+function getLevelPalette() {
+    return (currentLevel && currentLevel.palette) || DEFAULT_PALETTE;
+}
+
+// Switch level and rebuild the city with the current seed (recorded for replays)
+function setLevel(levelId) {
+    if (ReplayManager.isPlaying()) return;
+    if (!LevelRegistry.loaded) {
+        currentLevelId = levelId; // Picked up by the first generateCity
+        return;
+    }
+    currentLevelId = LevelRegistry.get(levelId).id;
+    generateCity(worldSeed);
+    ReplayManager.record('level', { levelId: currentLevelId, seed: worldSeed });
+}
+
+// ============================================
+// Mission Objectives
+// ============================================
+
+// Missions come from each level definition's `mission` block. Objective types:
+//   skylineDestroyed { percent }  - share of the starting skyline height brought down
+//   buildingCollapsed { tag }     - a tagged building has started collapsing
+//   bridgeDown { percent }        - share of bridge segments broken loose
+// timeLimit is in seconds (null = untimed); weapon limits come from the level's `weapons`.
+// tags pick buildings from the generated layout and name them (only 'tallest' for now).
+
+const MissionManager = {
+    mission: null, // Active definition (null = free play)
+    allowedWeapons: null, // Level weapon list (null = any weapon)
+    status: 'none', // 'none' | 'active' | 'success' | 'failed'
+    startTime: 0, // simTime when the mission started
+    endTime: 0, // simTime when it was won or lost
+    initialBuildings: [], // Buildings present at mission start (collapsed ones leave `buildings`)
+    skylineHeight: 0, // Summed height of initialBuildings
+    objectiveStates: [], // [{ complete, text }] parallel to mission.objectives
+    lastPanelKey: null, // Avoids DOM writes every step
+
+    init: function () {
+        document.getElementById('missionRetryBtn').addEventListener('click', () => {
+            if (ReplayManager.isPlaying()) return;
+            this.hideResult();
+            generateCity(worldSeed);
+            ReplayManager.record('reset', { seed: worldSeed });
+        });
+        document.getElementById('missionContinueBtn').addEventListener('click', () => {
+            this.hideResult();
+        });
+    },
+
+    // Called by generateCity once the new layout exists
+    start: function (level) {
+        this.mission = level.mission || null;
+        this.allowedWeapons = level.weapons || null;
+        this.hideResult();
+        this.lastPanelKey = null;
+
+        if (!this.mission) {
+            this.status = 'none';
+            this.applyWeaponRestrictions();
+            this.updatePanel();
+            return;
+        }
+
+        this.status = 'active';
+        this.startTime = simTime;
+        this.endTime = 0;
+        this.initialBuildings = buildings.slice();
+        this.skylineHeight = this.initialBuildings.reduce((sum, building) => sum + building.height, 0);
+        this.applyTags();
+        this.warnMissingTargets();
+        this.applyWeaponRestrictions();
+        this.objectiveStates = this.mission.objectives.map(() => ({ complete: false, text: '' }));
+        this.evaluate();
+        this.updatePanel();
+    },
+
+    // A target tag that matched no building (typo, or generation didn't place it) can never
+    // be toppled; say so once instead of letting the objective pass silently
+    warnMissingTargets: function () {
+        this.mission.objectives.forEach(objective => {
+            if (objective.type === 'buildingCollapsed' && !this.initialBuildings.some(building => building.tag === objective.tag)) {
+                console.warn('Mission "' + this.mission.name + '": no building tagged "' + objective.tag + '"');
+            }
+        });
+    },
+
+    applyTags: function () {
+        (this.mission.tags || []).forEach(tagDef => {
+            let target = null;
+            if (tagDef.pick === 'tallest') {
+                this.initialBuildings.forEach(building => {
+                    if (!building.tag && (!target || building.height > target.height)) {
+                        target = building;
+                    }
+                });
+            }
+            if (target) {
+                target.tag = tagDef.tag;
+                target.tagLabel = tagDef.label;
             }
+        });
+    },
 
-            const heightRoll = Math.random();
-            let buildingHeight;
-            if (heightRoll < 0.3) {
-                buildingHeight = Math.random() * 80 + 100;
-            } else if (heightRoll < 0.7) {
-                buildingHeight = Math.random() * 120 + 180;
-            } else {
-                buildingHeight = Math.random() * 150 + 300;
+    isWeaponAllowed: function (weapon) {
+        if (!this.allowedWeapons) return true;
+        return this.allowedWeapons.includes(weapon);
+    },
+
+    // Disable forbidden toolbar buttons and move off a forbidden weapon
+    applyWeaponRestrictions: function () {
+        if (!HEADLESS) {
+            document.querySelectorAll('.weapon-btn').forEach(btn => {
+                btn.disabled = !this.isWeaponAllowed(btn.dataset.weapon);
+            });
+        }
+        if (!this.isWeaponAllowed(currentWeapon)) {
+            selectWeapon(this.allowedWeapons[0]);
+        }
+    },
+
+    getSkylineDestroyedPercent: function () {
+        if (this.skylineHeight <= 0) return 100;
+        let destroyedHeight = 0;
+        this.initialBuildings.forEach(building => {
+            if (building.state !== 'alive') {
+                destroyedHeight += building.height;
             }
+        });
+        return (destroyedHeight / this.skylineHeight) * 100;
+    },
 
-            const gap = Math.random() * 14 + 6;
-            const x = rightCurrentX + gap;
-            const y = groundY - buildingHeight;
+    getBridgeDownPercent: function () {
+        const bridge = staticStructures.find(structure => structure instanceof Bridge);
+        if (!bridge || bridge.segments.length === 0) return 0;
+        const broken = bridge.segments.filter(segment => segment.state === 'broken' || segment.state === 'dynamic').length;
+        return (broken / bridge.segments.length) * 100;
+    },
 
-            if (x + buildingWidth <= width) {
-                newBuildings.push(new Building(x, y, buildingWidth, buildingHeight));
+    evaluateObjective: function (objective) {
+        switch (objective.type) {
+            case 'skylineDestroyed': {
+                const percent = this.getSkylineDestroyedPercent();
+                return {
+                    complete: percent >= objective.percent,
+                    text: `Destroy ${objective.percent}% of skyline (${Math.floor(percent)}%)`
+                };
+            }
+            case 'buildingCollapsed': {
+                const target = this.initialBuildings.find(building => building.tag === objective.tag);
+                const label = target ? target.tagLabel : objective.tag;
+                return {
+                    complete: !!target && target.state !== 'alive',
+                    text: `Topple the ${label}`
+                };
+            }
+            case 'bridgeDown': {
+                const percent = this.getBridgeDownPercent();
+                return {
+                    complete: percent >= objective.percent,
+                    text: `Bring down the bridge (${Math.floor(percent)}%)`
+                };
             }
-            rightCurrentX = x + buildingWidth;
+            default:
+                console.warn('Unknown objective type:', objective.type);
+                return { complete: false, text: objective.type };
         }
-    } else if (cityId === 3) {
-        // City 3: Downtown cluster in center, smaller buildings on edges
-        const centerX = width / 2;
-        const centerClusterRadius = width * 0.25;
+    },
 
-        // Mixed skyline with downtown cluster in center
-        let currentX = 0;
-        const minBuildingWidth = 20;
-        const maxBuildingWidth = 65;
+    evaluate: function () {
+        this.objectiveStates = this.mission.objectives.map(objective => this.evaluateObjective(objective));
+    },
 
-        while (currentX < width) {
-            const isDowntown = currentX >= centerX - centerClusterRadius && currentX <= centerX + centerClusterRadius;
+    // Seconds left, or null for untimed missions
+    getTimeRemaining: function () {
+        if (!this.mission || !this.mission.timeLimit) return null;
+        const elapsed = ((this.status === 'active' ? simTime : this.endTime) - this.startTime) / 1000;
+        return Math.max(0, this.mission.timeLimit - elapsed);
+    },
 
-            // Varied widths
-            const widthRoll = Math.random();
-            let buildingWidth;
-            if (widthRoll < 0.5) {
-                buildingWidth = Math.random() * 15 + minBuildingWidth;
-            } else if (widthRoll < 0.85) {
-                buildingWidth = Math.random() * 20 + 35;
-            } else {
-                buildingWidth = Math.random() * 15 + 55;
-            }
+    update: function () {
+        if (this.status !== 'active') return;
 
-            // Varied heights (taller in downtown)
-            let buildingHeight;
-            if (isDowntown) {
-                const heightRoll = Math.random();
-                if (heightRoll < 0.3) {
-                    buildingHeight = Math.random() * 100 + 250; // Mid-tall: 250-350
-                } else {
-                    buildingHeight = Math.random() * 150 + 350; // Very tall: 350-500
-                }
-            } else {
-                const heightRoll = Math.random();
-                if (heightRoll < 0.4) {
-                    buildingHeight = Math.random() * 80 + 100; // Short: 100-180
-                } else {
-                    buildingHeight = Math.random() * 100 + 180; // Mid-rise: 180-280
-                }
-            }
+        this.evaluate();
+
+        if (this.objectiveStates.every(state => state.complete)) {
+            this.finish(true);
+        } else if (this.getTimeRemaining() === 0) {
+            this.finish(false);
+        }
+
+        this.updatePanel();
+    },
+
+    finish: function (success) {
+        this.status = success ? 'success' : 'failed';
+        this.endTime = simTime;
+        this.showResult();
+    },
+
+    formatTime: function (seconds) {
+        const whole = Math.ceil(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    },
+
+    updatePanel: function () {
+        if (HEADLESS) return;
 
-            const gap = Math.random() * 14 + 6;
-            const x = currentX + gap;
-            const y = groundY - buildingHeight;
+        const panel = document.getElementById('missionPanel');
+        if (!panel) return;
 
-            if (x + buildingWidth <= width) {
-                newBuildings.push(new Building(x, y, buildingWidth, buildingHeight));
+        const rows = [];
+        if (this.mission) {
+            const remaining = this.getTimeRemaining();
+            rows.push({ className: 'mission-title', text: this.mission.name });
+            if (remaining !== null) {
+                rows.push({ className: 'mission-timer' + (remaining <= 10 && this.status === 'active' ? ' urgent' : ''), text: this.formatTime(remaining) });
             }
-            currentX = x + buildingWidth;
+            this.objectiveStates.forEach(state => {
+                rows.push({ className: 'mission-objective' + (state.complete ? ' complete' : ''), text: `${state.complete ? '✔' : '○'} ${state.text}` });
+            });
+        }
+
+        const key = JSON.stringify(rows);
+        if (key === this.lastPanelKey) return;
+        this.lastPanelKey = key;
+        this.fillRows(panel, rows);
+        panel.style.display = rows.length > 0 ? 'block' : 'none';
+    },
+
+    // Replace a container's content with one div per { className, text } row. Names and
+    // objective text come from level files (which players can open and share), so they are
+    // only ever set as text.
+    fillRows: function (container, rows) {
+        container.textContent = '';
+        rows.forEach(row => {
+            const element = document.createElement('div');
+            element.className = row.className;
+            element.textContent = row.text;
+            container.appendChild(element);
+        });
+    },
+
+    showResult: function () {
+        if (HEADLESS) return;
+
+        const overlay = document.getElementById('missionResult');
+        const title = document.getElementById('missionResultTitle');
+        const details = document.getElementById('missionResultDetails');
+
+        const elapsed = (this.endTime - this.startTime) / 1000;
+        title.textContent = this.status === 'success' ? 'Mission Complete' : 'Mission Failed';
+        title.className = this.status === 'success' ? 'result-success' : 'result-failed';
+
+        const rows = this.objectiveStates.map(state => ({
+            className: 'mission-objective' + (state.complete ? ' complete' : ''),
+            text: `${state.complete ? '✔' : '✘'} ${state.text}`
+        }));
+        rows.push({ className: 'mission-stat', text: `Time: ${this.formatTime(elapsed)}` });
+        rows.push({ className: 'mission-stat', text: `Score: ${ScoreManager.score.toLocaleString('en-US')}` });
+        this.fillRows(details, rows);
+
+        overlay.style.display = 'flex';
+        GameState.set('results');
+    },
+
+    hideResult: function () {
+        if (HEADLESS) return;
+
+        const overlay = document.getElementById('missionResult');
+        if (overlay) {
+            overlay.style.display = 'none';
+        }
+        if (GameState.current === 'results') {
+            GameState.set('playing');
+        }
+    },
+
+    // Mark tagged targets that are still standing
+    render: function () {
+        if (this.status !== 'active') return;
+
+        this.initialBuildings.forEach(building => {
+            if (!building.tag || building.state !== 'alive') return;
+
+            const x = building.getCenterX() + screenShake.x;
+            const y = building.y - 28 + Math.sin(simTime / 250) * 4 + screenShake.y;
+
+            ctx.save();
+            ctx.fillStyle = '#ff3b3b';
+            ctx.beginPath();
+            ctx.moveTo(x, y + 10);
+            ctx.lineTo(x - 7, y);
+            ctx.lineTo(x + 7, y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.font = 'bold 11px monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(building.tagLabel.toUpperCase(), x, y - 2);
+            ctx.restore();
+        });
+    }
+};
+
+// ============================================
+// City Layout Builder
+// ============================================
+
+// Pick a value from weighted [{ chance, min, max }] bands (chances sum to 1)
+function rollLayoutBand(bands) {
+    const roll = random();
+    let cumulative = 0;
+    let band = bands[bands.length - 1];
+    for (let i = 0; i < bands.length; i++) {
+        cumulative += bands[i].chance;
+        if (roll < cumulative) {
+            band = bands[i];
+            break;
+        }
+    }
+    return band.min + random() * (band.max - band.min);
+}
+
+// Fill one zone of the skyline left to right with buildings from a profile
+function fillLayoutZone(zone, profile, buildingMix, groundY, width, out) {
+    const zoneEnd = width * zone.to;
+    let currentX = width * zone.from;
+
+    while (currentX < zoneEnd) {
+        const buildingWidth = rollLayoutBand(profile.widths);
+        const buildingHeight = rollLayoutBand(profile.heights);
+        const gap = profile.gap[0] + random() * (profile.gap[1] - profile.gap[0]);
+        const x = currentX + gap;
+
+        if (x + buildingWidth > zoneEnd) break;
+
+        out.push(new Building(x, groundY - buildingHeight, buildingWidth, buildingHeight, buildingMix));
+        currentX = x + buildingWidth;
+    }
+}
+
+function buildCityLayout(level) {
+    const width = worldWidth;
+    const height = worldHeight;
+    const groundY = height * 0.85;
+    const newBuildings = [];
+    const newStructures = [];
+    const structures = level.structures || {};
+    const placed = level.placed || {};
+
+    if (structures.water) {
+        // Water area between two banks
+        const waterY = groundY + 20; // Water level slightly below ground
+        const riverStartX = width * structures.water.from;
+        const riverWidth = width * (structures.water.to - structures.water.from);
+        waterWaves = new WaterWaveSystem(riverStartX, riverWidth, waterY);
+    }
+
+    if (structures.bridge) {
+        // Red suspension bridge over its span
+        const bridgeY = groundY + 5; // Bridge deck just above the water line
+        const bridgeHeight = 12;
+        const spanX = width * structures.bridge.from;
+        const spanWidth = width * (structures.bridge.to - structures.bridge.from);
+        const bridgeX = spanX - 20; // Bridge extends beyond its span onto the banks
+        const bridgeWidth = spanWidth + 40;
+
+        newStructures.push(new Bridge(bridgeX, bridgeY, bridgeWidth, bridgeHeight));
+    }
+
+    // Skyline zones, each filled from its named profile
+    level.layout.zones.forEach(zone => {
+        fillLayoutZone(zone, level.layout.profiles[zone.profile], level.buildingMix, groundY, width, newBuildings);
+    });
+
+    // Hand-placed buildings (level editor); x is a fraction of the world width
+    (placed.buildings || []).forEach(def => {
+        const buildingMix = def.style ? { glass: 0, brick: 0, concrete: 0, [def.style]: 1 } : level.buildingMix;
+        const building = new Building(width * def.x, groundY - def.height, def.width, def.height, buildingMix);
+        if (def.maxHealth) {
+            building.maxHealth = def.maxHealth;
+            building.health = def.maxHealth;
         }
+        if (def.materialResistance) {
+            building.materialResistance = def.materialResistance;
+        }
+        newBuildings.push(building);
+    });
 
-        // Add billboards on some buildings
+    // Billboards on every Nth building above a minimum height
+    if (structures.billboards) {
+        const { every, minHeight } = structures.billboards;
         newBuildings.forEach((building, index) => {
-            if (index % 3 === 0 && building.height > 150) {
-                const billboardX = building.x + building.width / 2 - 30;
+            if (index % every === 0 && building.height > minHeight) {
+                const billboardX = building.x + building.width / 2 - BILLBOARD_WIDTH / 2;
                 const billboardY = building.y - 40;
-                newStructures.push(new Billboard(billboardX, billboardY, 60, 30, index));
+                newStructures.push(new Billboard(billboardX, billboardY, BILLBOARD_WIDTH, BILLBOARD_HEIGHT, index));
             }
         });
     }
 
+    // Hand-placed billboards; altitude is the top edge's height above ground
+    (placed.billboards || []).forEach((def, index) => {
+        newStructures.push(new Billboard(width * def.x, groundY - def.altitude, BILLBOARD_WIDTH, BILLBOARD_HEIGHT, index));
+    });
+
     return {
         buildings: newBuildings,
         structures: newStructures
@@ -7502,25 +9103,25 @@ function buildCityLayout(cityId) {
 // City Generation
 // ============================================
 
-function generateCity() {
-    // Clear all entities
+// seed: reuse a specific seed (resize, city switch); omitted = new city (or the ?seed= one)
+function generateCity(seed) {
+    // Seed the generator first so layout and every later debris roll are reproducible
+    if (seed === undefined) {
+        seed = pinnedSeed !== null ? pinnedSeed : createRandomSeed();
+    }
+    seedRandom(seed);
+    updateSeedDisplay();
+
+    // Clear all entities (particles, debris and lasers go back to their pools)
+    releasePooledEntities();
     buildings = [];
     staticStructures = [];
-    particles.length = 0;
     explosions.length = 0;
     bombs.length = 0;
-    lasers.length = 0;
     tornados.length = 0;
     stickyBombs.length = 0;
-    robotHandLasers.length = 0;
-    ufoHandLasers.length = 0;
     meteors.length = 0;
     fireEmitters.length = 0;
-    fireParticles.length = 0;
-    buildingDebris.length = 0; // Clear debris
-    microDebris.length = 0; // Clear micro-debris
-    dustParticles.length = 0; // Clear dust particles
-    voxelBits.length = 0; // Clear voxel bits
     screenShake = { x: 0, y: 0, intensity: 0 };
     screenFlash = { active: false, intensity: 0 };
     pointerActive = false; // Reset pointer state
@@ -7549,14 +9150,14 @@ function generateCity() {
     // Clear robot missiles
     robotMissiles = [];
 
-    // Clear water waves (will be recreated for City 2)
+    // Clear water waves (recreated for levels with water)
     waterWaves = null;
 
     // Close UFO drawer
     closeUFODrawer();
 
-    // Clear bridge state (City 2)
-    if (currentCityId === 2) {
+    // Clear bridge state (bridge levels)
+    if (levelHasBridge) {
         staticStructures.forEach(structure => {
             if (structure instanceof Bridge) {
                 // Reset bridge segments, sway, cables, physics
@@ -7602,8 +9203,18 @@ function generateCity() {
     // Update detonate button
     updateDetonateButton();
 
-    // Build city layout based on current city ID
-    const layout = buildCityLayout(currentCityId);
+    // New city, new score
+    ScoreManager.reset();
+
+    // Build city layout from the current level definition (it sets the world width)
+    currentLevel = LevelRegistry.get(currentLevelId);
+    currentLevelId = currentLevel.id;
+    levelHasBridge = !!(currentLevel.structures && currentLevel.structures.bridge);
+    worldWidth = currentLevel.width || DEFAULT_WORLD_WIDTH;
+    LevelManager.updateSpawnPoint();
+    Camera.setZoom(Camera.zoom); // Zoom limits depend on the world width
+    Camera.centerOn(LevelManager.spawnPoint.x);
+    const layout = buildCityLayout(currentLevel);
     buildings = layout.buildings;
     staticStructures = layout.structures;
 
@@ -7627,6 +9238,77 @@ function generateCity() {
 
     // Reinitialize background
     initBackground();
+
+    // Start this level's mission against the fresh layout
+    MissionManager.start(currentLevel);
+    updateCityButton();
+}
+
+// Counterpart to generateCity(): put the world back exactly as a snapshot captured it
+// (see SnapshotManager for the format). Caches such as building render canvases aren't
+// saved; building caches are rebuilt here, the rest on the next render.
+function restoreCity(snapshot) {
+    // Snapshots carry their level definition so edited drafts restore as well
+    if (!LevelRegistry.levels[snapshot.level.id]) {
+        LevelRegistry.register(snapshot.level);
+    }
+    currentLevelId = snapshot.level.id;
+    currentLevel = LevelRegistry.get(currentLevelId);
+    levelHasBridge = !!(currentLevel.structures && currentLevel.structures.bridge);
+    worldWidth = currentLevel.width || DEFAULT_WORLD_WIDTH;
+    LevelManager.updateSpawnPoint();
+    Camera.setZoom(Camera.zoom);
+    worldSeed = snapshot.seed;
+    updateSeedDisplay();
+    Tunables.setValues(snapshot.tuning);
+
+    // Held input doesn't survive a restore
+    resetControls();
+    pointerActive = false;
+    mouseButtonHeld = false;
+
+    const state = SnapshotManager.decodeState(snapshot);
+
+    // Weapon UI first (it may spawn a robot/UFO, which the saved ones replace below)
+    ufoVariant = snapshot.ufoVariant;
+    ufoVariantSelected = snapshot.ufoVariantSelected;
+    MissionManager.allowedWeapons = state.mission.allowedWeapons;
+    selectWeapon(snapshot.weapon);
+    closeUFODrawer();
+
+    // Entity lists are refilled in place
+    releasePooledEntities();
+    const lists = SnapshotManager.getLists();
+    Object.keys(lists).forEach(name => {
+        lists[name].length = 0;
+        (state.lists[name] || []).forEach(item => lists[name].push(item));
+    });
+    robot = state.robot;
+    ufo = state.ufo;
+    waterWaves = state.waterWaves;
+    screenShake = state.screenShake;
+    screenFlash = state.screenFlash;
+    isDestroying = state.isDestroying;
+    Object.assign(ScoreManager, state.score);
+    Object.assign(MissionManager, state.mission);
+
+    // Clock and RNG continue from the saved step
+    rngState = snapshot.rngState;
+    simTick = snapshot.simTick;
+    simTime = snapshot.simTime;
+
+    // Refresh everything drawn from the restored state
+    buildings.forEach(building => building.buildRenderCache());
+    initBackground();
+    updateDetonateButton();
+    ScoreManager.lastScoreText = null;
+    ScoreManager.lastComboText = null;
+    ScoreManager.updateHUD();
+    MissionManager.hideResult();
+    MissionManager.lastPanelKey = null;
+    MissionManager.applyWeaponRestrictions();
+    MissionManager.updatePanel();
+    updateCityButton();
 }
 
 // ============================================
@@ -7638,13 +9320,11 @@ function generateCity() {
 // ============================================
 
 class Meteor {
-    constructor(targetX, targetY) {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-
-        // Start from top-left or top-right
-        const startFromLeft = Math.random() > 0.5;
-        this.startX = startFromLeft ? -50 : width + 50;
+    // view: { x, width } of the camera when the strike was called in (world units)
+    constructor(targetX, targetY, view) {
+        // Start just off the top-left or top-right of the view, so it is seen coming in
+        const startFromLeft = random() > 0.5;
+        this.startX = startFromLeft ? view.x - 50 : view.x + view.width + 50;
         this.startY = -50;
         this.targetX = targetX;
         this.targetY = targetY;
@@ -7655,17 +9335,17 @@ class Meteor {
         const distance = Math.sqrt(dx * dx + dy * dy);
         this.travelTime = Math.max(400, Math.min(900, distance * 1.2)); // 400-900ms
 
-        this.startTime = Date.now();
+        this.startTime = simTime;
         this.x = this.startX;
         this.y = this.startY;
         this.exploded = false;
         this.trail = []; // Store trail points
     }
 
-    update() {
+    update(dt = FIXED_TIMESTEP) {
         if (this.exploded) return;
 
-        const elapsed = Date.now() - this.startTime;
+        const elapsed = simTime - this.startTime;
         const progress = Math.min(1, elapsed / this.travelTime);
 
         // Interpolate position
@@ -7699,7 +9379,7 @@ class Meteor {
         screenShake.intensity = 15;
 
         // Calculate damage to buildings with non-linear falloff
-        buildings.forEach(building => {
+        SpatialIndex.near('buildings', this.targetX, this.targetY, damageRadius).forEach(building => {
             if (building.state === 'collapsed') return;
 
             const centerX = building.getCenterX();
@@ -7724,17 +9404,17 @@ class Meteor {
         });
 
         // Create fire emitters
-        const fireCount = 1 + Math.floor(Math.random() * 2);
+        const fireCount = 1 + Math.floor(random() * 2);
         for (let i = 0; i < fireCount; i++) {
             const angle = (Math.PI * 2 * i) / fireCount;
-            const offset = 20 + Math.random() * 30;
+            const offset = 20 + random() * 30;
             const fx = this.targetX + Math.cos(angle) * offset;
             const fy = this.targetY + Math.sin(angle) * offset;
             fireEmitters.push(new FireEmitter(fx, fy));
         }
 
-        // Damage bridge segments (City 2)
-        if (currentCityId === 2) {
+        // Damage bridge segments (bridge levels)
+        if (levelHasBridge) {
             staticStructures.forEach(structure => {
                 if (structure instanceof Bridge) {
                     structure.takeDamage(25, this.targetX, this.targetY, damageRadius);
@@ -7751,7 +9431,7 @@ class Meteor {
             for (let i = 1; i < this.trail.length; i++) {
                 const point = this.trail[i];
                 const prevPoint = this.trail[i - 1];
-                const age = Date.now() - point.time;
+                const age = simTime - point.time;
                 const alpha = Math.max(0, 1 - age / 200);
 
                 const gradient = ctx.createLinearGradient(
@@ -7788,19 +9468,19 @@ class Meteor {
     }
 }
 
-function createMeteorStrike(x, y) {
+function createMeteorStrike(x, y, view) {
     if (meteors.length >= MAX_METEORS) return;
-    meteors.push(new Meteor(x, y));
+    meteors.push(new Meteor(x, y, view));
 }
 
 function createNukeStrike(x, y) {
-    const bombCount = Math.floor(Math.random() * 5) + 6; // 6-10 bombs
+    const bombCount = Math.floor(random() * 5) + 6; // 6-10 bombs
     const spread = 300;
 
     for (let i = 0; i < bombCount; i++) {
         if (bombs.length >= MAX_BOMBS) break;
 
-        const offsetX = (Math.random() - 0.5) * spread;
+        const offsetX = (random() - 0.5) * spread;
         const bombX = x + offsetX;
         const bombY = -50; // Start above screen
 
@@ -7810,15 +9490,16 @@ function createNukeStrike(x, y) {
 
 function createLaserStrike(x, y) {
     // Create laser at x position
-    lasers.push(new Laser(x));
+    lasers.push(Pools.acquire(Laser, x));
+    SoundEngine.play('laserBeam', { x, y });
 
     // Screen shake
     screenShake.intensity = 10;
 }
 
 function createTornadoStrike(x, y) {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = worldWidth;
+    const height = worldHeight;
     const groundY = height * 0.85;
 
     if (tornados.length >= MAX_TORNADOS) return;
@@ -7831,23 +9512,287 @@ function createStickyBombPlacement(x, y) {
 }
 
 // ============================================
-// Input Handling
+// Camera (world <-> screen)
 // ============================================
 
-function handlePointerMove(event) {
-    // Track pointer for both robot and UFO modes
-    if (currentWeapon !== 'robot' && currentWeapon !== 'ufo') return;
+// Scales the world to fill the window's height and scrolls sideways: it follows the robot
+// or UFO while one is driven, otherwise the arrow keys pan. The wheel (or a pinch) zooms
+// about the pointer, and free-camera mode (C) lets a drag pan the view instead of firing.
+// It's only a view - the simulation never reads it, and pointer input is converted to
+// world units before it is handled or recorded (so replays don't depend on the camera).
+const CAMERA_FOLLOW_RATE = 0.1; // Share of the distance to the target closed per 60Hz frame
+const CAMERA_PAN_SPEED = 0.9; // World units per ms while a pan key is held
+const CAMERA_MAX_ZOOM = 4;
+const CAMERA_WHEEL_ZOOM_RATE = 0.0015; // Zoom factor per wheel delta unit (exponential)
+
+const Camera = {
+    x: 0, // World x at the left edge of the screen
+    y: 0, // World y at the top edge
+    zoom: 1, // 1 = world height fills the screen
+    scale: 1, // Screen px per world unit
+    viewWidth: DEFAULT_WORLD_WIDTH, // Screen size (CSS px)
+    viewHeight: worldHeight,
+    panDirection: 0, // -1 / 1 while a pan key is held
+    freeMode: false, // Drag pans instead of firing, no follow
+    pointers: new Map(), // pointerId -> screen point, for drag and pinch
+    pinch: null, // { distance, zoom } when two pointers went down
+
+    init: function () {
+        document.addEventListener('keydown', (e) => this.handleKey(e, true));
+        document.addEventListener('keyup', (e) => this.handleKey(e, false));
+
+        // Registered before the weapon handlers so a pinch or drag can claim the pointer
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointerleave', (e) => this.handlePointerUp(e));
+
+        document.getElementById('freeCamBtn').addEventListener('click', () => {
+            this.setFreeMode(!this.freeMode);
+        });
+    },
+
+    resize: function (width, height) {
+        this.viewWidth = width;
+        this.viewHeight = height;
+        this.setZoom(this.zoom);
+    },
+
+    // Zoomed out far enough to see the whole skyline (never less than filling the height)
+    getMinZoom: function () {
+        const fitWidth = this.viewWidth / (worldWidth * (this.viewHeight / worldHeight));
+        return Math.min(1, fitWidth);
+    },
+
+    setZoom: function (zoom) {
+        this.zoom = Math.max(this.getMinZoom(), Math.min(CAMERA_MAX_ZOOM, zoom));
+        this.scale = (this.viewHeight / worldHeight) * this.zoom;
+        this.clamp();
+    },
+
+    // Change zoom keeping the world point under (screenX, screenY) in place
+    zoomAt: function (screenX, screenY, zoom) {
+        const anchor = this.screenToWorld(screenX, screenY);
+        this.setZoom(zoom);
+        this.x = anchor.x - screenX / this.scale;
+        this.y = anchor.y - screenY / this.scale;
+        this.clamp();
+    },
+
+    resetZoom: function () {
+        const center = this.x + this.getVisibleWidth() / 2;
+        this.setZoom(1);
+        this.centerOn(center);
+    },
+
+    setFreeMode: function (enabled) {
+        this.freeMode = enabled;
+        const freeCamBtn = document.getElementById('freeCamBtn');
+        freeCamBtn.textContent = enabled ? 'Free Cam: On' : 'Free Cam: Off';
+    },
+
+    // World units visible across / down the screen
+    getVisibleWidth: function () {
+        return this.viewWidth / this.scale;
+    },
+
+    getVisibleHeight: function () {
+        return this.viewHeight / this.scale;
+    },
+
+    // Vehicle being driven (null = hold position / pan with keys)
+    getTarget: function () {
+        if (LevelEditor.active || this.freeMode) return null;
+        if (currentWeapon === 'robot' && robot) return { x: robot.x + robot.width / 2, y: robot.y };
+        if (currentWeapon === 'ufo' && ufo) return { x: ufo.x, y: ufo.y };
+        return null;
+    },
+
+    // Keep the view inside the world (a world narrower than the screen is centred, and
+    // zoomed out the ground stays on the bottom edge)
+    clamp: function () {
+        const visibleWidth = this.getVisibleWidth();
+        if (worldWidth <= visibleWidth) {
+            this.x = (worldWidth - visibleWidth) / 2;
+        } else {
+            this.x = Math.max(0, Math.min(worldWidth - visibleWidth, this.x));
+        }
+
+        const visibleHeight = this.getVisibleHeight();
+        if (worldHeight <= visibleHeight) {
+            this.y = worldHeight - visibleHeight;
+        } else {
+            this.y = Math.max(0, Math.min(worldHeight - visibleHeight, this.y));
+        }
+    },
+
+    centerOn: function (worldX) {
+        this.x = worldX - this.getVisibleWidth() / 2;
+        this.clamp();
+    },
+
+    // Once per rendered frame (frameTime in ms)
+    update: function (frameTime) {
+        const target = this.getTarget();
+        if (target) {
+            // Frame-rate independent easing towards the target
+            const rate = 1 - Math.pow(1 - CAMERA_FOLLOW_RATE, frameTime / FIXED_TIMESTEP);
+            this.x += (target.x - this.getVisibleWidth() / 2 - this.x) * rate;
+            this.y += (target.y - this.getVisibleHeight() / 2 - this.y) * rate;
+        } else if (this.panDirection !== 0) {
+            this.x += this.panDirection * CAMERA_PAN_SPEED * frameTime / this.zoom;
+        }
+        this.clamp();
+    },
+
+    // The pan keys pan when nothing is driven, plus free camera and zoom reset keys
+    // (arrows, C and 0 by default)
+    handleKey: function (e, down) {
+        if (isFormFieldTarget(e.target)) return;
+
+        if (down && !e.repeat && InputBindings.matches('freeCamera', e)) {
+            this.setFreeMode(!this.freeMode);
+            return;
+        }
+        if (down && InputBindings.matches('resetZoom', e)) {
+            this.resetZoom();
+            return;
+        }
+
+        const direction = InputBindings.matches('cameraLeft', e) ? -1 : InputBindings.matches('cameraRight', e) ? 1 : 0;
+        if (direction === 0) return;
+
+        if (down) {
+            this.panDirection = direction;
+        } else if (this.panDirection === direction) {
+            this.panDirection = 0;
+        }
+    },
+
+    // Canvas-relative screen point of a DOM event
+    getScreenPoint: function (event) {
+        const rect = canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    },
+
+    handleWheel: function (e) {
+        e.preventDefault();
+        const point = this.getScreenPoint(e);
+        this.zoomAt(point.x, point.y, this.zoom * Math.exp(-e.deltaY * CAMERA_WHEEL_ZOOM_RATE));
+    },
+
+    handlePointerDown: function (e) {
+        if (this.pointers.size === 1 && !this.ownsPointer(e)) {
+            // Second finger: lift the first one's weapon input before the pinch takes over
+            handlePointerUp(e);
+        }
+        this.pointers.set(e.pointerId, this.getScreenPoint(e));
+        if (this.pointers.size === 2) {
+            this.pinch = { distance: this.getPinchDistance(), zoom: this.zoom };
+        }
+    },
+
+    handlePointerMove: function (e) {
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous) return;
+        const point = this.getScreenPoint(e);
+        this.pointers.set(e.pointerId, point);
+
+        if (this.pinch && this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            const distance = this.getPinchDistance();
+            if (this.pinch.distance > 0) {
+                this.zoomAt((a.x + b.x) / 2, (a.y + b.y) / 2, this.pinch.zoom * distance / this.pinch.distance);
+            }
+        } else if (this.freeMode && !LevelEditor.active) {
+            // Drag: the world follows the pointer
+            this.x -= (point.x - previous.x) / this.scale;
+            this.y -= (point.y - previous.y) / this.scale;
+            this.clamp();
+        }
+    },
+
+    handlePointerUp: function (e) {
+        this.pointers.delete(e.pointerId);
+        if (this.pointers.size < 2) {
+            this.pinch = null;
+        }
+    },
+
+    getPinchDistance: function () {
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    },
 
+    // Live pointer input that moves the camera instead of reaching the weapons
+    ownsPointer: function (event) {
+        return !event.isReplay && !event.isGamepad && (this.freeMode || this.pinch !== null);
+    },
+
+    // Switch the context from screen px to world units (caller saves/restores)
+    applyTransform: function (context) {
+        context.scale(this.scale, this.scale);
+        context.translate(-this.x, -this.y);
+    },
+
+    screenToWorld: function (screenX, screenY) {
+        return {
+            x: screenX / this.scale + this.x,
+            y: screenY / this.scale + this.y
+        };
+    },
+
+    worldToScreen: function (worldX, worldY) {
+        return {
+            x: (worldX - this.x) * this.scale,
+            y: (worldY - this.y) * this.scale
+        };
+    }
+};
+
+// ============================================
+// Input Handling
+// ============================================
+
+// Pointer position in world units. Replayed (and headless) and gamepad events already carry
+// world coordinates; live ones are converted from the canvas through the camera.
+function getPointerWorldPosition(event) {
+    if (event.isReplay || event.isGamepad) {
+        return { x: event.worldX, y: event.worldY };
+    }
     const rect = canvas.getBoundingClientRect();
-    const clientX = event.clientX !== undefined ? event.clientX : (event.touches && event.touches[0] ? event.touches[0].clientX : 0);
-    const clientY = event.clientY !== undefined ? event.clientY : (event.touches && event.touches[0] ? event.touches[0].clientY : 0);
+    const point = ReplayManager.getClientPoint(event);
+    return Camera.screenToWorld(point.x - rect.left, point.y - rect.top);
+}
+
+// Visible world span when the event happened. The camera eases per rendered frame, so
+// strikes record it and replays use the recorded span rather than wherever the camera is.
+function getPointerView(event) {
+    if (event.viewX !== undefined) {
+        return { x: event.viewX, width: event.viewWidth };
+    }
+    return { x: Camera.x, width: Camera.getVisibleWidth() };
+}
+
+function handlePointerMove(event) {
+    if (LevelEditor.active || Camera.ownsPointer(event)) return;
+    if (!ReplayManager.capturePointer('pointerMove', event)) return;
+
+    // Track pointer for both robot and UFO modes
+    if (currentWeapon !== 'robot' && currentWeapon !== 'ufo') return;
 
-    pointerPosition.x = clientX - rect.left;
-    pointerPosition.y = clientY - rect.top;
+    const point = getPointerWorldPosition(event);
+    pointerPosition.x = point.x;
+    pointerPosition.y = point.y;
     pointerActive = true;
 }
 
 function handlePointerDown(event) {
+    if (LevelEditor.active || Camera.ownsPointer(event)) return;
+    if (!ReplayManager.capturePointer('pointerDown', event)) return;
+
     if (currentWeapon === 'robot') {
         mouseButtonHeld = true;
         if (robot) {
@@ -7859,6 +9804,9 @@ function handlePointerDown(event) {
 }
 
 function handlePointerUp(event) {
+    if (LevelEditor.active || Camera.ownsPointer(event)) return;
+    if (!ReplayManager.capturePointer('pointerUp', event)) return;
+
     if (currentWeapon === 'robot') {
         mouseButtonHeld = false;
         if (robot) {
@@ -7868,20 +9816,15 @@ function handlePointerUp(event) {
 }
 
 function handlePointer(event) {
+    if (LevelEditor.active || Camera.ownsPointer(event)) return;
+    if (!ReplayManager.capturePointer('pointer', event)) return;
     if (isDestroying) return;
 
     event.preventDefault();
     initAudioOnInteraction();
 
-    const rect = canvas.getBoundingClientRect();
-
-    // Get pointer position in CSS pixels (context scaling handles the rest)
-    const clientX = event.clientX !== undefined ? event.clientX : (event.touches && event.touches[0] ? event.touches[0].clientX : 0);
-    const clientY = event.clientY !== undefined ? event.clientY : (event.touches && event.touches[0] ? event.touches[0].clientY : 0);
-
-    // Calculate position relative to canvas (accounting for any offset)
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
+    // Weapons land at the world point under the pointer
+    const { x, y } = getPointerWorldPosition(event);
 
     // Update pointer position for robot laser aim
     if (currentWeapon === 'robot') {
@@ -7895,7 +9838,7 @@ function handlePointer(event) {
     // Trigger appropriate weapon for non-robot modes
     switch (currentWeapon) {
         case 'meteor':
-            createMeteorStrike(x, y);
+            createMeteorStrike(x, y, getPointerView(event));
             break;
         case 'nuke':
             createNukeStrike(x, y);
@@ -7912,682 +9855,3343 @@ function handlePointer(event) {
     }
 }
 
-// Use pointer events for unified input handling
-canvas.addEventListener('pointerdown', (e) => {
-    handlePointerDown(e);
-    handlePointer(e);
-});
-canvas.addEventListener('pointerup', handlePointerUp);
-canvas.addEventListener('pointermove', handlePointerMove);
-canvas.addEventListener('mousemove', handlePointerMove);
-canvas.addEventListener('mousedown', (e) => {
-    handlePointerDown(e);
-    handlePointer(e);
-});
-canvas.addEventListener('mouseup', handlePointerUp);
-canvas.addEventListener('click', handlePointer);
-
-// Fallback for older browsers
-canvas.addEventListener('touchstart', (e) => {
-    e.preventDefault();
-    if (e.touches.length > 0) {
-        handlePointerDown(e.touches[0]);
-        handlePointer(e.touches[0]);
-    }
-});
-canvas.addEventListener('touchend', (e) => {
-    e.preventDefault();
-    handlePointerUp(e);
-});
-canvas.addEventListener('touchmove', (e) => {
-    e.preventDefault();
-    if (e.touches.length > 0 && (currentWeapon === 'robot' || currentWeapon === 'ufo')) {
-        handlePointerMove(e.touches[0]);
-    }
-});
-
 // Handle pointer leave (stop firing when mouse leaves canvas)
-canvas.addEventListener('pointerleave', () => {
-    if (robot) {
-        robot.laserFiring = false;
-    }
-    mouseButtonHeld = false;
-});
-canvas.addEventListener('mouseleave', () => {
+function handlePointerLeave(event) {
+    if (LevelEditor.active || Camera.ownsPointer(event)) return;
+    if (!ReplayManager.capturePointer('pointerLeave', event)) return;
+
     if (robot) {
         robot.laserFiring = false;
     }
     mouseButtonHeld = false;
-});
+}
 
-// Prevent context menu on long press
-canvas.addEventListener('contextmenu', (e) => {
-    e.preventDefault();
-});
+// Canvas input wiring (browser only)
+function initPointerInput() {
+    // Use pointer events for unified input handling
+    canvas.addEventListener('pointerdown', (e) => {
+        handlePointerDown(e);
+        handlePointer(e);
+    });
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('mousemove', handlePointerMove);
+    canvas.addEventListener('mousedown', (e) => {
+        handlePointerDown(e);
+        handlePointer(e);
+    });
+    canvas.addEventListener('mouseup', handlePointerUp);
+    canvas.addEventListener('click', handlePointer);
 
-// City selection button
-function initCitySelection() {
-    const cityBtn = document.getElementById('cityBtn');
+    // Fallback for older browsers
+    canvas.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        if (e.touches.length > 0) {
+            handlePointerDown(e.touches[0]);
+            handlePointer(e.touches[0]);
+        }
+    });
+    canvas.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        handlePointerUp(e);
+    });
+    canvas.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        if (e.touches.length > 0 && (currentWeapon === 'robot' || currentWeapon === 'ufo')) {
+            handlePointerMove(e.touches[0]);
+        }
+    });
 
-    function updateCityButton() {
-        const cityNames = ['', 'CITY: 1', 'CITY: 2', 'CITY: 3'];
-        cityBtn.textContent = cityNames[currentCityId];
-    }
+    canvas.addEventListener('pointerleave', handlePointerLeave);
+    canvas.addEventListener('mouseleave', handlePointerLeave);
 
-    cityBtn.addEventListener('click', () => {
-        currentCityId = (currentCityId % 3) + 1; // Cycle 1 -> 2 -> 3 -> 1
-        updateCityButton();
-        generateCity();
+    // Prevent context menu on long press
+    canvas.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
     });
+}
 
-    updateCityButton();
+// Save a blob as a file through a temporary download link. The object URL is revoked a
+// moment later; revoking it right after click() can cancel the download in some browsers.
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-// Reset button
-document.getElementById('resetBtn').addEventListener('click', () => {
-    generateCity();
-});
+// ============================================
+// Input Replay (record & deterministic playback)
+// ============================================
 
-// Robot controls - Desktop
-document.addEventListener('keydown', (e) => {
-    // Mode Switching
-    if (e.key === 'u' || e.key === 'U') {
-        currentWeapon = 'ufo';
-        spawnUFO();
-        e.preventDefault();
-        return;
-    }
-    if (e.key === 'i' || e.key === 'I') {
-        currentWeapon = 'robot';
-        spawnRobot();
-        e.preventDefault();
-        return;
-    }
+const REPLAY_FORMAT_VERSION = 5; // 2: setup.levelId replaces setup.cityId, 3: setup.tuning + 'tune' events,
+                                 // 4: pointer x/y in world units, no viewport (layout no longer follows the window),
+                                 // 5: 'pointer' events carry viewX/viewWidth (visible span meteors launch from)
 
-    // Fullscreen toggle
-    if (e.key === 'p' || e.key === 'P') {
-        toggleFullscreen();
-        return;
-    }
+const ReplayManager = {
+    mode: 'idle', // 'idle' | 'recording' | 'playing'
+    recording: null, // Last recorded or imported run
+    playbackIndex: 0, // Next event to feed during playback
+    lastControls: null, // Control state at the end of the previous step
+    tickHadEvents: false, // Whether handlers recorded anything since the last step
 
-    if (currentWeapon === 'robot') {
-        initAudioOnInteraction();
-        switch (e.key) {
-            case 'ArrowUp':
-            case 'w':
-            case 'W':
-                robotControls.up = true;
-                e.preventDefault();
-                break;
-            case 'ArrowDown':
-            case 's':
-            case 'S':
-                robotControls.down = true;
-                e.preventDefault();
-                break;
-            case 'ArrowLeft':
-            case 'a':
-            case 'A':
-                robotControls.left = true;
-                e.preventDefault();
+    init: function () {
+        const recordBtn = document.getElementById('recordBtn');
+        const replayBtn = document.getElementById('replayBtn');
+        const exportBtn = document.getElementById('exportReplayBtn');
+
+        recordBtn.addEventListener('click', () => {
+            if (this.mode === 'recording') {
+                this.stopRecording();
+            } else if (this.mode === 'idle') {
+                this.startRecording();
+            }
+        });
+
+        replayBtn.addEventListener('click', () => {
+            if (this.mode === 'playing') {
+                this.stopPlayback();
+            } else if (this.mode === 'idle' && this.recording) {
+                this.startPlayback(this.recording);
+            }
+        });
+
+        exportBtn.addEventListener('click', () => {
+            this.exportRecording();
+        });
+
+        // Drop a replay file onto the canvas to play it
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+        });
+
+        this.updateButtons();
+    },
+
+    isPlaying: function () {
+        return this.mode === 'playing';
+    },
+
+    record: function (type, data = {}) {
+        if (this.mode !== 'recording') return;
+        this.recording.events.push(Object.assign({ tick: simTick, type: type }, data));
+        this.tickHadEvents = true;
+    },
+
+    // UI actions (weapon toolbar, detonate, UFO variant); returns false to swallow live input during playback
+    captureAction: function (type, data) {
+        if (this.mode === 'playing') return false;
+        this.record(type, data);
+        return true;
+    },
+
+    // Pointer handlers; positions are stored in world units
+    capturePointer: function (type, event) {
+        if (event && event.isReplay) return true;
+        if (this.mode === 'playing') return false;
+
+        if (this.mode === 'recording') {
+            const point = getPointerWorldPosition(event);
+            const data = { x: point.x, y: point.y };
+            if (type === 'pointer') {
+                const view = getPointerView(event);
+                data.viewX = view.x;
+                data.viewWidth = view.width;
+            }
+            this.record(type, data);
+        }
+        return true;
+    },
+
+    getClientPoint: function (event) {
+        if (!event) return { x: 0, y: 0 };
+        const clientX = event.clientX !== undefined ? event.clientX : (event.touches && event.touches[0] ? event.touches[0].clientX : 0);
+        const clientY = event.clientY !== undefined ? event.clientY : (event.touches && event.touches[0] ? event.touches[0].clientY : 0);
+        return { x: clientX, y: clientY };
+    },
+
+    // Synthetic event for re-feeding a recorded pointer action into its handler
+    makePointerEvent: function (event) {
+        return {
+            worldX: event.x,
+            worldY: event.y,
+            viewX: event.viewX,
+            viewWidth: event.viewWidth,
+            isReplay: true,
+            preventDefault: () => { }
+        };
+    },
+
+    snapshotControls: function () {
+        return {
+            robot: Object.assign({}, robotControls),
+            ufo: Object.assign({}, ufoControls),
+            robotLaser: robot ? robot.laserFiring : false // Set directly by the mobile laser button
+        };
+    },
+
+    // Called at the start of every simulation step
+    beginStep: function () {
+        if (this.mode === 'recording') {
+            // Key/touch transitions are captured as control state at tick granularity,
+            // which is exactly what the simulation observes
+            const controls = this.snapshotControls();
+            if (this.tickHadEvents || JSON.stringify(controls) !== JSON.stringify(this.lastControls)) {
+                this.record('controls', controls);
+            }
+            this.tickHadEvents = false;
+        } else if (this.mode === 'playing') {
+            const events = this.recording.events;
+            while (this.playbackIndex < events.length && events[this.playbackIndex].tick <= simTick) {
+                this.applyEvent(events[this.playbackIndex]);
+                this.playbackIndex++;
+            }
+        }
+    },
+
+    // Called at the end of every simulation step
+    endStep: function () {
+        if (this.mode === 'recording') {
+            this.lastControls = this.snapshotControls();
+        } else if (this.mode === 'playing' && simTick + 1 >= this.recording.length) {
+            this.stopPlayback();
+        }
+    },
+
+    applyEvent: function (event) {
+        switch (event.type) {
+            case 'pointerMove':
+                handlePointerMove(this.makePointerEvent(event));
                 break;
-            case 'ArrowRight':
-            case 'd':
-            case 'D':
-                robotControls.right = true;
-                e.preventDefault();
+            case 'pointerDown':
+                handlePointerDown(this.makePointerEvent(event));
                 break;
-            case ' ':
-                robotControls.jump = true;
-                e.preventDefault();
+            case 'pointerUp':
+                handlePointerUp(this.makePointerEvent(event));
                 break;
-            case 'f':
-            case 'F':
-                robotControls.punch = true;
-                e.preventDefault();
+            case 'pointer':
+                handlePointer(this.makePointerEvent(event));
                 break;
-            case 'o':
-            case 'O':
-                robotControls.missile = true;
-                e.preventDefault();
+            case 'pointerLeave':
+                handlePointerLeave(this.makePointerEvent(event));
                 break;
-            case 'r':
-            case 'R':
-                robotControls.rightArmFire = true;
-                e.preventDefault();
+            case 'weapon':
+                selectWeapon(event.weapon);
                 break;
-            case 'e':
-            case 'E':
-                robotControls.leftArmFire = true;
-                e.preventDefault();
+            case 'modeKey':
+                switchModeByKey(event.weapon);
                 break;
-        }
-    } else if (currentWeapon === 'ufo') {
-        initAudioOnInteraction();
-        switch (e.key) {
-            case 'ArrowLeft':
-            case 'a':
-            case 'A':
-                ufoControls.left = true;
-                e.preventDefault();
+            case 'detonate':
+                detonateAllStickyBombs();
                 break;
-            case 'ArrowRight':
-            case 'd':
-            case 'D':
-                ufoControls.right = true;
-                e.preventDefault();
+            case 'ufoVariant':
+                selectUFOVariant(event.variant);
+                closeUFODrawer();
                 break;
-            case 'ArrowUp':
-            case 'w':
-            case 'W':
-                ufoControls.up = true;
-                e.preventDefault();
+            case 'reset':
+                generateCity(event.seed);
                 break;
-            case 'ArrowDown':
-            case 's':
-            case 'S':
-                ufoControls.down = true;
-                e.preventDefault();
+            case 'level':
+                currentLevelId = event.levelId;
+                generateCity(event.seed);
                 break;
-            case 'e':
-            case 'E':
-                ufoControls.laser = true; // Bottom Laser
-                e.preventDefault();
+            case 'tune':
+                Tunables.set(event.id, event.value);
                 break;
-            case 'r':
-            case 'R':
-                ufoControls.invisibility = !ufoControls.invisibility;
+            case 'controls':
+                Object.assign(robotControls, event.robot);
+                Object.assign(ufoControls, event.ufo);
+                if (robot) robot.laserFiring = event.robotLaser;
                 if (ufo) ufo.invisible = ufoControls.invisibility;
                 updateStealthIndicator();
-                e.preventDefault();
-                break;
-            case 'f':
-            case 'F':
-                ufoControls.tractor = true;
-                e.preventDefault();
                 break;
         }
-    }
-});
+    },
 
-document.addEventListener('keyup', (e) => {
-    if (currentWeapon === 'robot') {
-        switch (e.key) {
-            case 'ArrowUp':
-            case 'w':
-            case 'W':
-                robotControls.up = false;
-                break;
-            case 'ArrowDown':
-            case 's':
-            case 'S':
-                robotControls.down = false;
-                break;
-            case 'ArrowLeft':
-            case 'a':
-            case 'A':
-                robotControls.left = false;
-                break;
-            case 'ArrowRight':
-            case 'd':
-            case 'D':
-                robotControls.right = false;
-                break;
-            case ' ':
-                robotControls.jump = false;
-                robotControls.jumpHeld = false;
-                break;
-            case 'r':
-            case 'R':
-                robotControls.rightArmFire = false;
-                break;
-            case 'e':
-            case 'E':
-                robotControls.leftArmFire = false;
-                break;
-        }
-    } else if (currentWeapon === 'ufo') {
-        switch (e.key) {
-            case 'ArrowLeft':
-            case 'a':
-            case 'A':
-                ufoControls.left = false;
-                break;
-            case 'ArrowRight':
-            case 'd':
-            case 'D':
-                ufoControls.right = false;
-                break;
-            case 'ArrowUp':
-            case 'w':
-            case 'W':
-                ufoControls.up = false;
-                break;
-            case 'ArrowDown':
-            case 's':
-            case 'S':
-                ufoControls.down = false;
-                break;
-            case 'e':
-            case 'E':
-                ufoControls.laser = false;
-                break;
-            case 'f':
-            case 'F':
-                ufoControls.tractor = false;
-                break;
+    // Put the world into a known state so recording and playback start identically
+    resetWorld: function (setup) {
+        resetControls();
+        pointerPosition.x = 0;
+        pointerPosition.y = 0;
+        mouseButtonHeld = false;
+
+        // Apply the recorded level's weapon limits first so selectWeapon accepts setup.weapon
+        currentLevelId = setup.levelId;
+        MissionManager.allowedWeapons = LevelRegistry.get(currentLevelId).weapons || null;
+        ufoVariant = setup.ufoVariant;
+        ufoVariantSelected = setup.ufoVariantSelected;
+        selectWeapon(setup.weapon);
+
+        // Physics values as they were when recording started
+        Tunables.setValues(setup.tuning);
+
+        // Timers and RNG restart from zero / the recorded seed
+        simTick = 0;
+        simTime = 0;
+        generateCity(setup.seed);
+    },
+
+    startRecording: function () {
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            setup: {
+                seed: worldSeed,
+                levelId: currentLevelId,
+                tuning: Tunables.getValues(),
+                weapon: currentWeapon,
+                ufoVariant: ufoVariant,
+                ufoVariantSelected: ufoVariantSelected
+            },
+            length: 0,
+            events: []
+        };
+
+        this.resetWorld(this.recording.setup);
+        this.lastControls = this.snapshotControls();
+        this.tickHadEvents = false;
+        this.mode = 'recording';
+        this.updateButtons();
+    },
+
+    stopRecording: function () {
+        this.recording.length = simTick;
+        this.mode = 'idle';
+        this.updateButtons();
+        this.showHint(`Recorded ${this.recording.events.length} inputs over ${(simTime / 1000).toFixed(1)}s`);
+    },
+
+    startPlayback: function (recording) {
+        if (!recording || recording.version !== REPLAY_FORMAT_VERSION || !recording.setup || !Array.isArray(recording.events)) {
+            throw new Error('Unsupported replay format');
         }
-    }
-});
 
-// Robot controls - Mobile buttons
-function initRobotControls() {
-    const btnLeft = document.getElementById('btnLeft');
-    const btnRight = document.getElementById('btnRight');
-    const btnJump = document.getElementById('btnJump');
-    const btnPunch = document.getElementById('btnPunch');
-    const btnLaser = document.getElementById('btnLaser');
+        this.recording = recording;
+        this.resetWorld(recording.setup);
+        this.playbackIndex = 0;
+        this.mode = 'playing';
+        this.updateButtons();
+        this.showHint('Replaying...');
+    },
+
+    stopPlayback: function () {
+        this.mode = 'idle';
+        resetControls();
+        if (robot) robot.laserFiring = false;
+        this.updateButtons();
+        this.showHint('Replay finished');
+    },
+
+    exportRecording: function () {
+        if (!this.recording) return;
+
+        const blob = new Blob([JSON.stringify(this.recording)], { type: 'application/json' });
+        downloadBlob(blob, `city-smash-replay-${this.recording.setup.seed}.json`);
+    },
+
+    importFile: function (file) {
+        if (this.mode !== 'idle') return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.startPlayback(JSON.parse(reader.result));
+            } catch (error) {
+                console.error('Failed to load replay:', error);
+                this.showHint('Invalid replay file');
+            }
+        };
+        reader.readAsText(file);
+    },
+
+    showHint: function (text) {
+        if (HEADLESS) return;
+
+        const hintText = document.getElementById('hintText');
+        if (hintText) {
+            hintText.textContent = text;
+        }
+    },
+
+    updateButtons: function () {
+        if (HEADLESS) return;
+
+        const recordBtn = document.getElementById('recordBtn');
+        const replayBtn = document.getElementById('replayBtn');
+        const exportBtn = document.getElementById('exportReplayBtn');
+
+        recordBtn.textContent = this.mode === 'recording' ? 'Stop Rec' : 'Record';
+        recordBtn.classList.toggle('recording', this.mode === 'recording');
+        recordBtn.disabled = this.mode === 'playing';
+        replayBtn.textContent = this.mode === 'playing' ? 'Stop Replay' : 'Replay';
+        replayBtn.disabled = !this.recording || this.mode === 'recording';
+        exportBtn.disabled = !this.recording || this.mode !== 'idle';
+    }
+};
+
+// ============================================
+// Level Editor
+// ============================================
+
+// Edits a draft copy of the current level: every building/billboard becomes a hand-placed
+// entry (level.placed), water and bridge are single spans. The draft is registered with
+// LevelRegistry and rebuilt through generateCity() after each change, so what you see is
+// exactly what the saved file loads as. The simulation is frozen while the editor is open.
+const EDITOR_GRID_SIZE = 10; // Snap step in px (matches the voxel grid)
+const EDITOR_HISTORY_LIMIT = 100; // Undo steps kept
+const EDITOR_EDGE_GRAB = 6; // px from an edge that grabs it for resizing
+const EDITOR_MIN_SIZE = 20; // Smallest building side / span in px
+const EDITOR_DEFAULT_BUILDING = { width: 60, height: 200 }; // Click-to-place size
+const EDITOR_DEFAULT_SPAN = 0.3; // Click-to-place water/bridge span (fraction of width)
+const EDITOR_SPAN_BANDS = { // Grab areas of the span items, relative to the ground line
+    bridge: { top: -40, height: 60 },
+    water: { top: 10, height: 40 }
+};
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+const LevelEditor = {
+    active: false,
+    level: null, // Draft level definition
+    draftId: null, // Registry id this editor session added (dropped again when the draft is renamed)
+    ownedIds: {}, // Registry ids the editor added, this session or an earlier one; only these may be reused
+    tool: 'select', // 'select' | 'building' | 'billboard' | 'bridge' | 'water'
+    snap: true,
+    selection: null, // { kind: 'building' | 'billboard' | 'bridge' | 'water', index }
+    drag: null, // { mode, kind, index, startX, startY, rect, original }
+    undoStack: [], // JSON snapshots of { structures, placed }
+    redoStack: [],
+
+    init: function () {
+        document.getElementById('editLevelBtn').addEventListener('click', () => this.open());
+        document.getElementById('editorCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('editorUndoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('editorRedoBtn').addEventListener('click', () => this.redo());
+        document.getElementById('editorDeleteBtn').addEventListener('click', () => this.deleteSelection());
+        document.getElementById('editorSaveBtn').addEventListener('click', () => this.save());
+
+        const fileInput = document.getElementById('editorFileInput');
+        document.getElementById('editorOpenBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importFile(fileInput.files[0]);
+                fileInput.value = '';
+            }
+        });
+
+        document.getElementById('editorSnap').addEventListener('change', (e) => {
+            this.snap = e.target.checked;
+        });
+
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+        });
+
+        // Selected building properties
+        document.getElementById('editorStyle').addEventListener('change', (e) => {
+            this.updateSelected(def => { def.style = e.target.value; });
+        });
+        document.getElementById('editorHealth').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) this.updateSelected(def => { def.maxHealth = value; });
+        });
+        document.getElementById('editorResistance').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) this.updateSelected(def => { def.materialResistance = value; });
+        });
+
+        // Level metadata
+        document.getElementById('editorLevelName').addEventListener('change', (e) => {
+            this.level.name = e.target.value.trim() || this.level.name;
+            this.rebuild();
+        });
+        document.getElementById('editorLevelId').addEventListener('change', (e) => {
+            const id = e.target.value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            // Registering the draft under a shipped or opened level's id would replace that level
+            if (id && id !== this.level.id && LevelRegistry.levels[id] && !this.ownedIds[id]) {
+                e.target.value = this.level.id;
+                this.showHint(`"${id}" is already a level - pick another id`);
+                return;
+            }
+            if (id) this.level.id = id;
+            this.rebuild();
+        });
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    },
+
+    open: function () {
+        if (this.active || !LevelRegistry.loaded || ReplayManager.mode !== 'idle') return;
+
+        // Start from the pristine layout of the current level
+        generateCity(worldSeed);
+        this.level = this.bakeLevel(currentLevel);
+        this.draftId = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.selection = null;
+        this.drag = null;
+        this.active = true;
+
+        document.body.classList.add('editor-active');
+        document.getElementById('levelEditor').style.display = 'flex';
+        document.getElementById('editorLevelName').value = this.level.name;
+        document.getElementById('editorLevelId').value = this.level.id;
+        document.getElementById('editorSnap').checked = this.snap;
+        this.setTool('select');
+        this.rebuild();
+    },
+
+    // Leave the editor and play the draft as it stands
+    close: function () {
+        if (!this.active) return;
+        this.active = false;
+        this.drag = null;
+        this.selection = null;
+        document.body.classList.remove('editor-active');
+        document.getElementById('levelEditor').style.display = 'none';
+        generateCity(worldSeed);
+    },
+
+    // Copy a level with its generated layout turned into placed buildings/billboards
+    bakeLevel: function (level) {
+        const width = worldWidth;
+        const groundY = worldHeight * 0.85;
+        const draft = JSON.parse(JSON.stringify(level));
+        const structures = level.structures || {};
+
+        if (!/-edit$/.test(draft.id)) {
+            draft.id = draft.id + '-edit';
+            draft.name = draft.name + ' (Edited)';
+        }
+        draft.layout = { profiles: {}, zones: [] };
+        draft.structures = {
+            water: structures.water || null,
+            bridge: structures.bridge || null,
+            billboards: null
+        };
+        draft.placed = {
+            buildings: buildings.map(building => ({
+                x: roundTo(building.x / width, 4),
+                width: Math.round(building.width),
+                height: Math.round(building.height),
+                style: building.buildingStyle,
+                maxHealth: Math.round(building.maxHealth),
+                materialResistance: roundTo(building.materialResistance, 2)
+            })),
+            billboards: staticStructures
+                .filter(structure => structure instanceof Billboard)
+                .map(billboard => ({
+                    x: roundTo(billboard.x / width, 4),
+                    altitude: Math.round(groundY - billboard.y)
+                }))
+        };
+        return draft;
+    },
+
+    // Register the draft and regenerate the world from it
+    rebuild: function () {
+        if (this.level.id !== this.draftId) {
+            if (this.draftId) {
+                LevelRegistry.unregister(this.draftId);
+                delete this.ownedIds[this.draftId];
+            }
+            // A level the editor didn't add (an opened file, a draft kept under its own id) stays put
+            this.draftId = LevelRegistry.levels[this.level.id] && !this.ownedIds[this.level.id] ? null : this.level.id;
+            if (this.draftId) this.ownedIds[this.draftId] = true;
+        }
+        LevelRegistry.register(this.level);
+        currentLevelId = this.level.id;
+        generateCity(worldSeed);
+        this.updatePanel();
+    },
+
+    // ---------- History ----------
+
+    snapshot: function () {
+        return JSON.stringify({ structures: this.level.structures, placed: this.level.placed });
+    },
+
+    restore: function (snapshot) {
+        const state = JSON.parse(snapshot);
+        this.level.structures = state.structures;
+        this.level.placed = state.placed;
+        this.selection = null;
+        this.rebuild();
+    },
+
+    // Call before every change so it can be undone
+    pushHistory: function () {
+        this.undoStack.push(this.snapshot());
+        if (this.undoStack.length > EDITOR_HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    },
+
+    undo: function () {
+        if (!this.active || this.undoStack.length === 0) return;
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+    },
+
+    redo: function () {
+        if (!this.active || this.redoStack.length === 0) return;
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+    },
+
+    // ---------- Geometry ----------
+
+    snapValue: function (value) {
+        return this.snap ? Math.round(value / EDITOR_GRID_SIZE) * EDITOR_GRID_SIZE : value;
+    },
+
+    // World rect of an item in the draft
+    getItemRect: function (kind, index) {
+        const width = worldWidth;
+        const groundY = worldHeight * 0.85;
+        const placed = this.level.placed;
+        const structures = this.level.structures;
+
+        switch (kind) {
+            case 'building': {
+                const def = placed.buildings[index];
+                return { x: def.x * width, y: groundY - def.height, width: def.width, height: def.height };
+            }
+            case 'billboard': {
+                const def = placed.billboards[index];
+                return { x: def.x * width, y: groundY - def.altitude, width: BILLBOARD_WIDTH, height: BILLBOARD_HEIGHT };
+            }
+            case 'bridge':
+            case 'water': {
+                const span = structures[kind];
+                const band = EDITOR_SPAN_BANDS[kind];
+                return { x: span.from * width, y: groundY + band.top, width: (span.to - span.from) * width, height: band.height };
+            }
+        }
+        return null;
+    },
+
+    // Write a world rect back into the draft item
+    setItemRect: function (kind, index, rect) {
+        const width = worldWidth;
+        const groundY = worldHeight * 0.85;
+
+        switch (kind) {
+            case 'building': {
+                const def = this.level.placed.buildings[index];
+                def.x = roundTo(rect.x / width, 4);
+                def.width = Math.round(rect.width);
+                def.height = Math.round(rect.height);
+                break;
+            }
+            case 'billboard': {
+                const def = this.level.placed.billboards[index];
+                def.x = roundTo(rect.x / width, 4);
+                def.altitude = Math.round(groundY - rect.y);
+                break;
+            }
+            case 'bridge':
+            case 'water':
+                this.level.structures[kind] = {
+                    from: roundTo(rect.x / width, 4),
+                    to: roundTo((rect.x + rect.width) / width, 4)
+                };
+                break;
+        }
+    },
+
+    // Topmost item under a point (billboards sit on buildings, so they win)
+    hitTest: function (x, y) {
+        const inside = rect => x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+        const placed = this.level.placed;
+
+        for (let i = placed.billboards.length - 1; i >= 0; i--) {
+            if (inside(this.getItemRect('billboard', i))) return { kind: 'billboard', index: i };
+        }
+        for (let i = placed.buildings.length - 1; i >= 0; i--) {
+            if (inside(this.getItemRect('building', i))) return { kind: 'building', index: i };
+        }
+        if (this.level.structures.bridge && inside(this.getItemRect('bridge', 0))) return { kind: 'bridge', index: 0 };
+        if (this.level.structures.water && inside(this.getItemRect('water', 0))) return { kind: 'water', index: 0 };
+        return null;
+    },
+
+    // Which part of a selected item the pointer grabs
+    getDragMode: function (kind, rect, x, y) {
+        if (kind === 'billboard') return 'move';
+        if (x - rect.x <= EDITOR_EDGE_GRAB) return 'resize-left';
+        if (rect.x + rect.width - x <= EDITOR_EDGE_GRAB) return 'resize-right';
+        if (kind === 'building' && y - rect.y <= EDITOR_EDGE_GRAB) return 'resize-top';
+        return 'move';
+    },
+
+    // Apply the current drag to the original rect
+    getDraggedRect: function (x, y) {
+        const drag = this.drag;
+        const groundY = worldHeight * 0.85;
+        const rect = Object.assign({}, drag.original);
+        const dx = x - drag.startX;
+        const dy = y - drag.startY;
+
+        switch (drag.mode) {
+            case 'move':
+                rect.x = this.snapValue(drag.original.x + dx);
+                if (drag.kind === 'billboard') {
+                    rect.y = Math.min(groundY - rect.height, this.snapValue(drag.original.y + dy));
+                }
+                break;
+            case 'resize-left': {
+                const right = drag.original.x + drag.original.width;
+                rect.x = Math.min(right - EDITOR_MIN_SIZE, this.snapValue(drag.original.x + dx));
+                rect.width = right - rect.x;
+                break;
+            }
+            case 'resize-right':
+                rect.width = Math.max(EDITOR_MIN_SIZE, this.snapValue(drag.original.x + drag.original.width + dx) - rect.x);
+                break;
+            case 'resize-top':
+                rect.y = Math.min(groundY - EDITOR_MIN_SIZE, this.snapValue(drag.original.y + dy));
+                rect.height = groundY - rect.y;
+                break;
+            case 'create': {
+                const left = this.snapValue(Math.min(drag.startX, x));
+                const right = this.snapValue(Math.max(drag.startX, x));
+                rect.x = left;
+                rect.width = right - left;
+                if (drag.kind === 'building') {
+                    rect.y = this.snapValue(Math.min(drag.startY, y));
+                    rect.height = groundY - rect.y;
+                } else {
+                    rect.y = groundY + EDITOR_SPAN_BANDS[drag.kind].top;
+                    rect.height = EDITOR_SPAN_BANDS[drag.kind].height;
+                }
+                break;
+            }
+        }
+        return rect;
+    },
+
+    // ---------- Input ----------
+
+    handlePointerDown: function (event) {
+        if (!this.active) return;
+        const point = getPointerWorldPosition(event);
+        canvas.setPointerCapture(event.pointerId);
+
+        if (this.tool === 'select') {
+            const hit = this.hitTest(point.x, point.y);
+            this.selection = hit;
+            this.updatePanel();
+            if (!hit) return;
+
+            const rect = this.getItemRect(hit.kind, hit.index);
+            this.drag = {
+                mode: this.getDragMode(hit.kind, rect, point.x, point.y),
+                kind: hit.kind,
+                index: hit.index,
+                startX: point.x,
+                startY: point.y,
+                original: rect,
+                rect: rect
+            };
+            return;
+        }
+
+        if (this.tool === 'billboard') {
+            this.pushHistory();
+            this.level.placed.billboards.push({ x: 0, altitude: 0 });
+            const index = this.level.placed.billboards.length - 1;
+            this.setItemRect('billboard', index, {
+                x: this.snapValue(point.x - BILLBOARD_WIDTH / 2),
+                y: this.snapValue(point.y),
+                width: BILLBOARD_WIDTH,
+                height: BILLBOARD_HEIGHT
+            });
+            this.selection = { kind: 'billboard', index: index };
+            this.rebuild();
+            return;
+        }
+
+        // Building, bridge and water are dragged out
+        const groundY = worldHeight * 0.85;
+        const original = { x: point.x, y: Math.min(point.y, groundY), width: 0, height: 0 };
+        this.drag = {
+            mode: 'create',
+            kind: this.tool,
+            index: -1,
+            startX: point.x,
+            startY: Math.min(point.y, groundY - EDITOR_MIN_SIZE),
+            original: original,
+            rect: original
+        };
+    },
+
+    handlePointerMove: function (event) {
+        if (!this.active || !this.drag) return;
+        const point = getPointerWorldPosition(event);
+        this.drag.rect = this.getDraggedRect(point.x, point.y);
+    },
+
+    handlePointerUp: function (event) {
+        if (!this.active || !this.drag) return;
+        const point = getPointerWorldPosition(event);
+        const drag = this.drag;
+        const rect = this.getDraggedRect(point.x, point.y);
+        this.drag = null;
+
+        if (drag.mode === 'create') {
+            this.createItem(drag.kind, rect, point);
+            return;
+        }
+
+        const original = drag.original;
+        if (rect.x === original.x && rect.y === original.y && rect.width === original.width && rect.height === original.height) {
+            return;
+        }
+        this.pushHistory();
+        this.setItemRect(drag.kind, drag.index, rect);
+        this.rebuild();
+    },
+
+    // Finish a create drag; a plain click places a default-sized item
+    createItem: function (kind, rect, point) {
+        const width = worldWidth;
+        const groundY = worldHeight * 0.85;
+
+        if (rect.width < EDITOR_MIN_SIZE) {
+            const defaultWidth = kind === 'building' ? EDITOR_DEFAULT_BUILDING.width : width * EDITOR_DEFAULT_SPAN;
+            rect.x = this.snapValue(point.x - defaultWidth / 2);
+            rect.width = defaultWidth;
+        }
+        if (kind === 'building' && rect.height < EDITOR_MIN_SIZE) {
+            rect.height = EDITOR_DEFAULT_BUILDING.height;
+            rect.y = groundY - rect.height;
+        }
+
+        this.pushHistory();
+        if (kind === 'building') {
+            const mix = this.level.buildingMix || DEFAULT_BUILDING_MIX;
+            const style = ['glass', 'brick', 'concrete'].reduce((best, key) => (mix[key] > mix[best] ? key : best), 'glass');
+            this.level.placed.buildings.push({ x: 0, width: 0, height: 0, style: style, maxHealth: 400, materialResistance: 1 });
+            this.selection = { kind: 'building', index: this.level.placed.buildings.length - 1 };
+        } else {
+            // Single water area / bridge per level: placing one replaces the old span
+            this.selection = { kind: kind, index: 0 };
+        }
+        this.setItemRect(kind, this.selection.index, rect);
+        this.rebuild();
+    },
+
+    handleKeyDown: function (event) {
+        if (!this.active || isFormFieldTarget(event.target)) return;
+
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && key === 'z') {
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            event.preventDefault();
+        } else if ((event.ctrlKey || event.metaKey) && key === 'y') {
+            this.redo();
+            event.preventDefault();
+        } else if (key === 'delete' || key === 'backspace') {
+            this.deleteSelection();
+            event.preventDefault();
+        } else if (key === 'g') {
+            this.snap = !this.snap;
+            document.getElementById('editorSnap').checked = this.snap;
+        } else if (key === 'escape') {
+            this.selection = null;
+            this.drag = null;
+            this.updatePanel();
+        }
+    },
+
+    // ---------- Editing ----------
+
+    setTool: function (tool) {
+        this.tool = tool;
+        this.drag = null;
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    },
+
+    // Change the selected building's properties (undoable)
+    updateSelected: function (change) {
+        if (!this.selection || this.selection.kind !== 'building') return;
+        this.pushHistory();
+        change(this.level.placed.buildings[this.selection.index]);
+        this.rebuild();
+    },
+
+    deleteSelection: function () {
+        if (!this.active || !this.selection) return;
+        const { kind, index } = this.selection;
+
+        this.pushHistory();
+        if (kind === 'building') {
+            this.level.placed.buildings.splice(index, 1);
+        } else if (kind === 'billboard') {
+            this.level.placed.billboards.splice(index, 1);
+        } else {
+            this.level.structures[kind] = null;
+        }
+        this.selection = null;
+        this.rebuild();
+    },
+
+    // ---------- Files ----------
+
+    save: function () {
+        const blob = new Blob([JSON.stringify(this.level, null, 4)], { type: 'application/json' });
+        downloadBlob(blob, `${this.level.id}.json`);
+        this.showHint(`Saved ${this.level.id}.json - add it to levels/ and levels/index.json to ship it`);
+    },
+
+    importFile: function (file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const level = JSON.parse(reader.result);
+                if (!LevelRegistry.validate(level)) throw new Error('invalid level definition');
+
+                // Open the file's layout as a fresh draft
+                LevelRegistry.register(level);
+                currentLevelId = level.id;
+                generateCity(worldSeed);
+                this.level = this.bakeLevel(level);
+                this.level.id = level.id;
+                this.level.name = level.name;
+                this.draftId = null;
+                this.undoStack = [];
+                this.redoStack = [];
+                this.selection = null;
+                document.getElementById('editorLevelName').value = this.level.name;
+                document.getElementById('editorLevelId').value = this.level.id;
+                this.rebuild();
+            } catch (error) {
+                console.error('Failed to load level:', error);
+                this.showHint('Invalid level file');
+            }
+        };
+        reader.readAsText(file);
+    },
+
+    // ---------- UI ----------
+
+    showHint: function (text) {
+        document.getElementById('editorHint').textContent = text;
+    },
+
+    updatePanel: function () {
+        const isBuilding = this.selection && this.selection.kind === 'building';
+        document.getElementById('editorProps').style.display = isBuilding ? 'flex' : 'none';
+        document.getElementById('editorDeleteBtn').disabled = !this.selection;
+        document.getElementById('editorUndoBtn').disabled = this.undoStack.length === 0;
+        document.getElementById('editorRedoBtn').disabled = this.redoStack.length === 0;
+
+        if (isBuilding) {
+            const def = this.level.placed.buildings[this.selection.index];
+            document.getElementById('editorStyle').value = def.style;
+            document.getElementById('editorHealth').value = def.maxHealth;
+            document.getElementById('editorResistance').value = def.materialResistance;
+        }
+
+        const placed = this.level.placed;
+        this.showHint(`${placed.buildings.length} buildings, ${placed.billboards.length} billboards` +
+            (this.snap ? ` | snap ${EDITOR_GRID_SIZE}px` : ''));
+    },
+
+    // Grid, item outlines, selection and drag preview over the frozen world
+    render: function () {
+        if (!this.active) return;
+        const width = worldWidth;
+        const height = worldHeight;
+        const groundY = height * 0.85;
+
+        ctx.save();
+
+        if (this.snap) {
+            const step = EDITOR_GRID_SIZE * 5; // Draw every 5th line to keep it readable
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let x = 0; x <= width; x += step) {
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, groundY);
+            }
+            for (let y = groundY; y >= 0; y -= step) {
+                ctx.moveTo(0, y);
+                ctx.lineTo(width, y);
+            }
+            ctx.stroke();
+        }
+
+        // Outline every placed item
+        const outline = (kind, index, color) => {
+            const rect = this.getItemRect(kind, index);
+            ctx.strokeStyle = color;
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        };
+        ctx.lineWidth = 1;
+        this.level.placed.buildings.forEach((def, i) => outline('building', i, 'rgba(74, 144, 226, 0.5)'));
+        this.level.placed.billboards.forEach((def, i) => outline('billboard', i, 'rgba(255, 200, 0, 0.6)'));
+        if (this.level.structures.bridge) outline('bridge', 0, 'rgba(255, 80, 80, 0.6)');
+        if (this.level.structures.water) outline('water', 0, 'rgba(80, 200, 255, 0.6)');
+
+        // Selection with edge handles
+        if (this.selection) {
+            const rect = this.getItemRect(this.selection.kind, this.selection.index);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(rect.x - 3, rect.y + rect.height / 2 - 3, 6, 6);
+            ctx.fillRect(rect.x + rect.width - 3, rect.y + rect.height / 2 - 3, 6, 6);
+            if (this.selection.kind === 'building') {
+                ctx.fillRect(rect.x + rect.width / 2 - 3, rect.y - 3, 6, 6);
+            }
+        }
+
+        // Drag preview
+        if (this.drag) {
+            const rect = this.drag.rect;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = '#ffcc00';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(rect.x, rect.y, Math.max(1, rect.width), Math.max(1, rect.height));
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#ffcc00';
+            ctx.font = '11px monospace';
+            ctx.fillText(`${Math.round(rect.width)} x ${Math.round(rect.height)}`, rect.x, rect.y - 6);
+        }
+
+        ctx.restore();
+    }
+};
+
+// ============================================
+// Physics Tuning Panel
+// ============================================
+
+// Live sliders for every Tunables entry, grouped as in TUNABLE_DEFINITIONS.
+// Toggled with T or the "Edit Physics" button on the preview screen.
+const TuningPanel = {
+    visible: false,
+    built: false,
+
+    init: function () {
+        document.getElementById('tuningCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('tuningDefaultsBtn').addEventListener('click', () => this.applyValues(null));
+        document.getElementById('tuningExportBtn').addEventListener('click', () => {
+            Tunables.exportValues(document.getElementById('tuningPresetName').value.trim());
+        });
+        document.getElementById('tuningSaveBtn').addEventListener('click', () => {
+            const name = document.getElementById('tuningPresetName').value.trim();
+            if (!name) return;
+            Tunables.savePreset(name);
+            this.updatePresetList(name);
+        });
+        document.getElementById('tuningLoadBtn').addEventListener('click', () => {
+            const name = document.getElementById('tuningPresetSelect').value;
+            const presets = Tunables.loadPresets();
+            if (presets[name]) {
+                document.getElementById('tuningPresetName').value = name;
+                this.applyValues(presets[name]);
+            }
+        });
+        document.getElementById('tuningDeleteBtn').addEventListener('click', () => {
+            const name = document.getElementById('tuningPresetSelect').value;
+            if (!name) return;
+            Tunables.deletePreset(name);
+            this.updatePresetList();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (isFormFieldTarget(e.target) || LevelEditor.active) return;
+            if (InputBindings.matches('toggleTuning', e)) {
+                this.toggle();
+            }
+        });
+    },
+
+    // Sliders are created on first open from the registry
+    build: function () {
+        const container = document.getElementById('tuningSliders');
+        let currentGroup = null;
+
+        TUNABLE_DEFINITIONS.forEach(def => {
+            if (def.group !== currentGroup) {
+                currentGroup = def.group;
+                const header = document.createElement('div');
+                header.className = 'tuning-group';
+                header.textContent = def.group;
+                container.appendChild(header);
+            }
+
+            const row = document.createElement('label');
+            row.className = 'tuning-row';
+
+            const name = document.createElement('span');
+            name.className = 'tuning-label';
+            name.textContent = def.label;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = def.min;
+            slider.max = def.max;
+            slider.step = def.step;
+            slider.dataset.tunable = def.id;
+            slider.addEventListener('input', () => this.handleInput(def.id, parseFloat(slider.value)));
+
+            const value = document.createElement('span');
+            value.className = 'tuning-value';
+            value.id = 'tuningValue-' + def.id;
+
+            row.appendChild(name);
+            row.appendChild(slider);
+            row.appendChild(value);
+            container.appendChild(row);
+        });
+
+        this.built = true;
+        TUNABLE_DEFINITIONS.forEach(def => this.syncValue(def.id));
+    },
+
+    handleInput: function (id, value) {
+        // A replay drives the values it recorded
+        if (ReplayManager.isPlaying()) {
+            this.syncValue(id);
+            return;
+        }
+        Tunables.set(id, value);
+        ReplayManager.record('tune', { id: id, value: Tunables.get(id) });
+    },
+
+    // Apply a preset (null = defaults) and record each change for replays
+    applyValues: function (values) {
+        if (ReplayManager.isPlaying()) return;
+        Tunables.setValues(values);
+        TUNABLE_DEFINITIONS.forEach(def => {
+            ReplayManager.record('tune', { id: def.id, value: Tunables.get(def.id) });
+        });
+    },
+
+    // Reflect the registry value in the slider and its readout
+    syncValue: function (id) {
+        if (!this.built) return;
+        const value = Tunables.get(id);
+        const slider = document.querySelector(`#tuningSliders input[data-tunable="${id}"]`);
+        if (slider) slider.value = value;
+        const readout = document.getElementById('tuningValue-' + id);
+        if (readout) readout.textContent = Number(value.toFixed(3)).toString();
+    },
+
+    updatePresetList: function (selectedName) {
+        const select = document.getElementById('tuningPresetSelect');
+        const names = Object.keys(Tunables.loadPresets()).sort();
+        select.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        if (selectedName) select.value = selectedName;
+    },
+
+    open: function () {
+        if (!this.built) this.build();
+        this.updatePresetList();
+        this.visible = true;
+        document.getElementById('tuningPanel').style.display = 'flex';
+    },
+
+    close: function () {
+        this.visible = false;
+        document.getElementById('tuningPanel').style.display = 'none';
+    },
+
+    toggle: function () {
+        if (this.visible) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+};
+
+// ============================================
+// Settings Panel
+// ============================================
+
+// Controls for every SETTING_DEFINITIONS entry, opened from the pause menu. Changes apply
+// and save immediately.
+const SettingsPanel = {
+    visible: false,
+    built: false,
+    rebinding: null, // { action, slot } waiting for a key
+
+    init: function () {
+        document.getElementById('settingsCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('settingsDefaultsBtn').addEventListener('click', () => {
+            Settings.resetDefaults();
+            SETTING_DEFINITIONS.forEach(def => this.syncValue(def.id));
+            InputBindings.resetDefaults();
+            this.syncBindings();
+        });
+
+        // While waiting for a key, take it before any game handler (window capture runs
+        // first): Escape cancels, Backspace/Delete clears the slot, anything else binds it
+        window.addEventListener('keydown', (e) => {
+            if (!this.rebinding) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const { action, slot } = this.rebinding;
+            if (e.key === 'Backspace' || e.key === 'Delete') {
+                InputBindings.bind(action, slot, null);
+            } else if (e.key !== 'Escape' && !InputBindings.bind(action, slot, e.key)) {
+                return; // Reserved key: keep waiting
+            }
+            this.rebinding = null;
+            this.syncBindings();
+        }, true);
+    },
+
+    // Controls are created on first open from the definitions
+    build: function () {
+        const container = document.getElementById('settingsControls');
+        let currentGroup = null;
+
+        SETTING_DEFINITIONS.forEach(def => {
+            if (def.group !== currentGroup) {
+                currentGroup = def.group;
+                const header = document.createElement('div');
+                header.className = 'tuning-group';
+                header.textContent = def.group;
+                container.appendChild(header);
+            }
+
+            const row = document.createElement('label');
+            row.className = 'tuning-row';
+
+            const name = document.createElement('span');
+            name.className = 'tuning-label';
+            name.textContent = def.label;
+            row.appendChild(name);
+
+            let input;
+            if (def.type === 'select') {
+                input = document.createElement('select');
+                input.className = 'tuning-input';
+                Object.keys(def.options).forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = def.options[value];
+                    input.appendChild(option);
+                });
+                input.addEventListener('change', () => Settings.set(def.id, input.value));
+            } else if (def.type === 'toggle') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.addEventListener('change', () => Settings.set(def.id, input.checked));
+            } else {
+                input = document.createElement('input');
+                input.type = 'range';
+                input.min = def.min;
+                input.max = def.max;
+                input.step = def.step;
+                input.addEventListener('input', () => {
+                    Settings.set(def.id, parseFloat(input.value));
+                    this.syncValue(def.id);
+                });
+            }
+            input.dataset.setting = def.id;
+            row.appendChild(input);
+
+            const value = document.createElement('span');
+            value.className = 'tuning-value';
+            value.id = 'settingValue-' + def.id;
+            row.appendChild(value);
+
+            container.appendChild(row);
+        });
+
+        this.buildKeyBindings(container);
+        this.built = true;
+    },
+
+    // One row per action: a button per key slot (click, then press the new key) and a
+    // warning when the keys clash with another action
+    buildKeyBindings: function (container) {
+        let currentGroup = null;
+
+        KEY_BINDING_ACTIONS.forEach(def => {
+            if (def.group !== currentGroup) {
+                currentGroup = def.group;
+                const header = document.createElement('div');
+                header.className = 'tuning-group';
+                header.textContent = 'Keys: ' + def.group;
+                container.appendChild(header);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'tuning-row';
+
+            const name = document.createElement('span');
+            name.className = 'tuning-label';
+            name.textContent = def.label;
+            row.appendChild(name);
+
+            const keys = document.createElement('div');
+            keys.className = 'binding-keys';
+            for (let slot = 0; slot < KEY_BINDING_SLOTS; slot++) {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small binding-key';
+                button.dataset.binding = def.id;
+                button.dataset.slot = slot;
+                button.addEventListener('click', () => {
+                    this.rebinding = { action: def.id, slot };
+                    this.syncBindings();
+                });
+                keys.appendChild(button);
+            }
+            row.appendChild(keys);
+
+            const warning = document.createElement('span');
+            warning.className = 'tuning-value binding-conflict';
+            warning.id = 'bindingConflict-' + def.id;
+            row.appendChild(warning);
+
+            container.appendChild(row);
+        });
+    },
+
+    open: function () {
+        if (!this.built) this.build();
+        SETTING_DEFINITIONS.forEach(def => this.syncValue(def.id));
+        this.syncBindings();
+        this.visible = true;
+        document.getElementById('settingsPanel').style.display = 'flex';
+    },
+
+    close: function () {
+        this.visible = false;
+        this.rebinding = null;
+        document.getElementById('settingsPanel').style.display = 'none';
+    },
+
+    // Key labels and conflict warnings for every action
+    syncBindings: function () {
+        if (!this.built) return;
+        document.querySelectorAll('#settingsControls [data-binding]').forEach(button => {
+            const action = button.dataset.binding;
+            const slot = parseInt(button.dataset.slot, 10);
+            const key = InputBindings.bindings[action][slot];
+            const waiting = this.rebinding && this.rebinding.action === action && this.rebinding.slot === slot;
+            button.textContent = waiting ? 'Press a key…' : (key ? InputBindings.getKeyLabel(key) : '—');
+            button.classList.toggle('active', !!waiting);
+        });
+
+        KEY_BINDING_ACTIONS.forEach(def => {
+            const conflicts = InputBindings.getConflicts(def.id);
+            const warning = document.getElementById('bindingConflict-' + def.id);
+            warning.textContent = conflicts.length > 0 ? '⚠' : '';
+            warning.title = conflicts.length > 0
+                ? 'Same key as: ' + conflicts.map(id => InputBindings.actions[id].label).join(', ')
+                : '';
+        });
+    },
+
+    // Reflect the stored value in the control (ranges also show a percentage)
+    syncValue: function (id) {
+        if (!this.built) return;
+        const def = Settings.definitions[id];
+        const value = Settings.get(id);
+        const input = document.querySelector(`#settingsControls [data-setting="${id}"]`);
+        if (def.type === 'toggle') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        if (def.type === 'range') {
+            document.getElementById('settingValue-' + id).textContent = Math.round(value * 100) + '%';
+        }
+    }
+};
+
+// ============================================
+// City Snapshots (save / restore mid-destruction)
+// ============================================
+
+// A snapshot is JSON:
+//   { version, level (full definition), seed, rngState, simTick, simTime,
+//     weapon, ufoVariant, ufoVariantSelected, tuning, objects, state }
+// Every object reachable from `state` is stored once in `objects` as { class, fields } and
+// referenced as { $ref: index }, so shared and cyclic references (bridge segments <-> joints,
+// hangers, sticky bomb -> building) survive. Sets, Maps and non-finite numbers are tagged
+// ($set, $map, $num). Values that aren't plain data (canvases, gradients) are saved as null.
+const SNAPSHOT_FORMAT_VERSION = 2; // 2: world units, no viewport
+const SNAPSHOT_SLOT_KEY = 'citySmash.snapshot.'; // + slot number
+const SNAPSHOT_SLOT_COUNT = 3;
+
+// Classes that may appear in a snapshot (name -> constructor)
+const SNAPSHOT_CLASSES = {
+    Building, GlassShard, MicroDebris, VoxelBit, DustParticle, BuildingDebris, Particle,
+    Explosion, NuclearBomb, Laser, StickyBomb, Tornado, Robot, UFO, UFOLaser, RobotHandLaser,
+    FireEmitter, FireParticle, BridgeSegment, Bridge, BridgeDebrisChunk, RobotMissile,
+    WaterWaveSystem, Billboard, ScorePopup, Meteor
+};
+
+// Manager fields that are game state (the rest is UI caching)
+const SNAPSHOT_MANAGER_FIELDS = {
+    score: ['score', 'displayedScore', 'combo', 'lastCollapseTime', 'popups', 'pendingDamage'],
+    mission: ['mission', 'allowedWeapons', 'status', 'startTime', 'endTime', 'initialBuildings', 'skylineHeight', 'objectiveStates']
+};
+
+const SnapshotManager = {
+    slot: 1, // Selected quick slot
+
+    init: function () {
+        document.getElementById('snapshotSlot').addEventListener('change', (e) => {
+            this.slot = parseInt(e.target.value, 10) || 1;
+        });
+        document.getElementById('quickSaveBtn').addEventListener('click', () => this.quickSave());
+        document.getElementById('quickLoadBtn').addEventListener('click', () => this.quickLoad());
+        document.getElementById('exportSnapshotBtn').addEventListener('click', () => this.exportSnapshot());
+
+        const fileInput = document.getElementById('snapshotFileInput');
+        document.getElementById('importSnapshotBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importFile(fileInput.files[0]);
+                fileInput.value = '';
+            }
+        });
+
+        // Quick save / quick load (F6 / F9 by default) use the selected slot
+        document.addEventListener('keydown', (e) => {
+            if (isFormFieldTarget(e.target)) return;
+            if (InputBindings.matches('quickSave', e)) {
+                this.quickSave();
+                e.preventDefault();
+            } else if (InputBindings.matches('quickLoad', e)) {
+                this.quickLoad();
+                e.preventDefault();
+            }
+        });
+
+        this.updateSlotLabels();
+    },
+
+    // Entity arrays captured by a snapshot (restored in place)
+    getLists: function () {
+        return {
+            buildings, staticStructures, particles, explosions, bombs, lasers, tornados, stickyBombs,
+            robotHandLasers, ufoHandLasers, meteors, fireEmitters, fireParticles, buildingDebris,
+            microDebris, dustParticles, voxelBits, bridgeDebris, robotMissiles
+        };
+    },
+
+    // Saving mid-recording or during playback would break replay determinism
+    canUse: function () {
+        return ReplayManager.mode === 'idle' && !LevelEditor.active && buildings.length + staticStructures.length > 0;
+    },
+
+    capture: function () {
+        const objects = [];
+        const ids = new Map();
+        const classNames = new Map(Object.keys(SNAPSHOT_CLASSES).map(name => [SNAPSHOT_CLASSES[name].prototype, name]));
+
+        const encode = value => {
+            if (value === null || typeof value === 'boolean' || typeof value === 'string') return value;
+            if (typeof value === 'number') return Number.isFinite(value) ? value : { $num: String(value) };
+            if (typeof value !== 'object') return null; // Functions, undefined
+            if (Array.isArray(value)) return value.map(encode);
+            if (value instanceof Set) return { $set: Array.from(value, encode) };
+            if (value instanceof Map) return { $map: Array.from(value, ([key, item]) => [encode(key), encode(item)]) };
+
+            const proto = Object.getPrototypeOf(value);
+            const className = classNames.get(proto) || null;
+            if (!className && proto !== Object.prototype) return null; // Canvases, gradients: rebuilt on demand
+
+            if (ids.has(value)) return { $ref: ids.get(value) };
+            const entry = { class: className, fields: {} };
+            ids.set(value, objects.length);
+            objects.push(entry);
+            Object.keys(value).forEach(key => { entry.fields[key] = encode(value[key]); });
+            return { $ref: ids.get(value) };
+        };
+
+        const pick = (source, keys) => {
+            const picked = {};
+            keys.forEach(key => { picked[key] = source[key]; });
+            return picked;
+        };
+
+        const state = encode({
+            lists: this.getLists(),
+            robot: robot,
+            ufo: ufo,
+            waterWaves: waterWaves,
+            screenShake: screenShake,
+            screenFlash: screenFlash,
+            isDestroying: isDestroying,
+            score: pick(ScoreManager, SNAPSHOT_MANAGER_FIELDS.score),
+            mission: pick(MissionManager, SNAPSHOT_MANAGER_FIELDS.mission)
+        });
+
+        return {
+            version: SNAPSHOT_FORMAT_VERSION,
+            level: JSON.parse(JSON.stringify(currentLevel)),
+            seed: worldSeed,
+            rngState: rngState,
+            simTick: simTick,
+            simTime: simTime,
+            weapon: currentWeapon,
+            ufoVariant: ufoVariant,
+            ufoVariantSelected: ufoVariantSelected,
+            tuning: Tunables.getValues(),
+            objects: objects,
+            state: state
+        };
+    },
+
+    // Rebuild the object graph: create every instance first, then fill fields (handles cycles)
+    decodeState: function (snapshot) {
+        const instances = snapshot.objects.map(entry => {
+            if (!entry.class) return {};
+            const cls = SNAPSHOT_CLASSES[entry.class];
+            if (!cls) throw new Error('Unknown snapshot class: ' + entry.class);
+            return Object.create(cls.prototype);
+        });
+
+        const decode = value => {
+            if (value === null || typeof value !== 'object') return value;
+            if (Array.isArray(value)) return value.map(decode);
+            if (value.$ref !== undefined) return instances[value.$ref];
+            if (value.$num !== undefined) return Number(value.$num);
+            if (value.$set) return new Set(value.$set.map(decode));
+            if (value.$map) return new Map(value.$map.map(([key, item]) => [decode(key), decode(item)]));
+            return value;
+        };
+
+        snapshot.objects.forEach((entry, i) => {
+            Object.keys(entry.fields).forEach(key => {
+                instances[i][key] = decode(entry.fields[key]);
+            });
+        });
+        return decode(snapshot.state);
+    },
+
+    validate: function (snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_FORMAT_VERSION || !snapshot.level || !Array.isArray(snapshot.objects)) {
+            this.showHint('Unsupported snapshot');
+            return false;
+        }
+        return true;
+    },
+
+    restore: function (snapshot) {
+        if (!this.canUse() || !this.validate(snapshot)) return false;
+        try {
+            restoreCity(snapshot);
+        } catch (error) {
+            // A half-applied restore is worse than a fresh city
+            console.error('Failed to restore snapshot:', error);
+            generateCity(worldSeed);
+            this.showHint('Snapshot could not be restored');
+            return false;
+        }
+        return true;
+    },
+
+    // ---------- Quick slots (localStorage) ----------
+
+    quickSave: function () {
+        if (!this.canUse()) return;
+        try {
+            localStorage.setItem(SNAPSHOT_SLOT_KEY + this.slot, JSON.stringify(this.capture()));
+            this.showHint(`Saved to slot ${this.slot}`);
+        } catch (error) {
+            // Usually the storage quota with lots of debris in flight
+            console.error('Quick save failed:', error);
+            this.showHint('Quick save failed (storage full?) - try Export');
+        }
+        this.updateSlotLabels();
+    },
+
+    quickLoad: function () {
+        if (!this.canUse()) return;
+        const data = localStorage.getItem(SNAPSHOT_SLOT_KEY + this.slot);
+        if (!data) {
+            this.showHint(`Slot ${this.slot} is empty`);
+            return;
+        }
+        try {
+            if (this.restore(JSON.parse(data))) {
+                this.showHint(`Loaded slot ${this.slot}`);
+            }
+        } catch (error) {
+            console.error('Quick load failed:', error);
+            this.showHint(`Slot ${this.slot} is corrupt`);
+        }
+    },
+
+    updateSlotLabels: function () {
+        const select = document.getElementById('snapshotSlot');
+        select.innerHTML = '';
+        for (let slot = 1; slot <= SNAPSHOT_SLOT_COUNT; slot++) {
+            const option = document.createElement('option');
+            option.value = slot;
+            option.textContent = `Slot ${slot}` + (localStorage.getItem(SNAPSHOT_SLOT_KEY + slot) ? '' : ' (empty)');
+            select.appendChild(option);
+        }
+        select.value = this.slot;
+    },
+
+    // ---------- Files ----------
+
+    exportSnapshot: function () {
+        if (!this.canUse()) return;
+        const snapshot = this.capture();
+        const blob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+        downloadBlob(blob, `city-smash-snapshot-${snapshot.level.id}-${snapshot.simTick}.json`);
+    },
+
+    importFile: function (file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                if (this.restore(JSON.parse(reader.result))) {
+                    this.showHint('Snapshot loaded');
+                }
+            } catch (error) {
+                console.error('Failed to load snapshot:', error);
+                this.showHint('Invalid snapshot file');
+            }
+        };
+        reader.readAsText(file);
+    },
+
+    showHint: function (text) {
+        const hintText = document.getElementById('hintText');
+        if (hintText) {
+            hintText.textContent = text;
+        }
+    }
+};
+
+// ============================================
+// Photo Mode (freeze, slow motion, PNG export)
+// ============================================
+
+// Hides the HUD and controls how fast simulated time runs: frozen, stepped one tick at a
+// time, or slowed to 0.1x-1x. The world still advances in whole fixed steps (slow motion
+// just feeds the loop less real time), so recordings and replays are unaffected. Weapons
+// and the camera stay live, so a strike can be lined up and shot in slow motion.
+const PHOTO_MAX_EXPORT_SIDE = 16384; // px, larger canvases fail in most browsers
+
+const PhotoMode = {
+    active: false,
+    frozen: false,
+    timeScale: 1, // Slow motion factor while not frozen
+    pendingSteps: 0, // Single steps requested while frozen
+
+    init: function () {
+        document.getElementById('photoModeBtn').addEventListener('click', () => this.open());
+        document.getElementById('photoCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('photoFreezeBtn').addEventListener('click', () => this.setFrozen(!this.frozen));
+        document.getElementById('photoStepBtn').addEventListener('click', () => this.step());
+        document.getElementById('photoExportBtn').addEventListener('click', () => this.exportPNG());
+        document.getElementById('photoSpeed').addEventListener('input', (e) => {
+            this.setTimeScale(parseFloat(e.target.value));
+        });
+
+        // K toggles, '.' steps a frame (both rebindable), Esc leaves
+        document.addEventListener('keydown', (e) => {
+            if (isFormFieldTarget(e.target) || LevelEditor.active) return;
+            if (InputBindings.matches('photoMode', e)) {
+                this.toggle();
+            } else if (this.active && InputBindings.matches('photoStep', e)) {
+                this.step();
+            } else if (this.active && e.key === 'Escape') {
+                this.close();
+            }
+        });
+    },
+
+    open: function () {
+        if (this.active || LevelEditor.active) return;
+        this.active = true;
+        this.setFrozen(true);
+        document.body.classList.add('photo-active');
+        document.getElementById('photoPanel').style.display = 'flex';
+    },
+
+    close: function () {
+        if (!this.active) return;
+        this.active = false;
+        this.frozen = false;
+        this.pendingSteps = 0;
+        document.body.classList.remove('photo-active');
+        document.getElementById('photoPanel').style.display = 'none';
+    },
+
+    toggle: function () {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    setFrozen: function (frozen) {
+        this.frozen = frozen;
+        this.pendingSteps = 0;
+        document.getElementById('photoFreezeBtn').textContent = frozen ? 'Play' : 'Freeze';
+    },
+
+    setTimeScale: function (scale) {
+        this.timeScale = Math.max(0.1, Math.min(1, scale));
+        document.getElementById('photoSpeedValue').textContent = this.timeScale.toFixed(1) + 'x';
+    },
+
+    // Advance exactly one simulation tick (freezes first)
+    step: function () {
+        if (!this.active) return;
+        if (!this.frozen) this.setFrozen(true);
+        this.pendingSteps++;
+    },
+
+    // Simulated time (ms) the game loop should add for a frame of real time
+    advanceTime: function (frameTime) {
+        if (!this.active) return frameTime;
+        if (this.frozen) {
+            const steps = this.pendingSteps;
+            this.pendingSteps = 0;
+            return steps * FIXED_TIMESTEP;
+        }
+        return frameTime * this.timeScale;
+    },
+
+    // Re-render the current view at (device pixel ratio x scale) and download it
+    exportPNG: function () {
+        const dpr = window.devicePixelRatio || 1;
+        const requested = parseInt(document.getElementById('photoExportScale').value, 10) || 1;
+        const longestSide = Math.max(Camera.viewWidth, Camera.viewHeight);
+        const pixelRatio = Math.min(dpr * requested, PHOTO_MAX_EXPORT_SIDE / longestSide);
+
+        // Draw into the game canvas at the export size, grab it, then put it back
+        canvas.width = Math.floor(Camera.viewWidth * pixelRatio);
+        canvas.height = Math.floor(Camera.viewHeight * pixelRatio);
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        renderFrame(renderAlpha);
+        const fileName = `city-smash-${currentLevelId}-${simTick}.png`;
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                console.error('PNG export failed');
+                return;
+            }
+            downloadBlob(blob, fileName);
+        }, 'image/png');
+
+        canvas.width = Math.floor(Camera.viewWidth * dpr);
+        canvas.height = Math.floor(Camera.viewHeight * dpr);
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        renderFrame(renderAlpha);
+    }
+};
+
+// ============================================
+// Video Capture (WebM recording and clip buffer)
+// ============================================
+
+// Records the game canvas plus everything played through audioOutput with MediaRecorder.
+// "Rec Video" records until pressed again. The clip buffer keeps the recent past so a clip
+// can be saved after the fact (F8): a WebM can't be cut without re-encoding, so instead a
+// fresh recorder is started every VIDEO_CLIP_STAGGER seconds and the oldest one that covers
+// the last VIDEO_CLIP_SECONDS is saved (clips run 15-22.5s).
+const VIDEO_CLIP_SECONDS = 15;
+const VIDEO_CLIP_STAGGER = 7.5; // Seconds between buffer recorders (at most 3 run at once)
+const VIDEO_FRAME_RATE = 60;
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+const VideoCapture = {
+    stream: null, // Canvas + audio stream shared by all recorders
+    mimeType: null,
+    recording: null, // { recorder, chunks, startedAt } for "Rec Video"
+    buffer: [], // Clip buffer recorders, oldest first
+    bufferTimer: null,
+
+    init: function () {
+        const supported = typeof MediaRecorder !== 'undefined' && !!canvas.captureStream;
+        this.mimeType = supported ? VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) : null;
+
+        const recordBtn = document.getElementById('videoRecordBtn');
+        const bufferBtn = document.getElementById('clipBufferBtn');
+        if (!this.mimeType) {
+            recordBtn.disabled = true;
+            bufferBtn.disabled = true;
+            recordBtn.title = bufferBtn.title = 'WebM recording is not supported in this browser';
+            return;
+        }
+
+        recordBtn.addEventListener('click', () => this.toggleRecording());
+        bufferBtn.addEventListener('click', () => this.toggleBuffer());
+        document.getElementById('saveClipBtn').addEventListener('click', () => this.saveClip());
+
+        // F8 (by default) saves the last 15 seconds
+        document.addEventListener('keydown', (e) => {
+            if (isFormFieldTarget(e.target)) return;
+            if (InputBindings.matches('saveClip', e)) {
+                this.saveClip();
+                e.preventDefault();
+            }
+        });
+    },
+
+    // Canvas video plus the game's audio (if the audio context exists yet)
+    getStream: function () {
+        if (this.stream) return this.stream;
+
+        initAudioOnInteraction();
+        this.stream = canvas.captureStream(VIDEO_FRAME_RATE);
+        if (audioContext && audioOutput) {
+            const audioDestination = audioContext.createMediaStreamDestination();
+            audioOutput.connect(audioDestination);
+            audioDestination.stream.getAudioTracks().forEach(track => this.stream.addTrack(track));
+        }
+        return this.stream;
+    },
+
+    startRecorder: function () {
+        const capture = {
+            recorder: new MediaRecorder(this.getStream(), { mimeType: this.mimeType }),
+            chunks: [],
+            startedAt: performance.now()
+        };
+        capture.recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) capture.chunks.push(e.data);
+        });
+        capture.recorder.start(1000);
+        return capture;
+    },
+
+    // Stop a recorder and download what it captured
+    finishRecorder: function (capture, label) {
+        capture.recorder.addEventListener('stop', () => {
+            const blob = new Blob(capture.chunks, { type: 'video/webm' });
+            downloadBlob(blob, `city-smash-${label}-${currentLevelId}-${Date.now()}.webm`);
+        });
+        capture.recorder.stop();
+    },
+
+    toggleRecording: function () {
+        const recordBtn = document.getElementById('videoRecordBtn');
+        if (this.recording) {
+            this.finishRecorder(this.recording, 'video');
+            this.recording = null;
+            recordBtn.textContent = 'Rec Video';
+            recordBtn.classList.remove('recording');
+            this.showHint('Video saved');
+        } else {
+            this.recording = this.startRecorder();
+            recordBtn.textContent = 'Stop Video';
+            recordBtn.classList.add('recording');
+            this.showHint('Recording video...');
+        }
+    },
+
+    toggleBuffer: function () {
+        if (this.bufferTimer) {
+            clearInterval(this.bufferTimer);
+            this.bufferTimer = null;
+            this.buffer.forEach(capture => capture.recorder.stop());
+            this.buffer = [];
+        } else {
+            this.buffer = [this.startRecorder()];
+            this.bufferTimer = setInterval(() => this.rotateBuffer(), VIDEO_CLIP_STAGGER * 1000);
+        }
+        const active = !!this.bufferTimer;
+        document.getElementById('clipBufferBtn').textContent = active ? 'Clip Buffer: On' : 'Clip Buffer: Off';
+        document.getElementById('saveClipBtn').disabled = !active;
+    },
+
+    // Start the next buffer recorder and drop those no longer needed for a full clip
+    rotateBuffer: function () {
+        const now = performance.now();
+        while (this.buffer.length > 1 && now - this.buffer[1].startedAt >= VIDEO_CLIP_SECONDS * 1000) {
+            this.buffer.shift().recorder.stop();
+        }
+        this.buffer.push(this.startRecorder());
+    },
+
+    // Save the oldest buffer recorder (the one covering the last 15s) and keep buffering
+    saveClip: function () {
+        if (!this.bufferTimer) return;
+        this.finishRecorder(this.buffer.shift(), 'clip');
+        if (this.buffer.length === 0) {
+            this.buffer.push(this.startRecorder());
+        }
+        this.showHint('Clip saved');
+    },
+
+    showHint: function (text) {
+        const hintText = document.getElementById('hintText');
+        if (hintText) {
+            hintText.textContent = text;
+        }
+    }
+};
+
+// ============================================
+// Game State (menu / playing / paused / results)
+// ============================================
+
+// Which screen the game is on. The world only simulates while playing (or behind the
+// mission result card); everything time-based runs on simTime, so a pause stops every
+// gameplay timer with it. Escape or hiding the tab pauses.
+const GAME_STATE_TRANSITIONS = {
+    menu: ['playing'],
+    playing: ['paused', 'results', 'menu'],
+    paused: ['playing', 'menu'],
+    results: ['playing', 'menu']
+};
+
+const GameState = {
+    current: 'menu',
+
+    init: function () {
+        document.getElementById('play-level-btn').addEventListener('click', () => this.start());
+        document.getElementById('deploy-btn-top').addEventListener('click', () => this.start());
+        document.getElementById('edit-physics-btn').addEventListener('click', () => {
+            this.start();
+            TuningPanel.open();
+        });
+
+        document.getElementById('pauseBtn').addEventListener('click', () => this.pause());
+        document.getElementById('resumeBtn').addEventListener('click', () => this.resume());
+        document.getElementById('restartBtn').addEventListener('click', () => this.restart());
+        document.getElementById('pauseSettingsBtn').addEventListener('click', () => SettingsPanel.open());
+        document.getElementById('quitBtn').addEventListener('click', () => this.quitToMenu());
+
+        // Photo mode and the editor use Escape themselves
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || isFormFieldTarget(e.target) || LevelEditor.active || PhotoMode.active) return;
+            if (this.current === 'playing') {
+                this.pause();
+            } else if (this.current === 'paused') {
+                this.resume();
+            }
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+    },
+
+    set: function (state) {
+        if (state === this.current) return true;
+        if (!GAME_STATE_TRANSITIONS[this.current].includes(state)) {
+            console.warn(`Ignored game state change ${this.current} -> ${state}`);
+            return false;
+        }
+
+        this.current = state;
+        document.getElementById('pauseMenu').style.display = state === 'paused' ? 'flex' : 'none';
+
+        // Sound stops with the world
+        if (audioContext) {
+            if (state === 'paused' || state === 'menu') {
+                audioContext.suspend();
+            } else if (audioContext.state === 'suspended') {
+                audioContext.resume();
+            }
+        }
+        return true;
+    },
+
+    // Whether gameLoop should advance the world
+    isSimulating: function () {
+        return this.current === 'playing' || this.current === 'results';
+    },
+
+    // Mission Control -> game (fades the preview out)
+    start: function () {
+        if (this.current !== 'menu') return;
+        const previewUi = document.getElementById('preview-ui');
+        previewUi.style.opacity = '0';
+
+        setTimeout(() => {
+            previewUi.style.display = 'none';
+            document.getElementById('game-ui-container').style.display = 'block';
+            document.body.classList.add('game-active');
+
+            // Trigger resize to ensure canvas is correct size
+            window.dispatchEvent(new Event('resize'));
+
+            initAudioOnInteraction();
+            this.set('playing');
+
+            // Initialize 3D City Level
+            if (typeof initializeCityLevel === 'function') {
+                initializeCityLevel();
+            }
+        }, 500);
+    },
+
+    pause: function () {
+        if (this.current === 'playing') this.set('paused');
+    },
+
+    resume: function () {
+        if (this.current === 'paused') this.set('playing');
+    },
+
+    // Fresh city with the same seed (recorded like the reset button)
+    restart: function () {
+        if (ReplayManager.isPlaying()) return;
+        generateCity(worldSeed);
+        ReplayManager.record('reset', { seed: worldSeed });
+        this.set('playing');
+    },
+
+    // Back to Mission Control
+    quitToMenu: function () {
+        if (ReplayManager.mode === 'recording') ReplayManager.stopRecording();
+        if (ReplayManager.isPlaying()) ReplayManager.stopPlayback();
+        PhotoMode.close();
+        TuningPanel.close();
+        SettingsPanel.close();
+        MissionManager.hideResult();
+        if (!this.set('menu')) return;
+
+        if (typeof cleanup3DScene === 'function') {
+            cleanup3DScene();
+        }
+        canvas.style.display = '';
+
+        document.body.classList.remove('game-active');
+        document.getElementById('game-ui-container').style.display = 'none';
+        const previewUi = document.getElementById('preview-ui');
+        previewUi.style.display = '';
+        // Next frame, so the fade back in transitions
+        requestAnimationFrame(() => { previewUi.style.opacity = '1'; });
+    }
+};
+
+// City selection button (cycles through the levels in Mission Control order)
+function initCitySelection() {
+    document.getElementById('cityBtn').addEventListener('click', () => {
+        setLevel(LevelRegistry.next(currentLevelId));
+    });
+
+    // Reset button (new seed, same level)
+    document.getElementById('resetBtn').addEventListener('click', () => {
+        if (ReplayManager.isPlaying()) return;
+        generateCity();
+        ReplayManager.record('reset', { seed: worldSeed });
+    });
+
+    updateCityButton();
+}
+
+function updateCityButton() {
+    if (HEADLESS) return;
+
+    const cityBtn = document.getElementById('cityBtn');
+    const level = LevelRegistry.get(currentLevelId);
+    cityBtn.textContent = 'CITY: ' + (level.name || level.id).toUpperCase();
+}
+
+
+// Keyboard mode switch (U = UFO, I = Robot)
+function switchModeByKey(weapon) {
+    if (!MissionManager.isWeaponAllowed(weapon)) return;
+
+    currentWeapon = weapon;
+    if (weapon === 'ufo') {
+        spawnUFO();
+    } else {
+        spawnRobot();
+    }
+}
+
+// Keys typed into panel inputs (tuning sliders, editor fields) aren't game controls
+function isFormFieldTarget(target) {
+    const tag = target && target.tagName;
+    return tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA';
+}
+
+// Robot/UFO actions -> the control flag they set while held (keys and gamepad buttons)
+const KEY_CONTROLS = {
+    robot: {
+        moveUp: 'up', moveDown: 'down', moveLeft: 'left', moveRight: 'right', jump: 'jump',
+        punch: 'punch', missile: 'missile', armLaserLeft: 'leftArmFire', armLaserRight: 'rightArmFire'
+    },
+    ufo: {
+        moveUp: 'up', moveDown: 'down', moveLeft: 'left', moveRight: 'right', ufoLaser: 'laser',
+        tractor: 'tractor', stealth: 'invisibility'
+    }
+};
+const KEY_TRIGGER_CONTROLS = ['punch', 'missile']; // Not cleared on release; the robot clears them once used
+const KEY_TOGGLE_CONTROLS = ['invisibility']; // Flipped on each press
+
+// Release every held control (snapshot restore, replay start and end)
+function resetControls() {
+    Object.keys(robotControls).forEach(key => { robotControls[key] = false; });
+    Object.keys(ufoControls).forEach(key => { ufoControls[key] = false; });
+    robotControls.throttle = 1;
+    ufoControls.throttle = 1;
+}
+
+// An action pressed for the current weapon; false if it isn't one of its controls
+function pressControlAction(action) {
+    const actions = KEY_CONTROLS[currentWeapon];
+    const control = actions && actions[action];
+    if (!control) return false;
+    const controls = currentWeapon === 'robot' ? robotControls : ufoControls;
+
+    if (!KEY_TOGGLE_CONTROLS.includes(control)) {
+        controls[control] = true;
+        return true;
+    }
+    controls[control] = !controls[control];
+    if (control === 'invisibility') {
+        if (ufo) ufo.invisible = ufoControls.invisibility;
+        updateStealthIndicator();
+    }
+    return true;
+}
+
+function releaseControlAction(action) {
+    const actions = KEY_CONTROLS[currentWeapon];
+    const control = actions && actions[action];
+    if (!control || KEY_TRIGGER_CONTROLS.includes(control) || KEY_TOGGLE_CONTROLS.includes(control)) return;
+    const controls = currentWeapon === 'robot' ? robotControls : ufoControls;
+    controls[control] = false;
+    if (control === 'jump') {
+        controls.jumpHeld = false;
+    }
+}
+
+// Robot controls - Desktop
+function handleControlKeyDown(e) {
+    // Live keys are ignored while a replay drives the controls (or the editor has the keyboard)
+    if (ReplayManager.isPlaying() || LevelEditor.active || isFormFieldTarget(e.target)) return;
+
+    // Mode Switching
+    if (InputBindings.matches('switchToUfo', e)) {
+        ReplayManager.record('modeKey', { weapon: 'ufo' });
+        switchModeByKey('ufo');
+        e.preventDefault();
+        return;
+    }
+    if (InputBindings.matches('switchToRobot', e)) {
+        ReplayManager.record('modeKey', { weapon: 'robot' });
+        switchModeByKey('robot');
+        e.preventDefault();
+        return;
+    }
+
+    // Fullscreen toggle
+    if (InputBindings.matches('fullscreen', e)) {
+        toggleFullscreen();
+        return;
+    }
+
+    const actions = KEY_CONTROLS[currentWeapon];
+    if (!actions) return;
+    initAudioOnInteraction();
+
+    Object.keys(actions).forEach(action => {
+        if (InputBindings.matches(action, e) && pressControlAction(action)) {
+            e.preventDefault();
+        }
+    });
+}
+
+function handleControlKeyUp(e) {
+    if (ReplayManager.isPlaying()) return;
+
+    const actions = KEY_CONTROLS[currentWeapon];
+    if (!actions) return;
+    Object.keys(actions).forEach(action => {
+        if (InputBindings.matches(action, e)) {
+            releaseControlAction(action);
+        }
+    });
+}
+
+// Keyboard wiring (browser only)
+function initKeyboardControls() {
+    document.addEventListener('keydown', handleDebugKey);
+    document.addEventListener('keydown', handleControlKeyDown);
+    document.addEventListener('keyup', handleControlKeyUp);
+}
+
+// Robot controls - Mobile buttons
+function initRobotControls() {
+    const btnLeft = document.getElementById('btnLeft');
+    const btnRight = document.getElementById('btnRight');
+    const btnJump = document.getElementById('btnJump');
+    const btnPunch = document.getElementById('btnPunch');
+    const btnLaser = document.getElementById('btnLaser');
 
     btnLeft.addEventListener('touchstart', (e) => {
         e.preventDefault();
         initAudioOnInteraction();
-        robotControls.left = true;
+        robotControls.left = true;
+    });
+    btnLeft.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        robotControls.left = false;
+    });
+    btnLeft.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        robotControls.left = true;
+    });
+    btnLeft.addEventListener('mouseup', () => {
+        robotControls.left = false;
+    });
+
+    btnRight.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        robotControls.right = true;
+    });
+    btnRight.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        robotControls.right = false;
+    });
+    btnRight.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        robotControls.right = true;
+    });
+    btnRight.addEventListener('mouseup', () => {
+        robotControls.right = false;
+    });
+
+    btnJump.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        robotControls.jump = true;
+    });
+    btnJump.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        robotControls.jump = false;
+        robotControls.jumpHeld = false;
+    });
+    btnJump.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        robotControls.jump = true;
+    });
+    btnJump.addEventListener('mouseup', () => {
+        robotControls.jump = false;
+        robotControls.jumpHeld = false;
+    });
+
+    btnPunch.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        robotControls.punch = true;
+    });
+    btnPunch.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        robotControls.punch = false;
+    });
+    btnPunch.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        robotControls.punch = true;
+    });
+    btnPunch.addEventListener('mouseup', () => {
+        robotControls.punch = false;
+    });
+
+    // Laser button now supports hold-to-fire continuous laser
+    btnLaser.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        if (robot && pointerActive) {
+            robot.laserFiring = true;
+        }
+    });
+    btnLaser.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        if (robot) {
+            robot.laserFiring = false;
+        }
+    });
+    btnLaser.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        if (robot && pointerActive) {
+            robot.laserFiring = true;
+        }
+    });
+    btnLaser.addEventListener('mouseup', () => {
+        if (robot) {
+            robot.laserFiring = false;
+        }
+    });
+
+    // Update laser button energy indicator
+    function updateLaserButton() {
+        if (robot && currentWeapon === 'robot') {
+            const energyPercent = robot.getLaserEnergyPercent();
+            if (energyPercent <= 0) {
+                btnLaser.style.opacity = '0.5';
+                btnLaser.style.filter = 'grayscale(50%)';
+            } else if (energyPercent < 0.3) {
+                btnLaser.style.opacity = '0.7';
+                btnLaser.style.filter = 'none';
+            } else {
+                btnLaser.style.opacity = '1';
+                btnLaser.style.filter = 'none';
+            }
+        }
+    }
+
+    // Update button state periodically
+    setInterval(updateLaserButton, 50);
+}
+
+// UFO controls - Mobile buttons
+function initUFOControls() {
+    const ufoBtnLeft = document.getElementById('ufoBtnLeft');
+    const ufoBtnRight = document.getElementById('ufoBtnRight');
+    const ufoBtnUp = document.getElementById('ufoBtnUp');
+    const ufoBtnDown = document.getElementById('ufoBtnDown');
+    const ufoBtnLaser = document.getElementById('ufoBtnLaser');
+    const ufoBtnTractor = document.getElementById('ufoBtnTractor');
+
+    // Movement buttons
+    ufoBtnLeft.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        ufoControls.left = true;
     });
-    btnLeft.addEventListener('touchend', (e) => {
+    ufoBtnLeft.addEventListener('touchend', (e) => {
         e.preventDefault();
-        robotControls.left = false;
+        ufoControls.left = false;
     });
-    btnLeft.addEventListener('mousedown', () => {
+    ufoBtnLeft.addEventListener('mousedown', () => {
         initAudioOnInteraction();
-        robotControls.left = true;
+        ufoControls.left = true;
     });
-    btnLeft.addEventListener('mouseup', () => {
-        robotControls.left = false;
+    ufoBtnLeft.addEventListener('mouseup', () => {
+        ufoControls.left = false;
     });
 
-    btnRight.addEventListener('touchstart', (e) => {
+    ufoBtnRight.addEventListener('touchstart', (e) => {
         e.preventDefault();
         initAudioOnInteraction();
-        robotControls.right = true;
+        ufoControls.right = true;
     });
-    btnRight.addEventListener('touchend', (e) => {
+    ufoBtnRight.addEventListener('touchend', (e) => {
         e.preventDefault();
-        robotControls.right = false;
+        ufoControls.right = false;
     });
-    btnRight.addEventListener('mousedown', () => {
+    ufoBtnRight.addEventListener('mousedown', () => {
         initAudioOnInteraction();
-        robotControls.right = true;
+        ufoControls.right = true;
     });
-    btnRight.addEventListener('mouseup', () => {
-        robotControls.right = false;
+    ufoBtnRight.addEventListener('mouseup', () => {
+        ufoControls.right = false;
     });
 
-    btnJump.addEventListener('touchstart', (e) => {
+    ufoBtnUp.addEventListener('touchstart', (e) => {
         e.preventDefault();
         initAudioOnInteraction();
-        robotControls.jump = true;
+        ufoControls.up = true;
     });
-    btnJump.addEventListener('touchend', (e) => {
+    ufoBtnUp.addEventListener('touchend', (e) => {
         e.preventDefault();
-        robotControls.jump = false;
-        robotControls.jumpHeld = false;
+        ufoControls.up = false;
     });
-    btnJump.addEventListener('mousedown', () => {
+    ufoBtnUp.addEventListener('mousedown', () => {
         initAudioOnInteraction();
-        robotControls.jump = true;
+        ufoControls.up = true;
     });
-    btnJump.addEventListener('mouseup', () => {
-        robotControls.jump = false;
-        robotControls.jumpHeld = false;
+    ufoBtnUp.addEventListener('mouseup', () => {
+        ufoControls.up = false;
+    });
+
+    ufoBtnDown.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        ufoControls.down = true;
+    });
+    ufoBtnDown.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        ufoControls.down = false;
+    });
+    ufoBtnDown.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        ufoControls.down = true;
+    });
+    ufoBtnDown.addEventListener('mouseup', () => {
+        ufoControls.down = false;
+    });
+
+    // Laser button (hold-to-fire)
+    ufoBtnLaser.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        ufoControls.laser = true;
+    });
+    ufoBtnLaser.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        ufoControls.laser = false;
+    });
+    ufoBtnLaser.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        ufoControls.laser = true;
+    });
+    ufoBtnLaser.addEventListener('mouseup', () => {
+        ufoControls.laser = false;
+    });
+
+    // Tractor button (hold-to-activate)
+    ufoBtnTractor.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        initAudioOnInteraction();
+        ufoControls.tractor = true;
+    });
+    ufoBtnTractor.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        ufoControls.tractor = false;
+    });
+    ufoBtnTractor.addEventListener('mousedown', () => {
+        initAudioOnInteraction();
+        ufoControls.tractor = true;
+    });
+    ufoBtnTractor.addEventListener('mouseup', () => {
+        ufoControls.tractor = false;
     });
+}
+
+// ============================================
+// Gamepad
+// ============================================
+
+// The first connected pad is polled once per frame, before the simulation steps, and drives
+// the same robot/UFO actions as the keyboard: each action's `button`, plus the left stick for
+// the move actions and the analog throttle. In robot mode the right stick aims the hand laser
+// and the right trigger fires it, both sent as pointer events so replays record them.
+// Explosions and collapses rumble the pad (see the 'rumble' setting).
+const GAMEPAD_DEADZONE = 0.2; // Stick deflection ignored
+const GAMEPAD_STICK_PRESS = 0.35; // Deflection along an axis that presses that direction
+const GAMEPAD_TRIGGER_PRESS = 0.5; // Analog trigger value that counts as pressed
+const GAMEPAD_AIM_REACH = 400; // World units from the robot to the right stick's aim point
+const GAMEPAD_HAND_LASER_BUTTON = 7; // Right trigger
+
+const GamepadInput = {
+    index: null, // navigator.getGamepads() slot in use
+    pressed: new Set(), // Actions the pad is holding for currentWeapon
+    weapon: null,
+    laserHeld: false,
+    aimDirection: null, // Unit vector of the right stick's last deflection (null until it moves)
+    aim: null, // Last aim point sent (world units)
+
+    init: function () {
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this.index === null) {
+                this.index = e.gamepad.index;
+            }
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index !== this.index) return;
+            this.pressed.forEach(action => releaseControlAction(action));
+            this.pressed.clear();
+            this.index = null;
+        });
+    },
+
+    getGamepad: function () {
+        if (this.index === null || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[this.index] || null;
+    },
+
+    poll: function () {
+        const pad = this.getGamepad();
+        if (!pad) return;
+
+        // A replay (or the editor) owns the controls; held buttons press again afterwards.
+        // Switching weapons leaves the old weapon's controls as they were, like keys do.
+        if (ReplayManager.isPlaying() || LevelEditor.active) {
+            this.forget();
+            return;
+        }
+        if (currentWeapon !== this.weapon) {
+            this.forget();
+            this.weapon = currentWeapon;
+        }
+
+        const axis = i => {
+            const value = pad.axes[i] || 0;
+            return Math.abs(value) < GAMEPAD_DEADZONE ? 0 : value;
+        };
+        const button = i => {
+            const state = pad.buttons[i];
+            return !!state && (state.pressed || state.value > GAMEPAD_TRIGGER_PRESS);
+        };
+        const moveX = axis(0);
+        const moveY = axis(1);
+
+        const held = new Set();
+        KEY_BINDING_ACTIONS.forEach(def => {
+            if (def.button !== undefined && button(def.button)) held.add(def.id);
+        });
+        if (moveX < -GAMEPAD_STICK_PRESS) held.add('moveLeft');
+        if (moveX > GAMEPAD_STICK_PRESS) held.add('moveRight');
+        if (moveY < -GAMEPAD_STICK_PRESS) held.add('moveUp');
+        if (moveY > GAMEPAD_STICK_PRESS) held.add('moveDown');
+
+        this.pressed.forEach(action => {
+            if (!held.has(action)) releaseControlAction(action);
+        });
+        held.forEach(action => {
+            if (!this.pressed.has(action) && pressControlAction(action)) initAudioOnInteraction();
+        });
+        this.pressed = held;
+
+        // Stick deflection past the deadzone scales robot speed (whole stick) and UFO thrust
+        // (vertical axis); rounded so replays only record real changes
+        if (currentWeapon === 'robot' || currentWeapon === 'ufo') {
+            const deflection = currentWeapon === 'robot' ? Math.hypot(moveX, moveY) : Math.abs(moveY);
+            const throttle = deflection > 0 ? Math.min(1, (deflection - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE)) : 1;
+            (currentWeapon === 'robot' ? robotControls : ufoControls).throttle = Math.round(throttle * 20) / 20;
+        }
+
+        if (currentWeapon === 'robot' && robot) {
+            this.updateAim(axis(2), axis(3), button(GAMEPAD_HAND_LASER_BUTTON));
+        }
+    },
+
+    // Treat everything on the pad as newly pressed from the next poll
+    forget: function () {
+        this.pressed.clear();
+        this.laserHeld = false;
+        this.aimDirection = null;
+        this.aim = null;
+    },
+
+    // Right stick points the hand laser from the robot's centre. A released stick keeps its
+    // last direction, which follows the robot as it moves. Until the stick is first deflected
+    // the pad sends no aim, so mouse aim stays put and the trigger fires wherever it points
+    // (straight ahead if nothing has aimed yet).
+    updateAim: function (aimX, aimY, firing) {
+        const centerX = robot.x + robot.width / 2;
+        const centerY = robot.y + robot.height / 2;
+        if (aimX !== 0 || aimY !== 0) {
+            const length = Math.hypot(aimX, aimY);
+            this.aimDirection = { x: aimX / length, y: aimY / length };
+        }
+
+        if (this.aimDirection) {
+            const target = {
+                x: centerX + this.aimDirection.x * GAMEPAD_AIM_REACH,
+                y: centerY + this.aimDirection.y * GAMEPAD_AIM_REACH
+            };
+            if (!this.aim || Math.hypot(target.x - this.aim.x, target.y - this.aim.y) > 1) {
+                this.aim = target;
+                handlePointerMove(this.makePointerEvent());
+            }
+        } else if (pointerActive) {
+            this.aim = { x: pointerPosition.x, y: pointerPosition.y };
+        } else {
+            this.aim = { x: centerX + (robot.facingRight ? GAMEPAD_AIM_REACH : -GAMEPAD_AIM_REACH), y: centerY };
+        }
+
+        if (firing !== this.laserHeld) {
+            this.laserHeld = firing;
+            if (firing) {
+                initAudioOnInteraction();
+                handlePointerDown(this.makePointerEvent());
+            } else {
+                handlePointerUp(this.makePointerEvent());
+            }
+        }
+    },
+
+    // Pointer event at the aim point (world units, like replayed ones)
+    makePointerEvent: function () {
+        return { worldX: this.aim.x, worldY: this.aim.y, isGamepad: true, preventDefault: () => { } };
+    },
+
+    // strength 0-1, duration in ms
+    rumble: function (strength, duration) {
+        const pad = this.getGamepad();
+        if (!pad || !pad.vibrationActuator || !Settings.get('rumble')) return;
+        pad.vibrationActuator.playEffect('dual-rumble', {
+            duration,
+            strongMagnitude: strength,
+            weakMagnitude: Math.min(1, strength * 1.5)
+        }).catch(() => { });
+    }
+};
+
+// ============================================
+// Screen Shake Update
+// ============================================
+
+function updateScreenShake() {
+    if (screenShake.intensity > 0) {
+        screenShake.x = (random() - 0.5) * screenShake.intensity;
+        screenShake.y = (random() - 0.5) * screenShake.intensity;
+        screenShake.intensity *= 0.9;
+
+        if (screenShake.intensity < 0.1) {
+            screenShake.intensity = 0;
+            screenShake.x = 0;
+            screenShake.y = 0;
+        }
+    }
+}
+
+function updateScreenFlash() {
+    if (screenFlash.active) {
+        screenFlash.intensity *= 0.85;
+        if (screenFlash.intensity < 0.01) {
+            screenFlash.active = false;
+            screenFlash.intensity = 0;
+        }
+    }
+}
+
+function renderScreenFlash() {
+    if (!screenFlash.active) return;
+
+    const width = Camera.viewWidth;
+    const height = Camera.viewHeight;
+
+    ctx.fillStyle = `rgba(255, 255, 255, ${screenFlash.intensity * Settings.get('flashIntensity')})`;
+    ctx.fillRect(0, 0, width, height);
+}
+
+function renderCrosshair() {
+    // Show crosshair for robot and UFO modes
+    if ((currentWeapon !== 'robot' && currentWeapon !== 'ufo') || !pointerActive) return;
+
+    // Drawn in screen space so it keeps its size at any zoom
+    const { x, y } = Camera.worldToScreen(pointerPosition.x, pointerPosition.y);
+    const size = 12;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 2;
+
+    // Draw crosshair
+    ctx.beginPath();
+    // Horizontal line
+    ctx.moveTo(x - size, y);
+    ctx.lineTo(x + size, y);
+    // Vertical line
+    ctx.moveTo(x, y - size);
+    ctx.lineTo(x, y + size);
+    ctx.stroke();
+
+    // Outer circle
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(x, y, size * 1.5, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+// ============================================
+// Ground Rendering
+// ============================================
+
+// Render ground (Road / Grid)
+function renderGround() {
+    const width = worldWidth;
+    const height = worldHeight;
+    const groundY = height * 0.85;
+
+    // Ground beyond the world's edges when the level is narrower than the screen
+    const viewLeft = Camera.x;
+    const viewRight = Camera.x + Camera.getVisibleWidth();
+    ctx.fillStyle = getLevelPalette().ground;
+    if (viewLeft < 0) {
+        ctx.fillRect(viewLeft, groundY, -viewLeft, height - groundY);
+    }
+    if (viewRight > width) {
+        ctx.fillRect(width, groundY, viewRight - width, height - groundY);
+    }
+
+    if (waterWaves) {
+        // Water levels: banks either side of the water area
+        const riverWidth = waterWaves.width;
+        const riverStartX = waterWaves.startX;
+
+        // Ground fill (left bank)
+        ctx.fillStyle = getLevelPalette().ground;
+        ctx.fillRect(0, groundY, riverStartX, height - groundY);
+
+        // Ground fill (right bank)
+        ctx.fillRect(riverStartX + riverWidth, groundY, width - (riverStartX + riverWidth), height - groundY);
+
+        // Water surface
+        waterWaves.render();
+
+        // Ground lines
+        ctx.strokeStyle = '#34495e';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, groundY);
+        ctx.lineTo(riverStartX, groundY);
+        ctx.moveTo(riverStartX + riverWidth, groundY);
+        ctx.lineTo(width, groundY);
+        ctx.stroke();
+    } else {
+        // Road / Grid
+
+        // Background for ground (level palette, default dark asphalt)
+        ctx.fillStyle = getLevelPalette().ground;
+        ctx.fillRect(0, groundY, width, height - groundY);
+
+        // Draw perspective grid / road markings
+        ctx.save();
+
+        // Road surface texture (noise-like)
+        // (Skipping complex noise for performance, using color)
 
-    btnPunch.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        robotControls.punch = true;
-    });
-    btnPunch.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        robotControls.punch = false;
-    });
-    btnPunch.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        robotControls.punch = true;
-    });
-    btnPunch.addEventListener('mouseup', () => {
-        robotControls.punch = false;
-    });
+        // Road Stripes (Horizontal for side-scroller)
+        ctx.fillStyle = '#e0e0e0';
+        const stripeWidth = 60;
+        const stripeHeight = 15;
+        const stripeGap = 80;
+        const roadMiddleY = groundY + (height - groundY) / 2;
 
-    // Laser button now supports hold-to-fire continuous laser
-    btnLaser.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        if (robot && pointerActive) {
-            robot.laserFiring = true;
-        }
-    });
-    btnLaser.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        if (robot) {
-            robot.laserFiring = false;
+        // Draw dashed center line
+        for (let x = 0; x < width; x += (stripeWidth + stripeGap)) {
+            ctx.fillRect(x, roadMiddleY - stripeHeight / 2, stripeWidth, stripeHeight);
         }
-    });
-    btnLaser.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        if (robot && pointerActive) {
-            robot.laserFiring = true;
+
+        // Top and Bottom Road Edges (Curbs)
+        ctx.fillStyle = '#555';
+        ctx.fillRect(0, groundY, width, 10); // Top Curb
+        // ctx.fillRect(0, height - 10, width, 10); // Bottom Curb
+
+        // "Invisible Wall" indicators
+        // Left
+        ctx.fillStyle = 'rgba(255, 50, 50, 0.15)';
+        ctx.fillRect(0, 0, 10, height);
+        // Right
+        ctx.fillRect(width - 10, 0, 10, height);
+
+        ctx.restore();
+    }
+
+    // Render bridge
+    staticStructures.forEach(structure => {
+        if (structure instanceof Bridge) {
+            structure.render();
         }
     });
-    btnLaser.addEventListener('mouseup', () => {
-        if (robot) {
-            robot.laserFiring = false;
+
+    // Render other static structures (billboards, etc.)
+    staticStructures.forEach(structure => {
+        if (structure instanceof Billboard) {
+            structure.render();
         }
     });
+}
 
-    // Update laser button energy indicator
-    function updateLaserButton() {
-        if (robot && currentWeapon === 'robot') {
-            const energyPercent = robot.getLaserEnergyPercent();
-            if (energyPercent <= 0) {
-                btnLaser.style.opacity = '0.5';
-                btnLaser.style.filter = 'grayscale(50%)';
-            } else if (energyPercent < 0.3) {
-                btnLaser.style.opacity = '0.7';
-                btnLaser.style.filter = 'none';
-            } else {
-                btnLaser.style.opacity = '1';
-                btnLaser.style.filter = 'none';
-            }
+// ============================================
+// Render Interpolation
+// ============================================
+
+// Moving entities whose on-screen position is blended between simulation steps
+function forEachInterpolatedEntity(callback) {
+    if (robot) callback(robot);
+    if (ufo) callback(ufo);
+
+    const lists = [particles, voxelBits, buildingDebris, microDebris, dustParticles, bridgeDebris, robotMissiles, bombs, meteors];
+    for (let l = 0; l < lists.length; l++) {
+        const list = lists[l];
+        for (let i = 0; i < list.length; i++) {
+            callback(list[i]);
         }
     }
-
-    // Update button state periodically
-    setInterval(updateLaserButton, 50);
 }
 
-// UFO controls - Mobile buttons
-function initUFOControls() {
-    const ufoBtnLeft = document.getElementById('ufoBtnLeft');
-    const ufoBtnRight = document.getElementById('ufoBtnRight');
-    const ufoBtnUp = document.getElementById('ufoBtnUp');
-    const ufoBtnDown = document.getElementById('ufoBtnDown');
-    const ufoBtnLaser = document.getElementById('ufoBtnLaser');
-    const ufoBtnTractor = document.getElementById('ufoBtnTractor');
-
-    // Movement buttons
-    ufoBtnLeft.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        ufoControls.left = true;
-    });
-    ufoBtnLeft.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        ufoControls.left = false;
-    });
-    ufoBtnLeft.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        ufoControls.left = true;
-    });
-    ufoBtnLeft.addEventListener('mouseup', () => {
-        ufoControls.left = false;
+// Remember where everything was before a step so rendering can blend towards the new state
+function storePreviousPositions() {
+    forEachInterpolatedEntity(entity => {
+        entity.prevX = entity.x;
+        entity.prevY = entity.y;
     });
+}
 
-    ufoBtnRight.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        ufoControls.right = true;
-    });
-    ufoBtnRight.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        ufoControls.right = false;
-    });
-    ufoBtnRight.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        ufoControls.right = true;
-    });
-    ufoBtnRight.addEventListener('mouseup', () => {
-        ufoControls.right = false;
+// Temporarily move entities to their interpolated position for drawing
+function applyRenderInterpolation(alpha) {
+    forEachInterpolatedEntity(entity => {
+        entity.simX = entity.x;
+        entity.simY = entity.y;
+        // Entities spawned during the last step have no previous position yet
+        if (entity.prevX === undefined) return;
+        entity.x = entity.prevX + (entity.x - entity.prevX) * alpha;
+        entity.y = entity.prevY + (entity.y - entity.prevY) * alpha;
     });
+}
 
-    ufoBtnUp.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        ufoControls.up = true;
-    });
-    ufoBtnUp.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        ufoControls.up = false;
-    });
-    ufoBtnUp.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        ufoControls.up = true;
-    });
-    ufoBtnUp.addEventListener('mouseup', () => {
-        ufoControls.up = false;
+// Undo applyRenderInterpolation so the simulation continues from exact positions
+function restoreSimulationPositions() {
+    forEachInterpolatedEntity(entity => {
+        if (entity.simX === undefined) return;
+        entity.x = entity.simX;
+        entity.y = entity.simY;
     });
+}
 
-    ufoBtnDown.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        ufoControls.down = true;
-    });
-    ufoBtnDown.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        ufoControls.down = false;
-    });
-    ufoBtnDown.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        ufoControls.down = true;
-    });
-    ufoBtnDown.addEventListener('mouseup', () => {
-        ufoControls.down = false;
-    });
+// ============================================
+// Object Pools (particles, debris, lasers)
+// ============================================
 
-    // Laser button (hold-to-fire)
-    ufoBtnLaser.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        ufoControls.laser = true;
-    });
-    ufoBtnLaser.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        ufoControls.laser = false;
-    });
-    ufoBtnLaser.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        ufoControls.laser = true;
-    });
-    ufoBtnLaser.addEventListener('mouseup', () => {
-        ufoControls.laser = false;
-    });
+// Short-lived entities are recycled instead of garbage collected, which kept big collapses
+// hitching. Pooled classes keep their constructor logic in init(), so a reused instance
+// is set up exactly like a new one (same random() calls, so replays are unaffected).
+// Lists holding them are compacted in place and hand dead entries back to the pool.
+const POOL_MAX_FREE = 2000; // Spare instances kept per class
 
-    // Tractor button (hold-to-activate)
-    ufoBtnTractor.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        initAudioOnInteraction();
-        ufoControls.tractor = true;
-    });
-    ufoBtnTractor.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        ufoControls.tractor = false;
-    });
-    ufoBtnTractor.addEventListener('mousedown', () => {
-        initAudioOnInteraction();
-        ufoControls.tractor = true;
-    });
-    ufoBtnTractor.addEventListener('mouseup', () => {
-        ufoControls.tractor = false;
+const Pools = {
+    pools: new Map(), // class -> { free, created, reused }
+
+    get: function (cls) {
+        let pool = this.pools.get(cls);
+        if (!pool) {
+            pool = { free: [], created: 0, reused: 0 };
+            this.pools.set(cls, pool);
+        }
+        return pool;
+    },
+
+    // Same as `new cls(...args)`, reusing a released instance when there is one
+    acquire: function (cls, ...args) {
+        const pool = this.get(cls);
+        const instance = pool.free.pop();
+        if (!instance) {
+            pool.created++;
+            return new cls(...args);
+        }
+        pool.reused++;
+        instance.init(...args);
+        return instance;
+    },
+
+    // Return an instance nothing references any more
+    release: function (instance) {
+        const pool = this.get(instance.constructor);
+        if (pool.free.length >= POOL_MAX_FREE) return;
+
+        // Fields set outside init (interpolation, sleep state) must not leak into the next use
+        for (const key in instance) {
+            instance[key] = undefined;
+        }
+        pool.free.push(instance);
+    },
+
+    // One line per class for the debug overlay
+    getStats: function () {
+        const lines = [];
+        this.pools.forEach((pool, cls) => {
+            lines.push(`  ${cls.name}: ${pool.free.length} free, ${pool.created} new, ${pool.reused} reused`);
+        });
+        return lines;
+    }
+};
+
+// Update a pooled list in place; entries keep() rejects go back to their pool
+function updatePooledList(list, keep) {
+    let count = 0;
+    for (let i = 0; i < list.length; i++) {
+        const item = list[i];
+        if (keep(item)) {
+            list[count++] = item;
+        } else {
+            Pools.release(item);
+        }
+    }
+    list.length = count;
+}
+
+// Drop (and recycle) the oldest entries beyond max
+function capPooledList(list, max) {
+    if (list.length <= max) return;
+    const excess = list.length - max;
+    for (let i = 0; i < excess; i++) {
+        Pools.release(list[i]);
+    }
+    list.splice(0, excess);
+}
+
+// Recycle every pooled entity before the world is replaced (new city, snapshot restore)
+function releasePooledEntities() {
+    [particles, voxelBits, fireParticles, buildingDebris, microDebris, dustParticles, bridgeDebris,
+        lasers, robotHandLasers, ufoHandLasers].forEach(list => {
+        list.forEach(item => Pools.release(item));
+        list.length = 0;
     });
+    SpatialIndex.invalidate();
+    DebrisPhysics.reset();
 }
 
 // ============================================
-// Screen Shake Update
+// Debris Physics Worker (fragments, shards, voxel bits, building debris)
 // ============================================
 
-function updateScreenShake() {
-    if (screenShake.intensity > 0) {
-        screenShake.x = (Math.random() - 0.5) * screenShake.intensity;
-        screenShake.y = (Math.random() - 0.5) * screenShake.intensity;
-        screenShake.intensity *= 0.9;
+// Big collapses leave thousands of fragments falling at once, so in the browser they're
+// stepped in debris-worker.js. Each step the awake debris is packed into one Float64Array
+// (structure of arrays: a block of `count` values per field) and transferred to the worker,
+// which loads game.js headless and runs the same update() code on it. The result comes back
+// a frame later and is unpacked at the next step; until then the main thread only draws it.
+// Steps owed meanwhile go out with the next job, so debris keeps pace with the world, one
+// job behind. Debris never feeds back into buildings, score or random(), but wind and the
+// tractor beam push it from where it was last unpacked, so its paths can differ a little
+// from a main-thread run.
+// Headless runs, file:// pages and worker errors keep the plain main-thread loops.
+const DEBRIS_SLEEP_DELAY = 5000; // ms settled before fragments and voxel bits stop simulating
+
+const DEBRIS_MOTION_FIELDS = ['x', 'y', 'velocityX', 'velocityY', 'rotation', 'angularVelocity', 'z', 'vz', 'onGround'];
+const DEBRIS_BODY_FIELDS = ['gravity', 'friction', 'bounciness', 'zDamping'];
+
+// state: written back from the worker; constants: only read there
+const DEBRIS_KINDS = [
+    {
+        cls: Particle,
+        sleeps: true,
+        state: [...DEBRIS_MOTION_FIELDS, 'sleeping', 'settledTime'],
+        constants: ['width', 'height', ...DEBRIS_BODY_FIELDS]
+    },
+    {
+        cls: GlassShard,
+        sleeps: true,
+        state: [...DEBRIS_MOTION_FIELDS, 'sleeping', 'settledTime', 'sparklePhase'],
+        constants: ['width', 'height', ...DEBRIS_BODY_FIELDS, 'sparkleRate', 'hasSparkle']
+    },
+    {
+        cls: VoxelBit,
+        sleeps: true,
+        state: [...DEBRIS_MOTION_FIELDS, 'sleeping', 'settledTime'],
+        constants: ['size', ...DEBRIS_BODY_FIELDS]
+    },
+    {
+        cls: BuildingDebris,
+        state: DEBRIS_MOTION_FIELDS,
+        constants: ['width', 'height', ...DEBRIS_BODY_FIELDS, 'lifetime', 'spawnTime']
+    }
+];
+
+const DEBRIS_FIELDS = [...new Set(DEBRIS_KINDS.flatMap(kind => [...kind.state, ...kind.constants]))];
+const DEBRIS_FLAG_FIELDS = ['onGround', 'sleeping', 'hasSparkle'];
+
+// Block of each field in the packed array
+DEBRIS_KINDS.forEach(kind => {
+    kind.stateSlots = kind.state.map(field => DEBRIS_FIELDS.indexOf(field));
+    kind.constantSlots = kind.constants.map(field => DEBRIS_FIELDS.indexOf(field));
+});
+
+// One step of a fragment or voxel bit: settle into sleep, otherwise integrate
+function stepSleepingDebris(entity, dt) {
+    if (entity.onGround && entity.settledTime !== null && !entity.sleeping) {
+        if (simTime - entity.settledTime > DEBRIS_SLEEP_DELAY) {
+            entity.sleeping = true;
+        }
+    }
+    if (!entity.sleeping) {
+        entity.update(dt);
+    }
+}
+
+function encodeDebrisField(field, value) {
+    if (value === null) return NaN;
+    return DEBRIS_FLAG_FIELDS.includes(field) ? (value ? 1 : 0) : value;
+}
+
+function decodeDebrisField(field, value) {
+    if (DEBRIS_FLAG_FIELDS.includes(field)) return value === 1;
+    return field === 'settledTime' && Number.isNaN(value) ? null : value;
+}
+
+const DebrisPhysics = {
+    worker: null,
+    generation: 0, // Bumped when the world is replaced; older results are dropped
+    job: null, // In flight: { id, entities, velocities }
+    result: null, // Returned by the worker, applied at the next step
+    nextJobId: 1,
+    pendingSteps: 0,
+    pendingSince: 0, // simTime of the first step not yet sent
+    spareData: null, // Buffers handed back by the worker, reused for the next job
+    spareKinds: null,
+    spareVelocities: null, // From the last applied job
+    lastCount: 0,
+
+    init: function () {
+        if (HEADLESS || typeof Worker === 'undefined') return;
+        try {
+            this.worker = new Worker('debris-worker.js');
+        } catch (error) {
+            console.warn('Debris worker unavailable, simulating debris on the main thread:', error.message);
+            return;
+        }
+        this.worker.onmessage = event => {
+            this.result = event.data;
+        };
+        this.worker.onerror = event => {
+            console.warn('Debris worker failed, simulating debris on the main thread:', event.message);
+            this.stop();
+        };
+    },
+
+    stop: function () {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+        this.job = null;
+        this.result = null;
+    },
+
+    // The world was replaced (new city, snapshot restore)
+    reset: function () {
+        this.generation++;
+        this.pendingSteps = 0;
+    },
+
+    // Called once per simulation step; false means the caller steps debris itself
+    step: function (dt) {
+        if (!this.worker) return false;
+
+        if (this.result) {
+            this.apply(this.result);
+            this.result = null;
+        }
 
-        if (screenShake.intensity < 0.1) {
-            screenShake.intensity = 0;
-            screenShake.x = 0;
-            screenShake.y = 0;
+        if (this.pendingSteps === 0) {
+            this.pendingSince = simTime;
         }
-    }
-}
+        // Every step counts; a worker that falls behind gets them all with its next job
+        this.pendingSteps++;
 
-function updateScreenFlash() {
-    if (screenFlash.active) {
-        screenFlash.intensity *= 0.85;
-        if (screenFlash.intensity < 0.01) {
-            screenFlash.active = false;
-            screenFlash.intensity = 0;
+        if (!this.job) {
+            this.post(dt);
         }
-    }
-}
+        return true;
+    },
 
-function renderScreenFlash() {
-    if (!screenFlash.active) return;
+    // Pack the awake debris and send it off
+    post: function (dt) {
+        const entities = [];
+        [particles, voxelBits, buildingDebris].forEach(list => {
+            for (let i = 0; i < list.length; i++) {
+                const entity = list[i];
+                if (!entity.sleeping) {
+                    entities.push(entity);
+                }
+            }
+        });
 
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+        const count = entities.length;
+        const size = DEBRIS_FIELDS.length * count;
+        const data = this.spareData && this.spareData.length >= size ? this.spareData : new Float64Array(Math.ceil(size * 1.5));
+        const kinds = this.spareKinds && this.spareKinds.length >= count ? this.spareKinds : new Uint8Array(Math.ceil(count * 1.5));
+        // As sent, to keep nudges made meanwhile
+        const velocities = this.spareVelocities && this.spareVelocities.length >= count * 2 ? this.spareVelocities : new Float64Array(Math.ceil(count * 3));
+        this.spareData = null;
+        this.spareKinds = null;
+        this.spareVelocities = null;
+
+        const id = this.nextJobId++;
+        entities.forEach((entity, i) => {
+            const kindIndex = DEBRIS_KINDS.findIndex(kind => kind.cls === entity.constructor);
+            const kind = DEBRIS_KINDS[kindIndex];
+            kinds[i] = kindIndex;
+            kind.state.forEach((field, f) => {
+                data[kind.stateSlots[f] * count + i] = encodeDebrisField(field, entity[field]);
+            });
+            kind.constants.forEach((field, f) => {
+                data[kind.constantSlots[f] * count + i] = encodeDebrisField(field, entity[field]);
+            });
+            velocities[i * 2] = entity.velocityX;
+            velocities[i * 2 + 1] = entity.velocityY;
+            entity.debrisJob = id; // Pooled entities lose this when recycled
+        });
 
-    ctx.fillStyle = `rgba(255, 255, 255, ${screenFlash.intensity})`;
-    ctx.fillRect(0, 0, width, height);
-}
+        this.job = { id, entities, velocities };
+        this.lastCount = count;
+        this.worker.postMessage({
+            generation: this.generation,
+            simTime: this.pendingSince,
+            dt,
+            steps: this.pendingSteps,
+            world: this.describeWorld(),
+            count,
+            kinds,
+            data
+        }, [data.buffer, kinds.buffer]);
+        this.pendingSteps = 0;
+    },
 
-function renderCrosshair() {
-    // Show crosshair for robot and UFO modes
-    if ((currentWeapon !== 'robot' && currentWeapon !== 'ufo') || !pointerActive) return;
+    // What debris collides with besides the ground: bridge decks and their segments
+    describeWorld: function () {
+        const bridges = staticStructures.filter(structure => structure instanceof Bridge).map(bridge => ({
+            x: bridge.x,
+            y: bridge.y,
+            width: bridge.width,
+            height: bridge.height,
+            swayOffset: bridge.swayOffset,
+            segments: bridge.segments.map(segment => ({
+                x: segment.x,
+                y: segment.y,
+                w: segment.w,
+                h: segment.h,
+                baseX: segment.baseX,
+                baseY: segment.baseY,
+                rotation: segment.rotation,
+                isKinematic: segment.isKinematic,
+                state: segment.state
+            }))
+        }));
+        return { width: worldWidth, hasBridge: levelHasBridge, bridges };
+    },
 
-    const x = pointerPosition.x;
-    const y = pointerPosition.y;
-    const size = 12;
+    // Copy a finished job back onto the entities that are still alive
+    apply: function (result) {
+        const job = this.job;
+        this.job = null;
+        this.spareData = result.data;
+        this.spareKinds = result.kinds;
+        if (job) this.spareVelocities = job.velocities;
+        if (!job || result.generation !== this.generation) return;
+
+        const count = result.count;
+        job.entities.forEach((entity, i) => {
+            if (entity.debrisJob !== job.id) return; // Recycled while the job ran
+
+            // Velocity changes made here meanwhile (tornado wind, tractor pull) still count
+            const nudgeX = entity.velocityX - job.velocities[i * 2];
+            const nudgeY = entity.velocityY - job.velocities[i * 2 + 1];
+            const kind = DEBRIS_KINDS[result.kinds[i]];
+            kind.state.forEach((field, f) => {
+                entity[field] = decodeDebrisField(field, result.data[kind.stateSlots[f] * count + i]);
+            });
+            entity.velocityX += nudgeX;
+            entity.velocityY += nudgeY;
+        });
+    },
 
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-    ctx.lineWidth = 2;
+    // Worker side (debris-worker.js): step every packed entity with the game's own update()
+    simulate: function (job) {
+        worldWidth = job.world.width;
+        levelHasBridge = job.world.hasBridge;
+        staticStructures = job.world.bridges.map(fields => {
+            const bridge = Object.assign(Object.create(Bridge.prototype), fields);
+            bridge.segments = fields.segments.map(segment => Object.assign(Object.create(BridgeSegment.prototype), segment));
+            return bridge;
+        });
 
-    // Draw crosshair
-    ctx.beginPath();
-    // Horizontal line
-    ctx.moveTo(x - size, y);
-    ctx.lineTo(x + size, y);
-    // Vertical line
-    ctx.moveTo(x, y - size);
-    ctx.lineTo(x, y + size);
-    ctx.stroke();
+        const count = job.count;
+        const data = job.data;
+        const scratch = DEBRIS_KINDS.map(kind => Object.create(kind.cls.prototype));
+        for (let i = 0; i < count; i++) {
+            const kind = DEBRIS_KINDS[job.kinds[i]];
+            const entity = scratch[job.kinds[i]];
+            kind.state.forEach((field, f) => {
+                entity[field] = decodeDebrisField(field, data[kind.stateSlots[f] * count + i]);
+            });
+            kind.constants.forEach((field, f) => {
+                entity[field] = decodeDebrisField(field, data[kind.constantSlots[f] * count + i]);
+            });
 
-    // Outer circle
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.arc(x, y, size * 1.5, 0, Math.PI * 2);
-    ctx.stroke();
-}
+            for (let step = 0; step < job.steps; step++) {
+                simTime = job.simTime + step * job.dt;
+                if (kind.sleeps) {
+                    stepSleepingDebris(entity, job.dt);
+                } else {
+                    entity.update(job.dt);
+                }
+            }
 
-// ============================================
-// Ground Rendering
-// ============================================
+            kind.state.forEach((field, f) => {
+                data[kind.stateSlots[f] * count + i] = encodeDebrisField(field, entity[field]);
+            });
+        }
+        return job;
+    },
 
-// Render ground (Road / Grid)
-function renderGround() {
-    // Use window dimensions directly
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const groundY = height * 0.85;
+    // Debug overlay line
+    getStatus: function () {
+        return this.worker ? `Debris: worker, ${this.lastCount} awake` : 'Debris: main thread';
+    }
+};
 
-    if (currentCityId === 2) {
-        // City 2: River and bridge (Keep existing logic)
-        const waterY = groundY + 20;
-        const waterHeight = 40;
-        const riverWidth = width * 0.4;
-        const riverStartX = width * 0.3;
+// ============================================
+// Spatial Hash (area queries for weapons)
+// ============================================
 
-        // Ground fill (left bank)
-        ctx.fillStyle = '#2c3e50';
-        ctx.fillRect(0, groundY, riverStartX, height - groundY);
+// Uniform grid over the lists weapons search: buildings, fragments and voxel bits. It is
+// rebuilt at the start of every step, and queries return the entries in the cells an area
+// touches; callers still run their own exact hit test on those. Results are in list order,
+// so damage (and the random() calls it makes) happens in the same order as a full scan.
+// Indexed entries don't move until their own update later in the step, and anything
+// appended since the rebuild (fragments spawned this step) is always returned.
+const SPATIAL_CELL_SIZE = 128; // World units per cell
+const SPATIAL_CELL_LIMIT = 32768; // Cell coordinates are clamped to +/- this
+
+const SpatialIndex = {
+    // area: entries are rectangles (x, y, width, height) rather than points (x, y)
+    layers: {
+        buildings: { source: () => buildings, area: true },
+        particles: { source: () => particles, area: false },
+        voxelBits: { source: () => voxelBits, area: false }
+    },
+    spareCells: [],
 
-        // Ground fill (right bank)
-        ctx.fillRect(riverStartX + riverWidth, groundY, width - (riverStartX + riverWidth), height - groundY);
+    cellCoord: function (value) {
+        const cell = Math.floor(value / SPATIAL_CELL_SIZE);
+        return Math.max(-SPATIAL_CELL_LIMIT, Math.min(SPATIAL_CELL_LIMIT - 1, cell));
+    },
 
-        // Water is rendered by WaterWaveSystem (if exists)
-        if (waterWaves) {
-            waterWaves.render();
-        } else {
-            // Fallback: simple water fill
-            const waterGradient = ctx.createLinearGradient(0, waterY, 0, waterY + waterHeight);
-            waterGradient.addColorStop(0, '#1a3a5a');
-            waterGradient.addColorStop(0.5, '#0f2a4a');
-            waterGradient.addColorStop(1, '#0a1a3a');
-            ctx.fillStyle = waterGradient;
-            ctx.fillRect(riverStartX, waterY, riverWidth, waterHeight);
-        }
+    cellKey: function (cellX, cellY) {
+        return (cellX + SPATIAL_CELL_LIMIT) * SPATIAL_CELL_LIMIT * 2 + (cellY + SPATIAL_CELL_LIMIT);
+    },
 
-        // Ground lines
-        ctx.strokeStyle = '#34495e';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(0, groundY);
-        ctx.lineTo(riverStartX, groundY);
-        ctx.moveTo(riverStartX + riverWidth, groundY);
-        ctx.lineTo(width, groundY);
-        ctx.stroke();
+    // Index every layer (once per simulation step)
+    rebuild: function () {
+        Object.values(this.layers).forEach(layer => this.build(layer));
+    },
 
-        // Render bridge
-        staticStructures.forEach(structure => {
-            if (structure instanceof Bridge) {
-                structure.render();
-            }
+    // The world was replaced (new city, snapshot restore); rebuild before the next query
+    invalidate: function () {
+        Object.values(this.layers).forEach(layer => {
+            layer.dirty = true;
         });
-    } else {
-        // City 1 & 3: Enhanced Road / Grid
-
-        // Background for ground (Dark Asphalt)
-        ctx.fillStyle = '#1a1a1a';
-        ctx.fillRect(0, groundY, width, height - groundY);
+    },
 
-        // Draw perspective grid / road markings
-        ctx.save();
+    build: function (layer) {
+        if (!layer.cells) {
+            layer.cells = new Map(); // cell key -> list indices
+            layer.seen = []; // list index -> last query stamp (de-duplicates area entries)
+            layer.stamp = 0;
+        }
+        layer.cells.forEach(cell => {
+            cell.length = 0;
+            this.spareCells.push(cell);
+        });
+        layer.cells.clear();
+
+        const list = layer.source();
+        for (let i = 0; i < list.length; i++) {
+            const item = list[i];
+            const right = layer.area ? item.x + item.width : item.x;
+            const bottom = layer.area ? item.y + item.height : item.y;
+            const x1 = this.cellCoord(right);
+            const y1 = this.cellCoord(bottom);
+            for (let cellX = this.cellCoord(item.x); cellX <= x1; cellX++) {
+                for (let cellY = this.cellCoord(item.y); cellY <= y1; cellY++) {
+                    const key = this.cellKey(cellX, cellY);
+                    let cell = layer.cells.get(key);
+                    if (!cell) {
+                        cell = this.spareCells.pop() || [];
+                        layer.cells.set(key, cell);
+                    }
+                    cell.push(i);
+                }
+            }
+        }
 
-        // Road surface texture (noise-like)
-        // (Skipping complex noise for performance, using color)
+        layer.list = list;
+        layer.count = list.length;
+        layer.dirty = false;
+    },
 
-        // Road Stripes (Horizontal for side-scroller)
-        ctx.fillStyle = '#e0e0e0';
-        const stripeWidth = 60;
-        const stripeHeight = 15;
-        const stripeGap = 80;
-        const roadMiddleY = groundY + (height - groundY) / 2;
+    // Indices (ascending) of the entries of a layer that may overlap a rectangle
+    query: function (name, x, y, width, height) {
+        const layer = this.layers[name];
+        const list = layer.source();
+        if (layer.dirty !== false || layer.list !== list || list.length < layer.count) {
+            this.build(layer);
+        }
+
+        const indices = [];
+        const x0 = this.cellCoord(x);
+        const y0 = this.cellCoord(y);
+        const x1 = this.cellCoord(x + width);
+        const y1 = this.cellCoord(y + height);
+
+        if ((x1 - x0 + 1) * (y1 - y0 + 1) > layer.cells.size) {
+            // Covers more cells than are occupied: a full scan is cheaper
+            for (let i = 0; i < list.length; i++) {
+                indices.push(i);
+            }
+            return indices;
+        }
+
+        const stamp = ++layer.stamp;
+        for (let cellX = x0; cellX <= x1; cellX++) {
+            for (let cellY = y0; cellY <= y1; cellY++) {
+                const cell = layer.cells.get(this.cellKey(cellX, cellY));
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) {
+                    const index = cell[i];
+                    if (layer.seen[index] === stamp) continue;
+                    layer.seen[index] = stamp;
+                    indices.push(index);
+                }
+            }
+        }
+        indices.sort((a, b) => a - b);
 
-        // Draw dashed center line
-        for (let x = 0; x < width; x += (stripeWidth + stripeGap)) {
-            ctx.fillRect(x, roadMiddleY - stripeHeight / 2, stripeWidth, stripeHeight);
+        for (let i = layer.count; i < list.length; i++) {
+            indices.push(i);
         }
+        return indices;
+    },
 
-        // Top and Bottom Road Edges (Curbs)
-        ctx.fillStyle = '#555';
-        ctx.fillRect(0, groundY, width, 10); // Top Curb
-        // ctx.fillRect(0, height - 10, width, 10); // Bottom Curb
+    inRect: function (name, x, y, width, height) {
+        const list = this.layers[name].source();
+        return this.query(name, x, y, width, height).map(index => list[index]);
+    },
 
-        // "Invisible Wall" indicators
-        // Left
-        ctx.fillStyle = 'rgba(255, 50, 50, 0.15)';
-        ctx.fillRect(0, 0, 10, height);
-        // Right
-        ctx.fillRect(width - 10, 0, 10, height);
+    // Entries that may lie within radius of a point (its bounding square)
+    near: function (name, x, y, radius) {
+        return this.inRect(name, x - radius, y - radius, radius * 2, radius * 2);
+    },
 
-        ctx.restore();
-    }
+    // Entries that may contain a point
+    at: function (name, x, y) {
+        return this.inRect(name, x, y, 0, 0);
+    },
 
-    // Render other static structures (billboards, etc.)
-    staticStructures.forEach(structure => {
-        if (structure instanceof Billboard) {
-            structure.render();
-        }
-    });
-}
+    // One line per layer for the debug overlay
+    getStats: function () {
+        return Object.keys(this.layers).map(name => {
+            const layer = this.layers[name];
+            return `  ${name}: ${layer.count || 0} in ${layer.cells ? layer.cells.size : 0} cells`;
+        });
+    }
+};
 
 // ============================================
 // Game Loop
@@ -8596,23 +13200,16 @@ function renderGround() {
 function renderDebugOverlay() {
     if (!showDebug) return;
 
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    const width = Camera.viewWidth;
+    const height = Camera.viewHeight;
     const dpr = window.devicePixelRatio || 1;
 
-    // Draw debug info box
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-    ctx.fillRect(10, 10, 250, 160);
-
-    ctx.fillStyle = '#fff';
-    ctx.font = '12px monospace';
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'top';
-
     const debugInfo = [
         `Canvas CSS: ${width}x${height}`,
         `DPR: ${dpr.toFixed(2)}`,
         `Canvas Internal: ${canvas.width}x${canvas.height}`,
+        `World: ${worldWidth}x${worldHeight}`,
+        `Camera: x ${Math.round(Camera.x)}, y ${Math.round(Camera.y)}, zoom ${Camera.zoom.toFixed(2)}`,
         `Buildings: ${buildings.length}`,
         `Fragments: ${particles.length}`,
         `Bombs: ${bombs.length}`,
@@ -8620,38 +13217,55 @@ function renderDebugOverlay() {
         `Tornados: ${tornados.length}`,
         `Sticky: ${stickyBombs.length}`,
         `Weapon: ${currentWeapon}`,
-        `Press D to toggle`
+        `Quality: ${GraphicsQuality.mode} (detail ${GraphicsQuality.detail.toFixed(2)})`,
+        `Pools:`,
+        ...Pools.getStats(),
+        `Grid (${SPATIAL_CELL_SIZE} units):`,
+        ...SpatialIndex.getStats(),
+        DebrisPhysics.getStatus(),
+        SoundEngine.getStatus(),
+        MusicSequencer.getStatus(),
+        `Press ${InputBindings.getLabel('toggleDebug')} to toggle`
     ];
 
+    // Draw debug info box (sized to the lines)
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(10, 10, 340, 10 + debugInfo.length * 18);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
     debugInfo.forEach((line, i) => {
         ctx.fillText(line, 15, 15 + i * 18);
     });
 }
 
-function gameLoop() {
-    // Use window dimensions directly (CSS pixels, context is already scaled by dpr)
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-
-    // Clear canvas (use CSS pixel dimensions, context handles scaling)
-    ctx.clearRect(0, 0, width, height);
+// Advance the world by exactly one fixed simulation step
+function updateSimulation(dt) {
+    // Feed recorded input (playback) or capture control changes (recording)
+    ReplayManager.beginStep();
 
     // Update screen shake and flash
     updateScreenShake();
     updateScreenFlash();
 
-    // Render background
-    renderBackground();
+    // Advance background parallax
+    updateBackground(dt);
 
     // Update buildings and remove collapsed ones
     buildings = buildings.filter(building => {
         if (building.state === 'collapsed') {
             return false; // Remove collapsed buildings
         }
-        building.update();
+        building.update(dt);
         return true;
     });
 
+    // Index buildings and fragments for this step's weapon queries
+    SpatialIndex.rebuild();
+
     // Failsafe: Ensure robot exists if in robot mode
     if (currentWeapon === 'robot' && !robot) {
         spawnRobot();
@@ -8664,32 +13278,32 @@ function gameLoop() {
 
     // Update robot (ALWAYS update if in robot mode)
     if (currentWeapon === 'robot' && robot) {
-        robot.update();
+        robot.update(dt);
     }
 
     // Update UFO (ALWAYS update if in ufo mode)
     if (currentWeapon === 'ufo' && ufo) {
-        ufo.update();
+        ufo.update(dt);
         updateStealthIndicator();
     }
 
-    // Update bridge (City 2)
-    if (currentCityId === 2) {
+    // Update bridge (bridge levels)
+    if (levelHasBridge) {
         staticStructures.forEach(structure => {
             if (structure instanceof Bridge) {
-                structure.update();
+                structure.update(dt);
             }
         });
     }
 
-    // Update water waves (City 2)
-    if (currentCityId === 2 && waterWaves) {
-        waterWaves.update();
+    // Update water waves
+    if (waterWaves) {
+        waterWaves.update(dt);
     }
 
     // Update robot missiles
     robotMissiles = robotMissiles.filter(missile => {
-        missile.update();
+        missile.update(dt);
         return missile.active;
     });
 
@@ -8699,8 +13313,8 @@ function gameLoop() {
     }
 
     // Update bridge debris
-    bridgeDebris = bridgeDebris.filter(debris => {
-        debris.update();
+    updatePooledList(bridgeDebris, debris => {
+        debris.update(dt);
         return !debris.sleeping || !debris.doNotDraw; // Keep if not sleeping or still drawing
     });
 
@@ -8716,7 +13330,7 @@ function gameLoop() {
 
     // Update bombs
     bombs = bombs.filter(bomb => {
-        bomb.update();
+        bomb.update(dt);
         return !bomb.exploded;
     });
 
@@ -8726,33 +13340,33 @@ function gameLoop() {
     }
 
     // Update lasers
-    lasers = lasers.filter(laser => {
-        laser.update();
+    updatePooledList(lasers, laser => {
+        laser.update(dt);
         return laser.active;
     });
 
     // Update robot hand lasers
-    robotHandLasers = robotHandLasers.filter(laser => {
-        laser.update();
+    updatePooledList(robotHandLasers, laser => {
+        laser.update(dt);
         return laser.active;
     });
 
     // Update UFO lasers
-    ufoHandLasers = ufoHandLasers.filter(laser => {
-        laser.update();
+    updatePooledList(ufoHandLasers, laser => {
+        laser.update(dt);
         return laser.active;
     });
 
     // Update tornados
     tornados = tornados.filter(tornado => {
-        tornado.update();
+        tornado.update(dt);
         return tornado.active;
     });
 
     // Update sticky bombs (only active ones)
     stickyBombs = stickyBombs.filter(bomb => {
         if (bomb.active) {
-            bomb.update();
+            bomb.update(dt);
         }
         return bomb.isArmed;
     });
@@ -8762,28 +13376,12 @@ function gameLoop() {
         updateDetonateButton();
     }
 
-    // Update particles with persistent debris (sleeping state)
-    let activeParticleCount = 0;
-    let sleepingCount = 0;
-    const SLEEP_DELAY = 5000; // 5 seconds after settling before sleeping
-
-    for (let i = 0; i < particles.length; i++) {
-        const particle = particles[i];
-
-        // Check if particle should sleep (settled for a while)
-        if (particle.onGround && particle.settledTime !== null && !particle.sleeping) {
-            const settledDuration = Date.now() - particle.settledTime;
-            if (settledDuration > SLEEP_DELAY) {
-                particle.sleeping = true;
-            }
-        }
-
-        // Only update physics if not sleeping
-        if (!particle.sleeping) {
-            particle.update();
-            activeParticleCount++;
-        } else {
-            sleepingCount++;
+    // Update particles with persistent debris (sleeping state). With the debris worker
+    // running it steps these, voxel bits and building debris instead.
+    const debrisOffloaded = DebrisPhysics.step(dt);
+    if (!debrisOffloaded) {
+        for (let i = 0; i < particles.length; i++) {
+            stepSleepingDebris(particles[i], dt);
         }
     }
 
@@ -8803,81 +13401,58 @@ function gameLoop() {
 
     // Update explosions
     explosions = explosions.filter(explosion => {
-        explosion.update();
+        explosion.update(dt);
         return explosion.active;
     });
 
     // Update meteors
     meteors = meteors.filter(meteor => {
-        meteor.update();
+        meteor.update(dt);
         return !meteor.exploded;
     });
 
     // Update fire emitters
     fireEmitters = fireEmitters.filter(emitter => {
-        emitter.update();
+        emitter.update(dt);
         return emitter.active;
     });
 
     // Update fire particles
-    fireParticles = fireParticles.filter(particle => {
-        return particle.update();
+    updatePooledList(fireParticles, particle => {
+        return particle.update(dt);
     });
 
     // Cap fire particles
-    if (fireParticles.length > MAX_FIRE_PARTICLES) {
-        fireParticles.splice(0, fireParticles.length - MAX_FIRE_PARTICLES);
-    }
+    capPooledList(fireParticles, MAX_FIRE_PARTICLES);
 
     // Update building debris
-    buildingDebris = buildingDebris.filter(debris => {
-        return debris.update();
+    updatePooledList(buildingDebris, debris => {
+        return debrisOffloaded ? !debris.isExpired() : debris.update(dt);
     });
 
     // Cap building debris
-    if (buildingDebris.length > MAX_BUILDING_DEBRIS) {
-        buildingDebris.splice(0, buildingDebris.length - MAX_BUILDING_DEBRIS);
-    }
+    capPooledList(buildingDebris, MAX_BUILDING_DEBRIS);
 
     // Update micro-debris
-    microDebris = microDebris.filter(debris => {
-        return debris.update();
+    updatePooledList(microDebris, debris => {
+        return debris.update(dt);
     });
 
     // Cap micro-debris
-    if (microDebris.length > MAX_MICRO_DEBRIS) {
-        microDebris.splice(0, microDebris.length - MAX_MICRO_DEBRIS);
-    }
+    capPooledList(microDebris, MAX_MICRO_DEBRIS);
 
     // Update dust particles
-    dustParticles = dustParticles.filter(particle => {
-        return particle.update();
+    updatePooledList(dustParticles, particle => {
+        return particle.update(dt);
     });
 
     // Cap dust particles
-    if (dustParticles.length > MAX_DUST_PARTICLES) {
-        dustParticles.splice(0, dustParticles.length - MAX_DUST_PARTICLES);
-    }
+    capPooledList(dustParticles, MAX_DUST_PARTICLES);
 
     // Update voxel bits (square chunks from UFO tractor)
-    let activeVoxelCount = 0;
-    const VOXEL_SLEEP_DELAY = 5000; // 5 seconds after settling
-
-    for (let i = 0; i < voxelBits.length; i++) {
-        const voxelBit = voxelBits[i];
-
-        // Check if voxel bit should sleep
-        if (voxelBit.onGround && voxelBit.settledTime !== null && !voxelBit.sleeping) {
-            const settledDuration = Date.now() - voxelBit.settledTime;
-            if (settledDuration > VOXEL_SLEEP_DELAY) {
-                voxelBit.sleeping = true;
-            }
-        }
-
-        // Only update physics if not sleeping
-        if (!voxelBit.sleeping) {
-            voxelBit.update();
-            activeVoxelCount++;
+    if (!debrisOffloaded) {
+        for (let i = 0; i < voxelBits.length; i++) {
+            stepSleepingDebris(voxelBits[i], dt);
         }
     }
 
@@ -8892,6 +13467,40 @@ function gameLoop() {
         }
     }
 
+    // Score popups and animated counter
+    ScoreManager.update(dt);
+
+    // Mission objectives, time limit and result screens
+    MissionManager.update();
+
+    ReplayManager.endStep();
+
+    // Advance simulation clock
+    simTick++;
+    simTime += dt;
+}
+
+// Draw the current world state; alpha blends moving entities between the last two steps
+function renderFrame(alpha) {
+    // Clear canvas (use CSS pixel dimensions, context is already scaled by dpr)
+    ctx.clearRect(0, 0, Camera.viewWidth, Camera.viewHeight);
+
+    // Render background (screen space, parallax against the camera)
+    renderBackground();
+
+    // Blend moving entities towards their latest simulated position
+    applyRenderInterpolation(alpha);
+
+    // Shake offsets scaled by the player's setting while drawing
+    const shakeX = screenShake.x;
+    const shakeY = screenShake.y;
+    screenShake.x *= Settings.get('shakeIntensity');
+    screenShake.y *= Settings.get('shakeIntensity');
+
+    // Everything up to the screen flash is drawn in world units
+    ctx.save();
+    Camera.applyTransform(ctx);
+
     // Render everything
     renderGround();
 
@@ -8956,6 +13565,10 @@ function gameLoop() {
     // Render robot missiles
     robotMissiles.forEach(missile => missile.render());
 
+    // Render score popups and mission target markers
+    ScoreManager.render();
+    MissionManager.render();
+
     // Render bridge debris
     bridgeDebris.forEach(debris => {
         if (!debris.doNotDraw) {
@@ -8971,8 +13584,6 @@ function gameLoop() {
         }
         if (robot) {
             robot.render();
-            robot.renderFuelMeter();
-            robot.renderLaserEnergyMeter();
         }
     }
 
@@ -8990,49 +13601,210 @@ function gameLoop() {
     // Render UFO lasers
     ufoHandLasers.forEach(laser => laser.render());
 
-    // Render screen flash
+    // Render level editor overlay
+    LevelEditor.render();
+
+    ctx.restore();
+
+    // Screen-space overlays (photo mode keeps just the picture)
     renderScreenFlash();
+    if (!PhotoMode.active) {
+        renderCrosshair();
+        if (currentWeapon === 'robot' && robot) {
+            robot.renderFuelMeter();
+            robot.renderLaserEnergyMeter();
+        }
+        renderDebugOverlay();
+    }
+
+    // Put simulated positions (and shake) back before the next step
+    restoreSimulationPositions();
+    screenShake.x = shakeX;
+    screenShake.y = shakeY;
+}
+
+function gameLoop(timestamp) {
+    if (lastFrameTime === null) {
+        lastFrameTime = timestamp;
+    }
+
+    // Accumulate real elapsed time, clamped so a stalled tab doesn't fast-forward the world
+    const frameTime = Math.min(MAX_FRAME_TIME, Math.max(0, timestamp - lastFrameTime));
+    lastFrameTime = timestamp;
+    simAccumulator += PhotoMode.advanceTime(frameTime);
+    GraphicsQuality.measureFrame(frameTime);
+
+    // Gamepads have no events for buttons and sticks; read them before this frame's steps
+    GamepadInput.poll();
+
+    // The world only runs in play (the level editor freezes it while it's open)
+    if (LevelEditor.active || !GameState.isSimulating()) {
+        simAccumulator = 0;
+    }
+
+    // Run as many fixed steps as the elapsed time covers
+    let steps = 0;
+    while (simAccumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+        storePreviousPositions();
+        updateSimulation(FIXED_TIMESTEP);
+        simAccumulator -= FIXED_TIMESTEP;
+        steps++;
+    }
+
+    // Drop leftover time if we hit the step cap (device can't keep up)
+    if (steps >= MAX_STEPS_PER_FRAME) {
+        simAccumulator = Math.min(simAccumulator, FIXED_TIMESTEP);
+    }
 
-    // Render crosshair (robot mode)
-    renderCrosshair();
+    renderAlpha = simAccumulator / FIXED_TIMESTEP;
+    Camera.update(frameTime);
+    renderFrame(renderAlpha);
 
-    // Render debug overlay
-    renderDebugOverlay();
+    // Wind follows each tornado (after the camera moved, so panning matches the frame)
+    SoundEngine.syncLoops('tornadoWind', tornados);
+
+    // Schedule the soundtrack's next steps
+    MusicSequencer.update(frameTime);
 
     // Continue loop
     requestAnimationFrame(gameLoop);
 }
 
 // ============================================
-// Initialize Game
+// Headless Simulation
 // ============================================
 
-// Wait for DOM to be ready, then initialize
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        initCanvas();
-        initWeaponUI();
-        initRobotControls();
-        initUFOControls();
-        initCitySelection();
-        initBackground();
+// Steps the world with no window, canvas or audio (Node; see tools/run-scenario.js).
+// Scenarios use the replay format ({ version, setup, length, events }), so an exported
+// replay runs as-is; hand-written scenarios can leave out `version` and most of `setup`.
+const HEADLESS_DEFAULT_LENGTH = 600; // Ticks simulated after the last event when `length` is omitted
 
-        // Initialize Level Manager
+const HeadlessSim = {
+    // Level definitions come from the caller (LevelRegistry.load() needs fetch)
+    init: function (options = {}) {
+        (options.levels || []).forEach(level => LevelRegistry.register(level));
+        if (LevelRegistry.order.length === 0) {
+            LevelRegistry.register(FALLBACK_LEVEL);
+        }
+        LevelRegistry.loaded = true;
         LevelManager.init();
+    },
 
-        generateCity();
-        gameLoop();
-    });
-} else {
-    // DOM is already ready
+    // Fill in replay fields a scenario may leave out
+    normalizeScenario: function (scenario) {
+        const events = (scenario.events || []).slice().sort((a, b) => a.tick - b.tick);
+        const lastTick = events.length > 0 ? events[events.length - 1].tick : 0;
+        return {
+            version: scenario.version || REPLAY_FORMAT_VERSION,
+            setup: Object.assign({
+                seed: 1,
+                levelId: LevelRegistry.order[0],
+                tuning: {},
+                weapon: 'meteor',
+                ufoVariant: null,
+                ufoVariantSelected: false
+            }, scenario.setup),
+            length: scenario.length || lastTick + HEADLESS_DEFAULT_LENGTH,
+            events: events
+        };
+    },
+
+    // Play a scenario to its last tick and return the destruction stats
+    run: function (scenario) {
+        ReplayManager.startPlayback(this.normalizeScenario(scenario));
+        while (ReplayManager.isPlaying()) {
+            this.step();
+        }
+        return this.getStats();
+    },
+
+    step: function () {
+        storePreviousPositions();
+        updateSimulation(FIXED_TIMESTEP);
+    },
+
+    getStats: function () {
+        const initial = MissionManager.initialBuildings;
+        const hasBridge = staticStructures.some(structure => structure instanceof Bridge);
+        const billboards = staticStructures.filter(structure => structure instanceof Billboard);
+
+        return {
+            level: currentLevelId,
+            seed: worldSeed,
+            ticks: simTick,
+            seconds: simTime / 1000,
+            buildings: {
+                total: initial.length,
+                damaged: initial.filter(building => building.health < building.maxHealth).length,
+                collapsing: initial.filter(building => building.state === 'collapsing').length,
+                collapsed: initial.filter(building => building.state === 'collapsed').length
+            },
+            damage: Math.round(initial.reduce((sum, building) => sum + (building.maxHealth - Math.max(0, building.health)), 0)),
+            skylineDestroyed: MissionManager.getSkylineDestroyedPercent(),
+            bridgeDown: hasBridge ? MissionManager.getBridgeDownPercent() : null,
+            billboardsSmashed: billboards.filter(billboard => billboard.smashed).length,
+            // Collapse start times (s) by building, in skyline order
+            collapses: initial
+                .filter(building => building.collapseStartTime !== null)
+                .map(building => ({ x: Math.round(building.x), style: building.buildingStyle, at: building.collapseStartTime / 1000 })),
+            score: ScoreManager.score,
+            mission: MissionManager.mission ? {
+                name: MissionManager.mission.name,
+                status: MissionManager.status,
+                objectives: MissionManager.objectiveStates.map(state => ({ text: state.text, complete: state.complete }))
+            } : null
+        };
+    }
+};
+
+// ============================================
+// Initialize Game
+// ============================================
+
+function initGame() {
     initCanvas();
+    Camera.init();
+    initPointerInput();
+    initKeyboardControls();
+    GamepadInput.init();
     initWeaponUI();
     initRobotControls();
     initUFOControls();
-    initCitySelection();
     initBackground();
-    generateCity();
-    gameLoop();
+
+    // Initialize Level Manager
+    LevelManager.init();
+    ReplayManager.init();
+    MissionManager.init();
+    LevelEditor.init();
+    TuningPanel.init();
+    SettingsPanel.init();
+    SnapshotManager.init();
+    GameState.init();
+    PhotoMode.init();
+    VideoCapture.init();
+    DebrisPhysics.init();
+
+    // Saved settings apply before the first city is built
+    Settings.load();
+    InputBindings.load();
+
+    // Level definitions are fetched; build the first city once they're registered
+    LevelRegistry.load().then(() => {
+        initCitySelection();
+        generateCity();
+        requestAnimationFrame(gameLoop);
+    });
+}
+
+// Wait for DOM to be ready, then initialize (headless runs are driven by HeadlessSim instead)
+if (!HEADLESS) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initGame);
+    } else {
+        // DOM is already ready
+        initGame();
+    }
 }
 
 function toggleFullscreen() {
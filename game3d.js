@@ -251,6 +251,12 @@ function animate3D() {
 
     animationId3D = requestAnimationFrame(animate3D);
 
+    // Paused (see GameState in game.js): keep drawing the frozen scene
+    if (GameState.current === 'paused') {
+        renderer.render(scene, camera);
+        return;
+    }
+
     // Input Handling for Lasers and Movement (Basic)
     handleInput();
 
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// ============================================
+// CITY SMASH - Headless Scenario Runner
+// ============================================
+
+// Loads game.js into a bare context (no DOM, canvas or audio), plays a scenario through
+// HeadlessSim and prints the destruction stats.
+//
+//   node tools/run-scenario.js scenarios/harbor-bridge.json
+//   node tools/run-scenario.js my-replay.json --json
+//
+// Scenarios use the replay format, so exported replays run as-is. A hand-written one only
+// needs `events` ({ tick, type, ... } as recorded by ReplayManager); `setup` (seed, levelId,
+// weapon, tuning) and `length` (ticks, 60 per second) are optional.
+//
+// tools/test-sim.js reuses this loader for the regression checks (blast damage falloff,
+// collapse timing, bridge breakage) and exits non-zero when a result changes:
+//
+//   node tools/test-sim.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+    const options = { file: null, json: false };
+    argv.forEach(arg => {
+        if (arg === '--json') {
+            options.json = true;
+        } else if (!options.file) {
+            options.file = arg;
+        } else {
+            throw new Error('Unexpected argument: ' + arg);
+        }
+    });
+    if (!options.file) {
+        throw new Error('Usage: node tools/run-scenario.js <scenario.json> [--json]');
+    }
+    return options;
+}
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Every level listed in levels/index.json (what the browser would fetch)
+function loadLevels() {
+    const levelsDir = path.join(ROOT, 'levels');
+    return readJSON(path.join(levelsDir, 'index.json')).levels
+        .map(id => readJSON(path.join(levelsDir, id + '.json')));
+}
+
+// game.js declares everything at top level, so it runs as one script in its own context
+function loadGame() {
+    const context = vm.createContext({ console });
+    const source = fs.readFileSync(path.join(ROOT, 'game.js'), 'utf8');
+    vm.runInContext(source, context, { filename: 'game.js' });
+    return context;
+}
+
+function createSimulation(context = loadGame()) {
+    const simulation = vm.runInContext('HeadlessSim', context); // const bindings aren't context properties
+    simulation.init({ levels: loadLevels() });
+    return simulation;
+}
+
+function formatStats(stats) {
+    const lines = [
+        `Level:     ${stats.level} (seed ${stats.seed})`,
+        `Simulated: ${stats.ticks} ticks (${stats.seconds.toFixed(1)}s)`,
+        `Buildings: ${stats.buildings.collapsed + stats.buildings.collapsing}/${stats.buildings.total} down, ${stats.buildings.damaged} damaged`,
+        `Damage:    ${stats.damage} health removed`,
+        `Skyline:   ${stats.skylineDestroyed.toFixed(1)}% destroyed`
+    ];
+    if (stats.bridgeDown !== null) {
+        lines.push(`Bridge:    ${stats.bridgeDown.toFixed(1)}% down`);
+    }
+    lines.push(`Billboards smashed: ${stats.billboardsSmashed}`);
+    lines.push(`Score:     ${stats.score}`);
+
+    if (stats.collapses.length > 0) {
+        lines.push('Collapses:');
+        stats.collapses.forEach(collapse => {
+            lines.push(`  ${collapse.at.toFixed(2)}s  ${collapse.style} building at x=${collapse.x}`);
+        });
+    }
+
+    if (stats.mission) {
+        lines.push(`Mission:   ${stats.mission.name} - ${stats.mission.status}`);
+        stats.mission.objectives.forEach(objective => {
+            lines.push(`  ${objective.complete ? '[x]' : '[ ]'} ${objective.text}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const scenario = readJSON(options.file);
+
+    // game.js logs progress (spawns, level loading); keep stdout for the results
+    const log = console.log;
+    console.log = () => { };
+    const simulation = createSimulation();
+    const stats = simulation.run(scenario);
+    console.log = log;
+
+    console.log(options.json ? JSON.stringify(stats, null, 2) : formatStats(stats));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadGame, createSimulation, readJSON };
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// ============================================
+// CITY SMASH - Headless Simulation Checks
+// ============================================
+
+// Runs game.js headless (see run-scenario.js) and compares a few simulation results with
+// known values: meteor blast damage falloff, when a scripted strike topples a building and
+// how much of the harbor bridge a scenario brings down. Exits non-zero on any mismatch.
+//
+//   node tools/test-sim.js
+//
+// The expected numbers are what the simulation produced when they were written down; a
+// change that moves them on purpose (tuning, damage rules) updates them here as well.
+
+const path = require('path');
+const vm = require('vm');
+const { loadGame, createSimulation, readJSON } = require('./run-scenario');
+
+const ROOT = path.join(__dirname, '..');
+
+// Health a building loses when a meteor lands this far below its centre (damage 80 in a
+// 150 radius, cubic falloff applied by the strike and again by Building.takeDamage)
+const EXPECTED_METEOR_DAMAGE = [
+    { distance: 0, damage: 80 },
+    { distance: 30, damage: 20.97 },
+    { distance: 75, damage: 1.25 },
+    { distance: 100, damage: 0.11 }
+];
+const FALLOFF_SCENARIO = { setup: { levelId: 'city-center', seed: 1 }, length: 1 };
+
+// One orbital laser strike at tick 10 on the west end of city-center (seed 12345) topples
+// the glass tower there
+const COLLAPSE_SCENARIO = {
+    setup: { levelId: 'city-center', seed: 12345, weapon: 'laser' },
+    length: 300,
+    events: [{ tick: 10, type: 'pointer', x: 103, y: 300 }]
+};
+const EXPECTED_COLLAPSE_TICK = 13;
+
+const EXPECTED_BRIDGE_DOWN = 50; // % for scenarios/harbor-bridge.json
+
+// Plays a scenario in a fresh game (so earlier checks can't leak state into it) and hands
+// the stats plus an evaluator for the game's globals to the check
+function withScenario(scenario, check) {
+    const context = loadGame();
+    const simulation = createSimulation(context);
+    const stats = simulation.run(scenario);
+    return check(stats, code => vm.runInContext(code, context));
+}
+
+function checkMeteorFalloff() {
+    return withScenario(FALLOFF_SCENARIO, (stats, evaluate) => {
+        evaluate('var testBuilding = buildings[0]; testBuilding.materialResistance = 1;');
+        return EXPECTED_METEOR_DAMAGE.map(({ distance, damage }) => {
+            const removed = evaluate(`
+                testBuilding.health = testBuilding.maxHealth;
+                new Meteor(testBuilding.getCenterX(), testBuilding.getCenterY() + ${distance}, { x: 0, width: worldWidth }).explode();
+                testBuilding.maxHealth - testBuilding.health;
+            `);
+            return { name: `meteor damage at ${distance}`, expected: damage, actual: Math.round(removed * 100) / 100 };
+        });
+    });
+}
+
+function checkCollapseTick() {
+    return withScenario(COLLAPSE_SCENARIO, (stats, evaluate) => {
+        const first = evaluate(`
+            MissionManager.initialBuildings
+                .map(building => building.collapseStartTime)
+                .filter(time => time !== null)
+                .sort((a, b) => a - b)[0];
+        `);
+        const tick = first === undefined ? null : Math.round(first / evaluate('FIXED_TIMESTEP'));
+        return [{ name: `first collapse tick (${stats.collapses.length} collapsed)`, expected: EXPECTED_COLLAPSE_TICK, actual: tick }];
+    });
+}
+
+function checkBridgeDown() {
+    const scenario = readJSON(path.join(ROOT, 'scenarios', 'harbor-bridge.json'));
+    return withScenario(scenario, stats => [
+        { name: 'harbor-bridge bridge down %', expected: EXPECTED_BRIDGE_DOWN, actual: stats.bridgeDown }
+    ]);
+}
+
+function main() {
+    // game.js logs progress (spawns, level loading); keep stdout for the results
+    const log = console.log;
+    console.log = () => { };
+    const results = [checkMeteorFalloff, checkCollapseTick, checkBridgeDown]
+        .reduce((all, check) => all.concat(check()), []);
+    console.log = log;
+
+    let failures = 0;
+    results.forEach(result => {
+        if (result.actual === result.expected) {
+            console.log(`ok      ${result.name}: ${result.actual}`);
+        } else {
+            failures++;
+            console.log(`FAILED  ${result.name}: expected ${result.expected}, got ${result.actual}`);
+        }
+    });
+    console.log(failures === 0 ? `All ${results.length} checks passed` : `${failures} of ${results.length} checks failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+main();